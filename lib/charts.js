@@ -0,0 +1,396 @@
+// Native PowerPoint charts: chart spec normalization, chart part XML, embedded workbook and number checks
+const JSZip = require('jszip');
+const { XML_HEADER, escapeXml } = require('./ooxml');
+
+const CHART_TYPES = ['bar', 'line', 'pie', 'doughnut'];
+const CHART_TYPE_ALIASES = { column: 'bar', donut: 'doughnut' };
+
+const NS_CHART = 'http://schemas.openxmlformats.org/drawingml/2006/chart';
+const NS_DRAWING = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const NS_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_SPREADSHEET = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+const SHEET_NAME = 'Sheet1';
+const CATEGORY_AXIS_ID = 50010001;
+const VALUE_AXIS_ID = 50010002;
+
+// Numbers as written in prose: 1,200  $10M  3.5%  -4
+const NUMBER_PATTERN = /(?:(?<![\w.])([-+]))?(?:[$€£¥]\s?)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\s?(%|k\b|m\b|bn\b|b\b|thousand\b|million\b|billion\b)?/gi;
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+/**
+ * Reads a number from a cell that may carry a currency sign, separators or a percent sign.
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    const cleaned = String(value === null || value === undefined ? '' : value).replace(/[$€£¥,%\s]/g, '');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(cleaned)) {
+        return null;
+    }
+    return parseFloat(cleaned);
+}
+
+/**
+ * Normalizes a slide's chart to {type, title, categories, series} with numeric values.
+ * Pie and doughnut charts keep their first series only.
+ * @param {*} chart - The slide's `chart` value
+ * @returns {{type: string, title: string, categories: string[], series: Array<{name: string, values: Array<number|null>}>}|null}
+ *   Null when there is nothing to plot
+ */
+function normalizeChart(chart) {
+    if (!chart || typeof chart !== 'object') {
+        return null;
+    }
+
+    const requested = String(chart.type || 'bar').toLowerCase();
+    const type = CHART_TYPE_ALIASES[requested] || (CHART_TYPES.includes(requested) ? requested : 'bar');
+    const categories = (Array.isArray(chart.categories) ? chart.categories : []).map(category => String(category).trim());
+    if (categories.length === 0) {
+        return null;
+    }
+
+    let series = (Array.isArray(chart.series) ? chart.series : [])
+        .filter(entry => entry && Array.isArray(entry.values))
+        .map((entry, index) => ({
+            name: String(entry.name || `Series ${index + 1}`),
+            values: categories.map((_, valueIndex) => parseNumber(entry.values[valueIndex]))
+        }))
+        .filter(entry => entry.values.some(value => value !== null));
+    if (series.length === 0) {
+        return null;
+    }
+    if (type === 'pie' || type === 'doughnut') {
+        series = series.slice(0, 1);
+    }
+
+    return { type, title: chart.title ? String(chart.title) : '', categories, series };
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function stringCache(values) {
+    return `<c:strCache>
+<c:ptCount val="${values.length}"/>
+${values.map((value, index) => `<c:pt idx="${index}">
+<c:v>${escapeXml(value)}</c:v>
+</c:pt>`).join('\n')}
+</c:strCache>`;
+}
+
+function numberCache(values) {
+    // Blank cells are left out of the cache, which charts show as gaps
+    return `<c:numCache>
+<c:formatCode>General</c:formatCode>
+<c:ptCount val="${values.length}"/>
+${values.map((value, index) => value === null ? '' : `<c:pt idx="${index}">
+<c:v>${value}</c:v>
+</c:pt>`).filter(Boolean).join('\n')}
+</c:numCache>`;
+}
+
+function buildSeries(chart, entry, index) {
+    const column = columnName(index + 1);
+    const lastRow = chart.categories.length + 1;
+    const pieLabels = chart.type === 'pie' || chart.type === 'doughnut'
+        ? `<c:dLbls>
+<c:showLegendKey val="0"/>
+<c:showVal val="0"/>
+<c:showCatName val="0"/>
+<c:showSerName val="0"/>
+<c:showPercent val="1"/>
+<c:showBubbleSize val="0"/>
+<c:showLeaderLines val="1"/>
+</c:dLbls>
+`
+        : '';
+
+    return `<c:ser>
+<c:idx val="${index}"/>
+<c:order val="${index}"/>
+<c:tx>
+<c:strRef>
+<c:f>${SHEET_NAME}!$${column}$1</c:f>
+${stringCache([entry.name])}
+</c:strRef>
+</c:tx>
+${chart.type === 'bar' ? '<c:invertIfNegative val="0"/>\n' : ''}${chart.type === 'line' ? '<c:marker>\n<c:symbol val="circle"/>\n<c:size val="6"/>\n</c:marker>\n' : ''}${pieLabels}<c:cat>
+<c:strRef>
+<c:f>${SHEET_NAME}!$A$2:$A$${lastRow}</c:f>
+${stringCache(chart.categories)}
+</c:strRef>
+</c:cat>
+<c:val>
+<c:numRef>
+<c:f>${SHEET_NAME}!$${column}$2:$${column}$${lastRow}</c:f>
+${numberCache(entry.values)}
+</c:numRef>
+</c:val>
+${chart.type === 'line' ? '<c:smooth val="0"/>\n' : ''}</c:ser>`;
+}
+
+function buildAxes() {
+    return `<c:catAx>
+<c:axId val="${CATEGORY_AXIS_ID}"/>
+<c:scaling>
+<c:orientation val="minMax"/>
+</c:scaling>
+<c:delete val="0"/>
+<c:axPos val="b"/>
+<c:numFmt formatCode="General" sourceLinked="1"/>
+<c:majorTickMark val="none"/>
+<c:minorTickMark val="none"/>
+<c:tickLblPos val="nextTo"/>
+<c:crossAx val="${VALUE_AXIS_ID}"/>
+<c:crosses val="autoZero"/>
+<c:auto val="1"/>
+<c:lblAlgn val="ctr"/>
+<c:lblOffset val="100"/>
+<c:noMultiLvlLbl val="0"/>
+</c:catAx>
+<c:valAx>
+<c:axId val="${VALUE_AXIS_ID}"/>
+<c:scaling>
+<c:orientation val="minMax"/>
+</c:scaling>
+<c:delete val="0"/>
+<c:axPos val="l"/>
+<c:majorGridlines/>
+<c:numFmt formatCode="General" sourceLinked="1"/>
+<c:majorTickMark val="none"/>
+<c:minorTickMark val="none"/>
+<c:tickLblPos val="nextTo"/>
+<c:crossAx val="${CATEGORY_AXIS_ID}"/>
+<c:crosses val="autoZero"/>
+<c:crossBetween val="between"/>
+</c:valAx>`;
+}
+
+function buildPlot(chart) {
+    const series = chart.series.map((entry, index) => buildSeries(chart, entry, index)).join('\n');
+    const axisIds = `<c:axId val="${CATEGORY_AXIS_ID}"/>\n<c:axId val="${VALUE_AXIS_ID}"/>`;
+
+    switch (chart.type) {
+        case 'line':
+            return `<c:lineChart>
+<c:grouping val="standard"/>
+<c:varyColors val="0"/>
+${series}
+<c:marker val="1"/>
+${axisIds}
+</c:lineChart>
+${buildAxes()}`;
+        case 'pie':
+            return `<c:pieChart>
+<c:varyColors val="1"/>
+${series}
+<c:firstSliceAng val="0"/>
+</c:pieChart>`;
+        case 'doughnut':
+            return `<c:doughnutChart>
+<c:varyColors val="1"/>
+${series}
+<c:firstSliceAng val="0"/>
+<c:holeSize val="50"/>
+</c:doughnutChart>`;
+        default:
+            return `<c:barChart>
+<c:barDir val="col"/>
+<c:grouping val="clustered"/>
+<c:varyColors val="0"/>
+${series}
+<c:gapWidth val="150"/>
+${axisIds}
+</c:barChart>
+${buildAxes()}`;
+    }
+}
+
+/**
+ * Builds a chart part. Series colors and fonts are left to the chart style, so they follow the theme.
+ * @param {Object} chart - Result of normalizeChart
+ * @param {{workbookRelId: string, fontSize?: number}} options - Relationship id of the embedded workbook
+ * @returns {string}
+ */
+function buildChartXml(chart, options) {
+    // A single bar or line series is named by the slide title; the legend would only repeat it
+    const showLegend = chart.type === 'pie' || chart.type === 'doughnut' || chart.series.length > 1;
+    const title = chart.title
+        ? `<c:title>
+<c:tx>
+<c:rich>
+<a:bodyPr/>
+<a:lstStyle/>
+<a:p>
+<a:r>
+<a:t>${escapeXml(chart.title)}</a:t>
+</a:r>
+</a:p>
+</c:rich>
+</c:tx>
+<c:overlay val="0"/>
+</c:title>
+<c:autoTitleDeleted val="0"/>`
+        : '<c:autoTitleDeleted val="1"/>';
+
+    return `${XML_HEADER}
+<c:chartSpace xmlns:c="${NS_CHART}" xmlns:a="${NS_DRAWING}" xmlns:r="${NS_RELATIONSHIPS}">
+<c:date1904 val="0"/>
+<c:roundedCorners val="0"/>
+<c:chart>
+${title}
+<c:plotArea>
+<c:layout/>
+${buildPlot(chart)}
+</c:plotArea>
+${showLegend ? '<c:legend>\n<c:legendPos val="b"/>\n<c:overlay val="0"/>\n</c:legend>\n' : ''}<c:plotVisOnly val="1"/>
+<c:dispBlanksAs val="gap"/>
+</c:chart>
+<c:txPr>
+<a:bodyPr/>
+<a:lstStyle/>
+<a:p>
+<a:pPr>
+<a:defRPr sz="${options.fontSize || 1400}"/>
+</a:pPr>
+<a:endParaRPr lang="en-US"/>
+</a:p>
+</c:txPr>
+<c:externalData r:id="${options.workbookRelId}">
+<c:autoUpdate val="0"/>
+</c:externalData>
+</c:chartSpace>`;
+}
+
+/**
+ * Builds the embedded .xlsx holding the chart data, so "Edit Data" works in PowerPoint.
+ * Categories are in column A and each series in its own column, with names in row 1.
+ * @param {Object} chart - Result of normalizeChart
+ * @returns {Promise<Buffer>}
+ */
+async function buildChartWorkbook(chart) {
+    const cell = (column, row, value) => {
+        const reference = `${columnName(column)}${row}`;
+        if (typeof value === 'number') {
+            return `<c r="${reference}"><v>${value}</v></c>`;
+        }
+        return value === null || value === '' ? '' : `<c r="${reference}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+    };
+
+    const rows = [['', ...chart.series.map(entry => entry.name)]];
+    chart.categories.forEach((category, index) => {
+        rows.push([category, ...chart.series.map(entry => entry.values[index])]);
+    });
+    const sheetData = rows.map((row, rowIndex) =>
+        `<row r="${rowIndex + 1}">${row.map((value, column) => cell(column, rowIndex + 1, value)).join('')}</row>`
+    ).join('');
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', `${XML_HEADER}
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+</Types>`);
+    zip.file('_rels/.rels', `${XML_HEADER}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${NS_RELATIONSHIPS}/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`);
+    zip.file('xl/workbook.xml', `${XML_HEADER}
+<workbook xmlns="${NS_SPREADSHEET}" xmlns:r="${NS_RELATIONSHIPS}">
+<sheets>
+<sheet name="${SHEET_NAME}" sheetId="1" r:id="rId1"/>
+</sheets>
+</workbook>`);
+    zip.file('xl/_rels/workbook.xml.rels', `${XML_HEADER}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${NS_RELATIONSHIPS}/worksheet" Target="worksheets/sheet1.xml"/>
+</Relationships>`);
+    zip.file('xl/worksheets/sheet1.xml', `${XML_HEADER}
+<worksheet xmlns="${NS_SPREADSHEET}">
+<sheetData>${sheetData}</sheetData>
+</worksheet>`);
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Collects the numbers written in a text, including scaled forms ($10M as 10 and 10000000, 40% as 40 and 0.4).
+ * @param {string} text
+ * @returns {number[]}
+ */
+function extractNumbers(text) {
+    const numbers = [];
+    for (const match of String(text || '').matchAll(NUMBER_PATTERN)) {
+        const value = parseFloat(`${match[1] || ''}${match[2].replace(/,/g, '')}${match[3] || ''}`);
+        const unit = (match[4] || '').toLowerCase();
+        numbers.push(value);
+        if (unit === '%') {
+            numbers.push(value / 100);
+        } else if (SCALES[unit]) {
+            numbers.push(value * SCALES[unit]);
+        }
+    }
+    return numbers;
+}
+
+/**
+ * Replaces charts whose values do not all appear in the source text with the slide's bullets,
+ * so the model cannot chart numbers it made up.
+ * @param {{slides: Array}} structure
+ * @param {string} sourceText
+ * @returns {{structure: Object, changes: string[]}}
+ */
+function dropUnsupportedCharts(structure, sourceText) {
+    const changes = [];
+    if (!structure || !Array.isArray(structure.slides)) {
+        return { structure, changes };
+    }
+
+    const known = extractNumbers(sourceText);
+    const isKnown = (value) => known.some(number => Math.abs(number - value) <= Math.abs(value) * 1e-6);
+
+    const slides = structure.slides.map((slide, index) => {
+        if (!slide.chart) {
+            return slide;
+        }
+
+        const chart = normalizeChart(slide.chart);
+        const supported = chart && chart.series.every(entry => entry.values.every(value => value === null || isKnown(value)));
+        if (supported) {
+            return slide;
+        }
+
+        const rest = { ...slide };
+        delete rest.chart;
+        changes.push(`Removed the chart on slide ${index + 1} ("${slide.title}") because its numbers are not in the source text`);
+        const hasContent = Array.isArray(slide.content) && slide.content.length > 0;
+        return {
+            ...rest,
+            type: 'content',
+            content: hasContent ? slide.content : (chart ? chart.categories : [])
+        };
+    });
+
+    return { structure: { ...structure, slides }, changes };
+}
+
+module.exports = {
+    CHART_TYPES,
+    parseNumber,
+    normalizeChart,
+    buildChartXml,
+    buildChartWorkbook,
+    extractNumbers,
+    dropUnsupportedCharts
+};
@@ -0,0 +1,236 @@
+// Map-reduce text analysis for documents too long for a single prompt
+
+const DEFAULT_THRESHOLD_WORDS = 3000;
+const DEFAULT_CHUNK_WORDS = 1800;
+
+const countWords = (text) => {
+    const trimmed = String(text || '').trim();
+    return trimmed ? trimmed.split(/\s+/).length : 0;
+};
+
+const normalizeKey = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+class ChunkedAnalyzer {
+    /**
+     * @param {Object} provider - Any provider with analyzeText(text, guidance)
+     * @param {{thresholdWords?: number, chunkWords?: number}} [options]
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.thresholdWords = options.thresholdWords || DEFAULT_THRESHOLD_WORDS;
+        this.chunkWords = options.chunkWords || DEFAULT_CHUNK_WORDS;
+    }
+
+    /**
+     * Whether a text is long enough to be analyzed in chunks.
+     * @param {string} text
+     * @returns {boolean}
+     */
+    shouldChunk(text) {
+        return !this.provider.supportsLongInput && countWords(text) > this.thresholdWords;
+    }
+
+    /**
+     * Analyzes the text in one call, or per chunk followed by a merge when it is long.
+     * @param {string} text
+     * @param {string} guidance
+     * @param {Object} [options] - Passed through to the provider
+     * @returns {Promise<Object>} Analysis in the provider shape, plus `chunks` and `themeSources` when chunked
+     */
+    async analyze(text, guidance = '', options = {}) {
+        if (!this.shouldChunk(text)) {
+            return this.provider.analyzeText(text, guidance, options);
+        }
+
+        const chunks = this.splitIntoChunks(text);
+        console.log(`Analyzing ${countWords(text)} words in ${chunks.length} chunks`);
+
+        const results = [];
+        for (const chunk of chunks) {
+            // Sequential on purpose: keeps within provider rate limits and preserves order in logs
+            const analysis = await this.provider.analyzeText(chunk.text, this.chunkGuidance(guidance, chunk, chunks.length), options);
+            results.push({ chunk, analysis });
+        }
+
+        return this.mergeAnalyses(results, this.documentTitle(text));
+    }
+
+    chunkGuidance(guidance, chunk, total) {
+        const location = chunk.heading ? ` (section "${chunk.heading}")` : '';
+        const note = `This is part ${chunk.index + 1} of ${total}${location} of a longer document. Analyze only this part; other parts are analyzed separately and merged.`;
+        return guidance ? `${guidance}\n${note}` : note;
+    }
+
+    /**
+     * Splits text on headings, then paragraphs, then sentences, packing pieces up to chunkWords.
+     * @param {string} text
+     * @returns {Array<{index: number, heading: string, text: string, wordCount: number}>}
+     */
+    splitIntoChunks(text) {
+        const pieces = [];
+        for (const section of this.splitSections(text)) {
+            for (const piece of this.splitToSize(section.text)) {
+                pieces.push({ heading: section.heading, text: piece });
+            }
+        }
+
+        const chunks = [];
+        let current = null;
+        for (const piece of pieces) {
+            const words = countWords(piece.text);
+            if (current && current.wordCount + words <= this.chunkWords) {
+                current.text += `\n\n${piece.text}`;
+                current.wordCount += words;
+                continue;
+            }
+            current = { index: chunks.length, heading: piece.heading, text: piece.text, wordCount: words };
+            chunks.push(current);
+        }
+        return chunks;
+    }
+
+    splitSections(text) {
+        const sections = [];
+        let current = { heading: '', lines: [], hasBody: false };
+
+        for (const line of String(text || '').split(/\r?\n/)) {
+            const heading = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+            if (heading && current.hasBody) {
+                sections.push(current);
+                current = { heading: heading[1], lines: [], hasBody: false };
+            } else if (heading) {
+                // Consecutive headings (title, then first section) stay together; the innermost names the section
+                current.heading = heading[1];
+            } else if (line.trim()) {
+                current.hasBody = true;
+            }
+            current.lines.push(line);
+        }
+        sections.push(current);
+
+        return sections
+            .map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }))
+            .filter(section => section.text);
+    }
+
+    splitToSize(text) {
+        if (countWords(text) <= this.chunkWords) {
+            return [text];
+        }
+
+        const paragraphs = text.split(/\n\s*\n/).filter(paragraph => paragraph.trim());
+        const units = paragraphs.length > 1
+            ? paragraphs
+            : text.split(/(?<=[.!?])\s+/).filter(sentence => sentence.trim());
+
+        if (units.length <= 1) {
+            // A single run-on block: fall back to fixed word windows
+            const words = text.trim().split(/\s+/);
+            const windows = [];
+            for (let i = 0; i < words.length; i += this.chunkWords) {
+                windows.push(words.slice(i, i + this.chunkWords).join(' '));
+            }
+            return windows;
+        }
+
+        const joiner = paragraphs.length > 1 ? '\n\n' : ' ';
+        const parts = [];
+        let buffer = [];
+        let bufferWords = 0;
+        for (const unit of units) {
+            const words = countWords(unit);
+            if (bufferWords + words > this.chunkWords && buffer.length > 0) {
+                parts.push(buffer.join(joiner));
+                buffer = [];
+                bufferWords = 0;
+            }
+            if (words > this.chunkWords) {
+                parts.push(...this.splitToSize(unit));
+                continue;
+            }
+            buffer.push(unit);
+            bufferWords += words;
+        }
+        if (buffer.length > 0) {
+            parts.push(buffer.join(joiner));
+        }
+        return parts;
+    }
+
+    documentTitle(text) {
+        const match = String(text || '').match(/^\s{0,3}#\s+(.+?)\s*#*\s*$/m);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Merges per-chunk analyses into one outline, de-duplicating themes and points.
+     * @param {Array<{chunk: Object, analysis: Object}>} results
+     * @param {string|null} title - Document title, when the text has one
+     * @returns {Object}
+     */
+    mergeAnalyses(results, title) {
+        const themes = new Map();
+
+        for (const { chunk, analysis } of results) {
+            const keyPoints = analysis.keyPoints || {};
+            const names = [...(analysis.themes || [])];
+            for (const name of Object.keys(keyPoints)) {
+                if (!names.includes(name)) names.push(name);
+            }
+
+            for (const name of names) {
+                const key = normalizeKey(name);
+                if (!themes.has(key)) {
+                    themes.set(key, { name, points: [], seen: new Set(), chunks: [] });
+                }
+                const theme = themes.get(key);
+                if (!theme.chunks.includes(chunk.index)) {
+                    theme.chunks.push(chunk.index);
+                }
+                this.appendPoints(theme, keyPoints[name] || []);
+            }
+        }
+
+        const merged = [...themes.values()];
+        const structures = results
+            .map(({ analysis }) => analysis.structure)
+            .filter(Boolean);
+
+        return {
+            title: title || (results[0] && results[0].analysis.title) || 'Presentation',
+            themes: merged.map(theme => theme.name),
+            keyPoints: Object.fromEntries(merged.map(theme => [theme.name, theme.points])),
+            slideCount: 1 + merged.length,
+            structure: `Merged from ${results.length} parts in document order. ${structures.join(' ')}`.trim(),
+            tables: results.flatMap(({ analysis }) => analysis.tables || []),
+            themeSources: Object.fromEntries(merged.map(theme => [theme.name, theme.chunks])),
+            chunks: results.map(({ chunk, analysis }) => ({
+                index: chunk.index,
+                heading: chunk.heading,
+                wordCount: chunk.wordCount,
+                themes: analysis.themes || []
+            }))
+        };
+    }
+
+    appendPoints(theme, points) {
+        // Sub-point arrays follow their parent, so drop them along with a duplicate parent
+        let skipNested = false;
+        for (const point of points) {
+            if (Array.isArray(point)) {
+                if (!skipNested) theme.points.push(point);
+                continue;
+            }
+
+            const text = typeof point === 'string' ? point : (point && point.text) || JSON.stringify(point);
+            const key = normalizeKey(text);
+            skipNested = theme.seen.has(key);
+            if (!skipNested) {
+                theme.seen.add(key);
+                theme.points.push(point);
+            }
+        }
+    }
+}
+
+module.exports = { ChunkedAnalyzer, countWords, DEFAULT_THRESHOLD_WORDS, DEFAULT_CHUNK_WORDS };
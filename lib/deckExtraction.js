@@ -0,0 +1,475 @@
+// Reads an existing .pptx back into the slide structure format: titles, body text, tables, charts and notes
+const JSZip = require('jszip');
+const xml2js = require('xml2js');
+const ooxml = require('./ooxml');
+
+// Placeholders that repeat on every slide rather than carry its content
+const SKIPPED_PLACEHOLDERS = new Set(['dt', 'ftr', 'sldNum', 'hdr', 'sldImg', 'pic', 'media', 'clipArt']);
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle']);
+
+const CHART_PLOTS = {
+    'c:barChart': 'bar',
+    'c:bar3DChart': 'bar',
+    'c:lineChart': 'line',
+    'c:line3DChart': 'line',
+    'c:areaChart': 'line',
+    'c:pieChart': 'pie',
+    'c:pie3DChart': 'pie',
+    'c:doughnutChart': 'doughnut'
+};
+
+class DeckExtractionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DeckExtractionError';
+    }
+}
+
+// Element order matters for runs and line breaks, so children are kept in document order under `$$`
+function parseXml(xml) {
+    return new xml2js.Parser({ explicitChildren: true, preserveChildrenOrder: true }).parseStringPromise(xml);
+}
+
+function children(node, name) {
+    return ((node && node.$$) || []).filter(child => !name || child['#name'] === name);
+}
+
+function child(node, name) {
+    return children(node, name)[0] || null;
+}
+
+function descendants(node, name, found = []) {
+    for (const item of children(node)) {
+        if (item['#name'] === name) {
+            found.push(item);
+        }
+        descendants(item, name, found);
+    }
+    return found;
+}
+
+function textOf(node) {
+    return typeof node === 'string' ? node : (node && node._) || '';
+}
+
+function attr(node, name) {
+    return node && node.$ ? node.$[name] : undefined;
+}
+
+async function readPart(zip, partName) {
+    const file = zip.file(partName);
+    return file ? parseXml(await file.async('string')) : null;
+}
+
+async function readRelationships(zip, partName) {
+    const file = zip.file(ooxml.relsPathFor(partName));
+    return file ? ooxml.parseRelationships(await file.async('string')) : [];
+}
+
+function relatedPart(partName, relationships, type) {
+    const rel = relationships.find(item => item.type === type && item.targetMode !== 'External');
+    return rel ? ooxml.resolveTarget(partName, rel.target) : null;
+}
+
+// One paragraph's runs as inline markdown, merging neighbouring runs with the same emphasis
+function paragraphText(paragraph) {
+    const spans = [];
+    for (const item of children(paragraph)) {
+        const name = item['#name'];
+        if (name !== 'a:r' && name !== 'a:fld' && name !== 'a:br') {
+            continue;
+        }
+        const properties = child(item, 'a:rPr');
+        const style = name === 'a:br' ? '' : `${attr(properties, 'b') === '1' ? 'b' : ''}${attr(properties, 'i') === '1' ? 'i' : ''}`;
+        const text = name === 'a:br' ? ' ' : children(item, 'a:t').map(textOf).join('');
+        const last = spans[spans.length - 1];
+        if (last && (last.style === style || !text.trim())) {
+            last.text += text;
+        } else {
+            spans.push({ style, text });
+        }
+    }
+
+    return spans.map(({ style, text }) => {
+        const marker = style === 'bi' ? '***' : style === 'b' ? '**' : style === 'i' ? '*' : '';
+        const trimmed = text.trim();
+        if (!marker || !trimmed) {
+            return text;
+        }
+        const [, before, after] = text.match(/^(\s*)[\s\S]*?(\s*)$/);
+        return `${before}${marker}${trimmed}${marker}${after}`;
+    }).join('').replace(/\s+/g, ' ').trim();
+}
+
+function readParagraphs(txBody) {
+    return children(txBody, 'a:p')
+        .map(paragraph => ({
+            text: paragraphText(paragraph),
+            level: Number(attr(child(paragraph, 'a:pPr'), 'lvl')) || 0
+        }))
+        .filter(paragraph => paragraph.text);
+}
+
+function readPosition(shape) {
+    const properties = child(shape, 'p:spPr') || shape;
+    const xfrm = child(properties, 'a:xfrm') || child(shape, 'p:xfrm');
+    const offset = child(xfrm, 'a:off');
+    const extent = child(xfrm, 'a:ext');
+    if (!offset) {
+        return null;
+    }
+    return {
+        x: Number(attr(offset, 'x')) || 0,
+        y: Number(attr(offset, 'y')) || 0,
+        cx: Number(attr(extent, 'cx')) || 0,
+        cy: Number(attr(extent, 'cy')) || 0
+    };
+}
+
+function readPlaceholder(shape) {
+    const nonVisual = children(shape).find(item => /^p:nv\w+Pr$/.test(item['#name']));
+    const ph = child(child(nonVisual, 'p:nvPr'), 'p:ph');
+    return ph ? { type: attr(ph, 'type') || 'obj', idx: attr(ph, 'idx') } : null;
+}
+
+// Placeholder positions of a layout, for slide placeholders that inherit their geometry
+async function readLayoutPlaceholders(zip, layoutPart) {
+    const layout = layoutPart ? await readPart(zip, layoutPart) : null;
+    const root = layout && layout['p:sldLayout'];
+    const placeholders = [];
+    for (const shape of descendants(child(root, 'p:cSld'), 'p:sp')) {
+        const placeholder = readPlaceholder(shape);
+        if (placeholder) {
+            placeholders.push({ ...placeholder, position: readPosition(shape) });
+        }
+    }
+    return { type: attr(root, 'type') || 'cust', placeholders };
+}
+
+function inheritedPosition(placeholder, layout) {
+    const match = layout.placeholders.find(item => placeholder.idx !== undefined && item.idx === placeholder.idx)
+        || layout.placeholders.find(item => item.type === placeholder.type);
+    return match ? match.position : null;
+}
+
+function readTable(table) {
+    const rows = children(table, 'a:tr').map(row => children(row, 'a:tc').map(cell =>
+        attr(cell, 'hMerge') === '1' || attr(cell, 'vMerge') === '1'
+            ? ''
+            : readParagraphs(child(cell, 'a:txBody')).map(paragraph => paragraph.text).join(' ')));
+    const hasHeader = attr(child(table, 'a:tblPr'), 'firstRow') === '1' && rows.length > 1;
+    return hasHeader ? { headers: rows[0], rows: rows.slice(1) } : { rows };
+}
+
+function readPoints(node) {
+    const points = [];
+    for (const point of descendants(node, 'c:pt')) {
+        points[Number(attr(point, 'idx')) || 0] = textOf(child(point, 'c:v'));
+    }
+    return points;
+}
+
+async function readChart(zip, chartPart) {
+    const parsed = await readPart(zip, chartPart);
+    const chartNode = parsed && child(parsed['c:chartSpace'], 'c:chart');
+    const plotArea = child(chartNode, 'c:plotArea');
+    const plot = children(plotArea).find(item => CHART_PLOTS[item['#name']]);
+    if (!plot) {
+        return null;
+    }
+
+    const series = children(plot, 'c:ser');
+    const categories = series.length > 0 ? readPoints(child(series[0], 'c:cat')) : [];
+    const title = descendants(child(chartNode, 'c:title'), 'a:t').map(textOf).join('');
+    return {
+        type: CHART_PLOTS[plot['#name']],
+        ...(title ? { title } : {}),
+        categories: Array.from(categories, category => category || ''),
+        series: series.map((entry, index) => {
+            const values = readPoints(child(entry, 'c:val'));
+            return {
+                name: descendants(child(entry, 'c:tx'), 'c:v').map(textOf).join('') || `Series ${index + 1}`,
+                values: Array.from({ length: categories.length }, (_, valueIndex) =>
+                    values[valueIndex] === undefined || values[valueIndex] === '' ? null : Number(values[valueIndex]))
+            };
+        })
+    };
+}
+
+// Text blocks, tables and charts of a shape tree in reading order; group shapes are flattened
+async function readShapes(zip, slidePart, spTree, context) {
+    const blocks = [];
+    for (const shape of children(spTree)) {
+        const name = shape['#name'];
+        if (name === 'p:grpSp') {
+            blocks.push(...await readShapes(zip, slidePart, shape, context));
+        } else if (name === 'p:pic') {
+            context.pictures++;
+        } else if (name === 'p:sp') {
+            const placeholder = readPlaceholder(shape);
+            if (placeholder && SKIPPED_PLACEHOLDERS.has(placeholder.type)) {
+                continue;
+            }
+            const paragraphs = readParagraphs(child(shape, 'p:txBody'));
+            if (paragraphs.length > 0) {
+                const position = readPosition(shape) || (placeholder && inheritedPosition(placeholder, context.layout));
+                blocks.push({ kind: 'text', placeholder: placeholder ? placeholder.type : null, position, paragraphs });
+            }
+        } else if (name === 'p:graphicFrame') {
+            const graphicData = child(child(shape, 'a:graphic'), 'a:graphicData');
+            const uri = attr(graphicData, 'uri') || '';
+            if (/\/table$/.test(uri)) {
+                blocks.push({ kind: 'table', table: readTable(child(graphicData, 'a:tbl')) });
+            } else if (/\/chart$/.test(uri)) {
+                const chartPart = relatedChart(slidePart, context.relationships, child(graphicData, 'c:chart'));
+                const chart = chartPart ? await readChart(zip, chartPart) : null;
+                if (chart) {
+                    blocks.push({ kind: 'chart', chart });
+                }
+            }
+        }
+    }
+    return blocks;
+}
+
+function relatedChart(slidePart, relationships, chartNode) {
+    const rel = relationships.find(item => item.id === attr(chartNode, 'r:id'));
+    return rel ? ooxml.resolveTarget(slidePart, rel.target) : null;
+}
+
+// Nested bullet items (`["Point", ["Sub-point"], ...]`) from paragraphs with outline levels
+function toBulletItems(paragraphs) {
+    const root = [];
+    const stack = [{ level: 0, items: root }];
+    for (const { text, level } of paragraphs) {
+        while (stack.length > 1 && level < stack[stack.length - 1].level) {
+            stack.pop();
+        }
+        const top = stack[stack.length - 1];
+        if (level > top.level && top.items.length > 0) {
+            const nested = [];
+            top.items.push(nested);
+            stack.push({ level, items: nested });
+        }
+        stack[stack.length - 1].items.push(text);
+    }
+    return root;
+}
+
+// Two or more text blocks split at the middle of the slide; a one-line block above a side is its heading
+function readColumns(bodies, slideWidth) {
+    const sides = [[], []];
+    for (const block of bodies) {
+        const center = block.position ? block.position.x + block.position.cx / 2 : 0;
+        sides[center < slideWidth / 2 ? 0 : 1].push(block);
+    }
+    if (sides.some(side => side.length === 0)) {
+        return null;
+    }
+
+    return sides.map(side => {
+        const ordered = side.slice().sort((a, b) => (a.position ? a.position.y : 0) - (b.position ? b.position.y : 0));
+        const heading = ordered.length > 1 && ordered[0].paragraphs.length === 1 ? ordered.shift().paragraphs[0].text : null;
+        return {
+            ...(heading ? { heading } : {}),
+            content: toBulletItems(ordered.flatMap(block => block.paragraphs))
+        };
+    });
+}
+
+function readQuote(bodies) {
+    if (bodies.length !== 1) {
+        return null;
+    }
+    const lines = bodies[0].paragraphs.map(paragraph => paragraph.text.replace(/^\*+|\*+$/g, ''));
+    if (!/^["“‘]/.test(lines[0]) || !/["”’]$/.test(lines[0])) {
+        return null;
+    }
+    const attribution = lines.length === 2 && /^[—–-]\s*/.test(lines[1]) ? lines[1].replace(/^[—–-]\s*/, '') : null;
+    if (lines.length > (attribution ? 2 : 1)) {
+        return null;
+    }
+    return { text: lines[0].replace(/^["“‘]|["”’]$/g, ''), attribution };
+}
+
+function buildSlide(blocks, layout, slideNumber, isLast, slideWidth) {
+    const texts = blocks.filter(block => block.kind === 'text');
+    // Without a title placeholder, the topmost one-line text box stands in for it
+    const titleBlock = texts.find(block => TITLE_PLACEHOLDERS.has(block.placeholder))
+        || texts.filter(block => block.paragraphs.length === 1)
+            .sort((a, b) => (a.position ? a.position.y : 0) - (b.position ? b.position.y : 0))[0];
+    const title = titleBlock ? titleBlock.paragraphs.map(paragraph => paragraph.text).join(' ') : '';
+    const bodies = texts.filter(block => block !== titleBlock);
+    const bodyParagraphs = bodies.flatMap(block => block.paragraphs);
+    const table = blocks.find(block => block.kind === 'table');
+    const chart = blocks.find(block => block.kind === 'chart');
+
+    const slide = { slideNumber, type: 'content', title, content: toBulletItems(bodyParagraphs) };
+    if (layout.type === 'title' || (titleBlock && titleBlock.placeholder === 'ctrTitle')) {
+        // A title layout at the end of the deck is its thank-you or Q&A slide
+        slide.type = isLast && slideNumber > 1 ? 'closing' : 'title';
+        slide.content = bodyParagraphs.map(paragraph => paragraph.text);
+    } else if (layout.type === 'secHead') {
+        slide.type = 'section';
+        slide.content = bodyParagraphs.map(paragraph => paragraph.text);
+    } else if (chart) {
+        slide.type = 'chart';
+        slide.chart = chart.chart;
+    } else if (table) {
+        slide.type = 'table';
+        slide.table = table.table;
+    } else if (bodies.length >= 2 && readColumns(bodies, slideWidth)) {
+        slide.columns = readColumns(bodies, slideWidth);
+        slide.type = slide.columns.some(column => column.heading) ? 'comparison' : 'two-column';
+        slide.content = [];
+    } else {
+        const quote = readQuote(bodies);
+        if (quote) {
+            slide.type = 'quote';
+            slide.content = [quote.text];
+            if (quote.attribution) {
+                slide.attribution = quote.attribution;
+            }
+        }
+    }
+    // Only a quote may stand without a title
+    if (!slide.title && slide.type !== 'quote') {
+        slide.title = `Slide ${slideNumber}`;
+    }
+    return slide;
+}
+
+async function readNotes(zip, slidePart, relationships) {
+    const notesPart = relatedPart(slidePart, relationships, ooxml.REL_TYPES.notesSlide);
+    const notes = notesPart ? await readPart(zip, notesPart) : null;
+    if (!notes) {
+        return '';
+    }
+    const shapes = descendants(child(notes['p:notes'], 'p:cSld'), 'p:sp');
+    const body = shapes.find(shape => {
+        const placeholder = readPlaceholder(shape);
+        return placeholder && placeholder.type === 'body';
+    });
+    return body ? readParagraphs(child(body, 'p:txBody')).map(paragraph => paragraph.text).join('\n\n') : '';
+}
+
+/**
+ * Extracts each visible slide of a presentation into the slide structure format, in slide order.
+ * Pictures and other graphics are not carried over; the report counts what was found and skipped.
+ * @param {Buffer} buffer - A .pptx or .potx file
+ * @returns {Promise<{structure: {totalSlides: number, slides: Array}, report: {slides: number, tables: number,
+ *   charts: number, notes: number, hiddenSlides: number, pictures: number}}>}
+ * @throws {DeckExtractionError} When the file is not a presentation or has no visible slides
+ */
+async function extractDeck(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new DeckExtractionError('The file is not a PowerPoint presentation');
+    }
+
+    const rootRels = zip.file('_rels/.rels') ? ooxml.parseRelationships(await zip.file('_rels/.rels').async('string')) : [];
+    const presentationPart = relatedPart('', rootRels, ooxml.REL_TYPES.officeDocument);
+    const presentation = presentationPart ? await readPart(zip, presentationPart) : null;
+    if (!presentation || !presentation['p:presentation']) {
+        throw new DeckExtractionError('The file is not a PowerPoint presentation');
+    }
+
+    const root = presentation['p:presentation'];
+    const slideWidth = Number(attr(child(root, 'p:sldSz'), 'cx')) || 9144000;
+    const presentationRels = await readRelationships(zip, presentationPart);
+    const report = { slides: 0, tables: 0, charts: 0, notes: 0, hiddenSlides: 0, pictures: 0 };
+    const slides = [];
+
+    const slideIds = children(child(root, 'p:sldIdLst'), 'p:sldId');
+    for (const [index, slideId] of slideIds.entries()) {
+        const rel = presentationRels.find(item => item.id === attr(slideId, 'r:id'));
+        const slidePart = rel && ooxml.resolveTarget(presentationPart, rel.target);
+        const parsed = slidePart ? await readPart(zip, slidePart) : null;
+        const slideRoot = parsed && parsed['p:sld'];
+        if (!slideRoot) {
+            continue;
+        }
+        if (attr(slideRoot, 'show') === '0') {
+            report.hiddenSlides++;
+            continue;
+        }
+
+        const relationships = await readRelationships(zip, slidePart);
+        const context = {
+            relationships,
+            layout: await readLayoutPlaceholders(zip, relatedPart(slidePart, relationships, ooxml.REL_TYPES.slideLayout)),
+            pictures: 0
+        };
+        const blocks = await readShapes(zip, slidePart, child(child(slideRoot, 'p:cSld'), 'p:spTree'), context);
+        const slide = buildSlide(blocks, context.layout, slides.length + 1, index === slideIds.length - 1, slideWidth);
+
+        const notes = await readNotes(zip, slidePart, relationships);
+        if (notes) {
+            slide.notes = notes;
+            report.notes++;
+        }
+        report.tables += slide.table ? 1 : 0;
+        report.charts += slide.chart ? 1 : 0;
+        report.pictures += context.pictures;
+        slides.push(slide);
+    }
+
+    if (slides.length === 0) {
+        throw new DeckExtractionError('The presentation has no visible slides');
+    }
+    report.slides = slides.length;
+    return { structure: { totalSlides: slides.length, slides }, report };
+}
+
+/**
+ * Takes the reworded titles, bullets, columns and notes of a tightened structure while keeping the source
+ * deck's slide types, tables, charts and attributions, so tightening cannot change the facts.
+ * @param {{slides: Array}} source - The extracted structure
+ * @param {{slides: Array}} tightened - The provider's reworded structure
+ * @returns {{structure: {totalSlides: number, slides: Array}, changes: string[]}}
+ */
+function mergeTightenedStructure(source, tightened) {
+    const reworded = tightened && Array.isArray(tightened.slides) ? tightened.slides : [];
+    if (reworded.length !== source.slides.length) {
+        return {
+            structure: source,
+            changes: [`Kept the original wording: tightening returned ${reworded.length} slides for ${source.slides.length}`]
+        };
+    }
+
+    let changed = 0;
+    const slides = source.slides.map((slide, index) => {
+        const text = reworded[index] || {};
+        const merged = { ...slide };
+        if (typeof text.title === 'string' && (text.title.trim() || !slide.title)) {
+            merged.title = text.title;
+        }
+        if (Array.isArray(text.content)) {
+            merged.content = text.content;
+        }
+        if (Array.isArray(slide.columns) && Array.isArray(text.columns) && text.columns.length === slide.columns.length) {
+            merged.columns = slide.columns.map((column, columnIndex) => ({
+                ...column,
+                ...(text.columns[columnIndex] && typeof text.columns[columnIndex].heading === 'string'
+                    ? { heading: text.columns[columnIndex].heading } : {}),
+                content: (text.columns[columnIndex] && Array.isArray(text.columns[columnIndex].content))
+                    ? text.columns[columnIndex].content : column.content
+            }));
+        }
+        if (typeof text.notes === 'string' || Array.isArray(text.notes)) {
+            merged.notes = text.notes;
+        }
+        const wording = item => JSON.stringify([item.title, item.content, item.columns, item.notes]);
+        changed += wording(merged) === wording(slide) ? 0 : 1;
+        return merged;
+    });
+
+    return {
+        structure: { totalSlides: slides.length, slides },
+        changes: changed > 0 ? [`Tightened the wording of ${changed} slide${changed === 1 ? '' : 's'}`] : []
+    };
+}
+
+module.exports = { DeckExtractionError, extractDeck, mergeTightenedStructure };
@@ -0,0 +1,143 @@
+// Record of finished generations: their inputs, slide structure and output files, kept on disk
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 50;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class GenerationHistory {
+    /**
+     * @param {{dir: string, maxEntries?: number}} options - Past `maxEntries` the oldest entries are
+     *   deleted; 0 turns recording off
+     */
+    constructor(options) {
+        this.dir = options.dir;
+        this.maxEntries = options.maxEntries === undefined ? DEFAULT_MAX_ENTRIES : options.maxEntries;
+        this.entries = new Map(); // id -> entry
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.load();
+    }
+
+    load() {
+        for (const entry of fs.readdirSync(this.dir)) {
+            const id = path.basename(entry, '.json');
+            if (!entry.endsWith('.json') || !ID_PATTERN.test(id)) {
+                continue;
+            }
+            try {
+                this.entries.set(id, JSON.parse(fs.readFileSync(path.join(this.dir, entry), 'utf8')));
+            } catch (error) {
+                console.error(`Skipping unreadable history entry ${entry}:`, error.message);
+            }
+        }
+    }
+
+    // Inputs are identified by hash, so the history holds no copy of the source text
+    static hashText(text) {
+        return crypto.createHash('sha256').update(String(text)).digest('hex');
+    }
+
+    get enabled() {
+        return this.maxEntries > 0;
+    }
+
+    /**
+     * Saves a finished generation and its outputs, then drops entries past the retention limit.
+     * @param {Object} details - Inputs and results: kind, textHash, guidance, provider, model, templateId,
+     *   templateHash, templateName, constraints, structure, adjustments, rerunOf
+     * @param {Object<string, Buffer|string>} outputs - File contents by format, e.g. { pptx, html }
+     * @returns {Promise<Object|null>} The entry, or null when recording is off
+     */
+    async record(details, outputs) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const id = crypto.randomUUID();
+        const files = {};
+        for (const [format, content] of Object.entries(outputs)) {
+            files[format] = `${id}.${format}`;
+            await fs.promises.writeFile(path.join(this.dir, files[format]), content);
+        }
+
+        const slides = (details.structure && details.structure.slides) || [];
+        const entry = {
+            id,
+            createdAt: new Date().toISOString(),
+            title: (slides[0] && slides[0].title) || 'Untitled presentation',
+            slideCount: slides.length,
+            ...details,
+            formats: Object.keys(files),
+            files,
+            size: outputs.pptx ? outputs.pptx.length : undefined
+        };
+        await fs.promises.writeFile(this.metadataPath(id), JSON.stringify(entry));
+        this.entries.set(id, entry);
+
+        await this.prune();
+        return entry;
+    }
+
+    /**
+     * Entries, newest first, without their slide structures.
+     * @returns {Object[]}
+     */
+    list() {
+        return this.sorted().map(entry => this.summarize(entry));
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    /**
+     * Path of an entry's output file in the given format, or null.
+     * @param {Object} entry
+     * @param {string} [format]
+     * @returns {string|null}
+     */
+    outputPath(entry, format = 'pptx') {
+        const filename = entry && entry.files[format];
+        return filename ? path.join(this.dir, filename) : null;
+    }
+
+    /**
+     * Deletes an entry and its files.
+     * @param {string} id
+     * @returns {Promise<boolean>} False when there was no such entry
+     */
+    async remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return false;
+        }
+        this.entries.delete(id);
+        const files = [this.metadataPath(id), ...entry.formats.map(format => this.outputPath(entry, format))];
+        await Promise.all(files.map(file => fs.promises.unlink(file).catch(() => {})));
+        return true;
+    }
+
+    async prune() {
+        for (const entry of this.sorted().slice(this.maxEntries)) {
+            await this.remove(entry.id);
+        }
+    }
+
+    sorted() {
+        return [...this.entries.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // File names and the structure stay server-side; the structure comes with a single entry
+    summarize(entry) {
+        const { files, structure, ...details } = entry;
+        return details;
+    }
+
+    metadataPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+}
+
+module.exports = GenerationHistory;
@@ -0,0 +1,402 @@
+// Standalone HTML slideshow: one self-contained file with the template's colors and fonts, keyboard
+// navigation, a speaker view and print styles. No external scripts, stylesheets or fonts.
+const { SLIDE_TYPE_ALIASES, normalizeTable, normalizeColumns } = require('./slideTypes');
+const { normalizeChart } = require('./charts');
+
+const DEFAULT_COLORS = {
+    dk1: '#000000',
+    lt1: '#ffffff',
+    dk2: '#1f497d',
+    lt2: '#eeece1',
+    accent1: '#4f81bd',
+    accent2: '#c0504d',
+    accent3: '#9bbb59',
+    accent4: '#8064a2',
+    accent5: '#4bacc6',
+    accent6: '#f79646'
+};
+const ACCENTS = ['accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6'];
+const FALLBACK_FONTS = '"Segoe UI", Calibri, Helvetica, Arial, sans-serif';
+
+// Slide text is sized in em of this fraction of the slide width, so it scales with the window and the page
+const WIDTH_IN_EM = 50;
+const EMU_PER_INCH = 914400;
+
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// **bold**, *italic* and `code`, as in the slide text the builder writes
+function inlineMarkdown(text) {
+    return escapeHtml(text).replace(/`([^`]+)`|\*\*([^*]+)\*\*|\*([^*]+)\*/g, (match, code, bold, italic) => {
+        if (code !== undefined) return `<code>${code}</code>`;
+        if (bold !== undefined) return `<strong>${bold}</strong>`;
+        return `<em>${italic}</em>`;
+    });
+}
+
+// Content arrays: strings, nested arrays for sub-points and {text, children} objects
+function renderList(items) {
+    const entries = [];
+    for (const item of Array.isArray(items) ? items : [items]) {
+        if (Array.isArray(item)) {
+            const nested = renderList(item);
+            if (entries.length > 0) {
+                entries[entries.length - 1] = entries[entries.length - 1].replace(/<\/li>$/, `${nested}</li>`);
+            } else if (nested) {
+                entries.push(`<li class="nested">${nested}</li>`);
+            }
+        } else if (item && typeof item === 'object') {
+            const nested = item.children || item.subpoints || item.points;
+            const children = Array.isArray(nested) && nested.length > 0 ? renderList(nested) : '';
+            entries.push(`<li>${inlineMarkdown(item.text || '')}${children}</li>`);
+        } else if (item !== null && item !== undefined && String(item).trim()) {
+            entries.push(`<li>${inlineMarkdown(String(item).trim())}</li>`);
+        }
+    }
+    return entries.length > 0 ? `<ul>${entries.join('')}</ul>` : '';
+}
+
+function plainLines(items) {
+    return (Array.isArray(items) ? items : [items])
+        .flat(Infinity)
+        .map(item => item && typeof item === 'object' ? item.text : item)
+        .filter(item => item !== null && item !== undefined && String(item).trim())
+        .map(item => `<p>${inlineMarkdown(String(item).trim())}</p>`)
+        .join('');
+}
+
+function notesText(notes) {
+    const paragraphs = Array.isArray(notes) ? notes.map(String) : String(notes || '').split(/\n\s*\n/);
+    return paragraphs.map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+function renderTable(table) {
+    const head = table.headers.length > 0
+        ? `<thead><tr>${table.headers.map(cell => `<th>${inlineMarkdown(cell)}</th>`).join('')}</tr></thead>`
+        : '';
+    const body = table.rows
+        .map(row => `<tr>${row.map(cell => `<td${/^[-+$€£¥]?[\d.,]+%?$/.test(cell) ? ' class="number"' : ''}>${inlineMarkdown(cell)}</td>`).join('')}</tr>`)
+        .join('');
+    return `<table>${head}<tbody>${body}</tbody></table>`;
+}
+
+function formatValue(value) {
+    return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+}
+
+function renderLegend(labels) {
+    return `<ul class="legend">${labels.map((label, index) =>
+        `<li><span class="swatch" style="background: var(--${ACCENTS[index % ACCENTS.length]})"></span>${escapeHtml(label)}</li>`
+    ).join('')}</ul>`;
+}
+
+function renderPie(chart) {
+    const values = chart.series[0].values.map(value => Math.max(0, value || 0));
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (total === 0) {
+        return '';
+    }
+
+    const [cx, cy, radius] = [225, 225, 200];
+    const inner = chart.type === 'doughnut' ? radius * 0.55 : 0;
+    const point = (angle, r) => `${(cx + r * Math.sin(angle)).toFixed(2)} ${(cy - r * Math.cos(angle)).toFixed(2)}`;
+    let angle = 0;
+
+    const slices = values.map((value, index) => {
+        const sweep = value / total * Math.PI * 2;
+        const start = angle;
+        angle += sweep;
+        if (value === 0) {
+            return '';
+        }
+        const fill = `var(--${ACCENTS[index % ACCENTS.length]})`;
+        if (sweep >= Math.PI * 2 - 1e-6) {
+            return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${fill}"/>` +
+                (inner ? `<circle cx="${cx}" cy="${cy}" r="${inner}" fill="var(--lt1)"/>` : '');
+        }
+        const large = sweep > Math.PI ? 1 : 0;
+        const outerArc = `M ${point(start, radius)} A ${radius} ${radius} 0 ${large} 1 ${point(angle, radius)}`;
+        const path = inner
+            ? `${outerArc} L ${point(angle, inner)} A ${inner} ${inner} 0 ${large} 0 ${point(start, inner)} Z`
+            : `${outerArc} L ${cx} ${cy} Z`;
+        return `<path d="${path}" fill="${fill}" stroke="var(--lt1)" stroke-width="2"/>`;
+    }).join('');
+
+    const labels = chart.categories.map((category, index) => `${category} (${Math.round(values[index] / total * 100)}%)`);
+    return `<div class="chart chart-pie"><svg viewBox="0 0 450 450" role="img" aria-label="${escapeHtml(chart.title || 'Chart')}">${slices}</svg>${renderLegend(labels)}</div>`;
+}
+
+function renderAxisChart(chart) {
+    const plot = { left: 70, right: 780, top: 20, bottom: 380 };
+    const values = chart.series.flatMap(entry => entry.values).filter(value => value !== null);
+    const max = Math.max(0, ...values);
+    const min = Math.min(0, ...values);
+    const range = max - min || 1;
+    const y = (value) => plot.bottom - (value - min) / range * (plot.bottom - plot.top);
+    const slot = (plot.right - plot.left) / chart.categories.length;
+
+    const gridLines = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+        const value = min + range * fraction;
+        return `<line x1="${plot.left}" x2="${plot.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" class="grid"/>` +
+            `<text x="${plot.left - 8}" y="${(y(value) + 5).toFixed(1)}" text-anchor="end">${formatValue(value)}</text>`;
+    }).join('');
+
+    const labels = chart.categories.map((category, index) =>
+        `<text x="${(plot.left + slot * (index + 0.5)).toFixed(1)}" y="${plot.bottom + 28}" text-anchor="middle">${escapeHtml(category.length > 18 ? `${category.slice(0, 17)}…` : category)}</text>`
+    ).join('');
+
+    let marks;
+    if (chart.type === 'line') {
+        marks = chart.series.map((entry, seriesIndex) => {
+            const color = `var(--${ACCENTS[seriesIndex % ACCENTS.length]})`;
+            const points = entry.values
+                .map((value, index) => value === null ? null : [plot.left + slot * (index + 0.5), y(value)])
+                .filter(Boolean);
+            return `<polyline points="${points.map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="4"/>` +
+                points.map(([px, py]) => `<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="6" fill="${color}"/>`).join('');
+        }).join('');
+    } else {
+        const barWidth = slot * 0.7 / chart.series.length;
+        marks = chart.series.map((entry, seriesIndex) => entry.values.map((value, index) => {
+            if (value === null) {
+                return '';
+            }
+            const x = plot.left + slot * index + slot * 0.15 + barWidth * seriesIndex;
+            const top = Math.min(y(value), y(0));
+            return `<rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${Math.abs(y(value) - y(0)).toFixed(1)}" fill="var(--${ACCENTS[seriesIndex % ACCENTS.length]})"/>`;
+        }).join('')).join('');
+    }
+
+    const legend = chart.series.length > 1 ? renderLegend(chart.series.map(entry => entry.name)) : '';
+    return `<div class="chart"><svg viewBox="0 0 800 420" role="img" aria-label="${escapeHtml(chart.title || 'Chart')}">${gridLines}${marks}<line x1="${plot.left}" x2="${plot.right}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" class="axis"/>${labels}</svg>${legend}</div>`;
+}
+
+function renderChart(chart) {
+    return chart.type === 'pie' || chart.type === 'doughnut' ? renderPie(chart) : renderAxisChart(chart);
+}
+
+function renderSlideBody(slide, type) {
+    const table = normalizeTable(slide.table);
+    const chart = normalizeChart(slide.chart);
+    const title = escapeHtml(slide.title || '');
+
+    if (type === 'title' || type === 'section' || type === 'closing') {
+        return `<div class="centered"><h1>${inlineMarkdown(slide.title || '')}</h1><div class="subtitle">${plainLines(slide.content || [])}</div></div>`;
+    }
+
+    if (type === 'quote') {
+        // The stylesheet adds the quotation marks
+        const quote = (Array.isArray(slide.content) ? slide.content : [slide.content]).flat(Infinity).filter(Boolean).join(' ')
+            .trim().replace(/^["“”]+|["“”]+$/g, '');
+        const attribution = slide.attribution ? `<footer>— ${escapeHtml(String(slide.attribution).replace(/^[-–—\s]+/, ''))}</footer>` : '';
+        return `${title ? `<h2>${title}</h2>` : ''}<blockquote><p>${inlineMarkdown(quote)}</p>${attribution}</blockquote>`;
+    }
+
+    const heading = `<h2>${inlineMarkdown(slide.title || '')}</h2>`;
+    if (chart) {
+        return `${heading}<div class="body">${renderList(slide.content || [])}${renderChart(chart)}</div>`;
+    }
+    if (table) {
+        return `${heading}<div class="body">${renderList(slide.content || [])}${renderTable(table)}</div>`;
+    }
+    if (type === 'two-column' || type === 'comparison') {
+        const columns = normalizeColumns(slide).map(column =>
+            `<div>${column.heading ? `<h3>${inlineMarkdown(column.heading)}</h3>` : ''}${renderList(column.content)}</div>`
+        ).join('');
+        return `${heading}<div class="body columns">${columns}</div>`;
+    }
+    return `${heading}<div class="body">${renderList(slide.content || [])}</div>`;
+}
+
+function themeColors(theme) {
+    const scheme = (theme && theme.colorScheme) || {};
+    const colors = {};
+    for (const [slot, fallback] of Object.entries(DEFAULT_COLORS)) {
+        // Scheme references and preset names can't be resolved here
+        colors[slot] = /^#[0-9a-f]{6}$/i.test(scheme[slot] || '') ? scheme[slot] : fallback;
+    }
+    return colors;
+}
+
+// Typefaces come from the template and end up inside a <style> element: only letters, digits, spaces,
+// hyphens and dots are kept, so a name can't close the string, the rule or the element
+function fontFamily(font) {
+    const latin = font && font.latin && !font.latin.startsWith('+') ? font.latin.replace(/[^\p{L}\p{N} \-.]/gu, '').trim() : '';
+    return latin ? `"${latin}", ${FALLBACK_FONTS}` : FALLBACK_FONTS;
+}
+
+function buildStyles(colors, theme, slideSize) {
+    const fonts = (theme && theme.fontScheme) || {};
+    const width = slideSize.cx / EMU_PER_INCH;
+    const height = slideSize.cy / EMU_PER_INCH;
+    const variables = Object.entries(colors).map(([slot, color]) => `--${slot}: ${color};`).join(' ');
+
+    return `:root { ${variables} --heading-font: ${fontFamily(fonts.majorFont)}; --body-font: ${fontFamily(fonts.minorFont)}; --ratio: ${width / height}; }
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; background: #1b1b1b; font-family: var(--body-font); }
+.deck { position: absolute; inset: 0; display: flex; align-items: center; justify-content: center; }
+.stage { position: relative; width: min(100vw, calc(100vh * var(--ratio))); aspect-ratio: var(--ratio); font-size: calc(min(100vw, calc(100vh * var(--ratio))) / ${WIDTH_IN_EM}); }
+.slide { position: absolute; inset: 0; display: none; flex-direction: column; padding: 2.4em 3.2em; overflow: hidden; background: var(--lt1); color: var(--dk1); }
+.slide.active { display: flex; }
+.slide h1, .slide h2, .slide h3 { font-family: var(--heading-font); color: var(--dk2); margin: 0; font-weight: 600; }
+.slide h1 { font-size: 2.8em; }
+.slide h2 { font-size: 1.9em; padding-bottom: 0.3em; border-bottom: 0.08em solid var(--accent1); margin-bottom: 0.8em; }
+.slide h3 { font-size: 1.2em; color: var(--accent1); margin-bottom: 0.4em; }
+.body { flex: 1; min-height: 0; display: flex; flex-direction: column; gap: 0.8em; font-size: 1.15em; }
+.body ul { margin: 0; padding-left: 1.2em; }
+.body li { margin: 0.3em 0; }
+.body li ul { font-size: 0.9em; }
+.body li.nested { list-style: none; }
+.columns { flex-direction: row; gap: 2em; }
+.columns > div { flex: 1; }
+.centered { flex: 1; display: flex; flex-direction: column; justify-content: center; align-items: center; text-align: center; }
+.slide-section { background: var(--dk2); }
+.slide-section h1, .slide-section .subtitle { color: var(--lt1); }
+.subtitle { font-size: 1.3em; margin-top: 0.8em; color: var(--dk2); }
+.subtitle p { margin: 0.2em 0; }
+blockquote { flex: 1; margin: 0; display: flex; flex-direction: column; justify-content: center; }
+blockquote p { font-family: var(--heading-font); font-size: 2em; font-style: italic; text-align: center; margin: 0; }
+blockquote p::before { content: "\\201C"; } blockquote p::after { content: "\\201D"; }
+blockquote footer { text-align: right; margin-top: 1em; font-size: 1.1em; color: var(--accent1); }
+table { border-collapse: collapse; width: 100%; font-size: 0.85em; }
+th { background: var(--accent1); color: var(--lt1); text-align: left; }
+th, td { padding: 0.35em 0.6em; border-bottom: 0.05em solid var(--lt2); }
+tbody tr:nth-child(even) { background: color-mix(in srgb, var(--accent1) 8%, var(--lt1)); }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+code { font-family: Consolas, "Courier New", monospace; background: var(--lt2); padding: 0 0.2em; }
+.chart { flex: 1; min-height: 0; display: flex; align-items: center; gap: 1em; }
+.chart svg { flex: 1; max-height: 100%; max-width: 100%; }
+.chart-pie svg { max-width: 50%; }
+.chart text { font-size: 14px; fill: var(--dk1); font-family: var(--body-font); }
+.chart .grid { stroke: var(--lt2); stroke-width: 1; } .chart .axis { stroke: var(--dk1); stroke-width: 1.5; }
+.legend { list-style: none; padding: 0; margin: 0; font-size: 0.8em; }
+.legend li { margin: 0.3em 0; } .swatch { display: inline-block; width: 0.8em; height: 0.8em; margin-right: 0.4em; vertical-align: middle; }
+.slide-number { position: absolute; right: 1.2em; bottom: 0.8em; font-size: 0.7em; opacity: 0.6; }
+.notes { display: none; }
+.speaker { display: none; }
+body.speaker-view .deck { right: 40%; }
+body.speaker-view .speaker { display: flex; flex-direction: column; gap: 1em; position: absolute; top: 0; right: 0; bottom: 0; width: 40%; padding: 1.5em; overflow-y: auto; background: #262626; color: #f0f0f0; font: 16px/1.5 ${FALLBACK_FONTS}; }
+.speaker header { display: flex; justify-content: space-between; font-weight: 600; }
+.speaker .speaker-notes { font-size: 1.2em; white-space: pre-wrap; }
+.speaker .speaker-next { opacity: 0.7; }
+.help { position: fixed; left: 1em; bottom: 1em; color: #aaa; font: 12px ${FALLBACK_FONTS}; }
+@page { size: ${width.toFixed(3)}in ${height.toFixed(3)}in; margin: 0; }
+@media print {
+  html, body { background: none; height: auto; }
+  .deck { position: static; display: block; }
+  .stage { width: ${width.toFixed(3)}in; font-size: ${(width / WIDTH_IN_EM).toFixed(4)}in; aspect-ratio: auto; }
+  .slide { position: relative; display: flex; width: ${width.toFixed(3)}in; height: ${height.toFixed(3)}in; break-after: page; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .speaker, .help { display: none !important; }
+}`;
+}
+
+const SCRIPT = `(function () {
+  var slides = Array.prototype.slice.call(document.querySelectorAll('.slide'));
+  var notes = JSON.parse(document.getElementById('speaker-data').textContent);
+  var current = 0;
+  var started = Date.now();
+  function show(index) {
+    current = Math.max(0, Math.min(slides.length - 1, index));
+    slides.forEach(function (slide, i) { slide.classList.toggle('active', i === current); });
+    history.replaceState(null, '', '#' + (current + 1));
+    document.getElementById('speaker-position').textContent = (current + 1) + ' / ' + slides.length;
+    document.getElementById('speaker-notes').textContent = notes[current].notes || 'No notes for this slide.';
+    document.getElementById('speaker-next').textContent = current + 1 < slides.length ? 'Next: ' + notes[current + 1].title : 'End of presentation';
+  }
+  function tick() {
+    var seconds = Math.floor((Date.now() - started) / 1000);
+    document.getElementById('speaker-timer').textContent = Math.floor(seconds / 60) + ':' + ('0' + seconds % 60).slice(-2);
+  }
+  document.addEventListener('keydown', function (event) {
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+    switch (event.key) {
+      case 'ArrowRight': case 'ArrowDown': case 'PageDown': case ' ': case 'Enter': show(current + 1); break;
+      case 'ArrowLeft': case 'ArrowUp': case 'PageUp': case 'Backspace': show(current - 1); break;
+      case 'Home': show(0); break;
+      case 'End': show(slides.length - 1); break;
+      case 'n': case 'N': case 's': case 'S': document.body.classList.toggle('speaker-view'); break;
+      case 'f': case 'F':
+        if (document.fullscreenElement) { document.exitFullscreen(); } else if (document.documentElement.requestFullscreen) { document.documentElement.requestFullscreen(); }
+        break;
+      default: return;
+    }
+    event.preventDefault();
+  });
+  document.querySelector('.deck').addEventListener('click', function (event) {
+    var bounds = event.currentTarget.getBoundingClientRect();
+    show(event.clientX - bounds.left < bounds.width / 3 ? current - 1 : current + 1);
+  });
+  setInterval(tick, 1000);
+  show((parseInt(location.hash.slice(1), 10) || 1) - 1);
+})();`;
+
+/**
+ * Renders a slide structure as a single self-contained HTML slideshow.
+ * Arrow keys, Page Up/Down and Space navigate, N toggles the speaker view (notes, next slide, timer),
+ * F toggles full screen, and printing gives one slide per page.
+ * @param {{title?: string, slides: Array}} slideStructure
+ * @param {{theme?: Object, slideSize?: {cx: number, cy: number}}} [options] - Template theme (colorScheme, fontScheme)
+ *   and slide size in EMU, as TemplateAnalyzer reports them
+ * @returns {string}
+ */
+function buildHtmlSlideshow(slideStructure, options = {}) {
+    const slides = (slideStructure && slideStructure.slides) || [];
+    const slideSize = options.slideSize && options.slideSize.cx && options.slideSize.cy
+        ? options.slideSize
+        : { cx: 12192000, cy: 6858000 };
+    const colors = themeColors(options.theme);
+    const title = slideStructure.title || (slides[0] && slides[0].title) || 'Presentation';
+
+    const sections = slides.map((slide, index) => {
+        const type = SLIDE_TYPE_ALIASES[slide.type] || slide.type || 'content';
+        const notes = notesText(slide.notes);
+        return `<section class="slide slide-${escapeHtml(type)}" aria-label="Slide ${index + 1}">
+${renderSlideBody(slide, type)}
+<span class="slide-number">${index + 1}</span>
+${notes.length > 0 ? `<aside class="notes">${notes.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')}</aside>` : ''}
+</section>`;
+    }).join('\n');
+
+    // Notes for the speaker view; "<" is escaped so the JSON cannot close the script element
+    const speakerData = JSON.stringify(slides.map((slide, index) => ({
+        title: slide.title || `Slide ${index + 1}`,
+        notes: notesText(slide.notes).join('\n\n')
+    }))).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="TextToSlides">
+<title>${escapeHtml(title)}</title>
+<style>
+${buildStyles(colors, options.theme, slideSize)}
+</style>
+</head>
+<body>
+<main class="deck"><div class="stage">
+${sections}
+</div></main>
+<div class="speaker" aria-live="polite">
+<header><span id="speaker-position"></span><span id="speaker-timer">0:00</span></header>
+<div class="speaker-notes" id="speaker-notes"></div>
+<div class="speaker-next" id="speaker-next"></div>
+</div>
+<div class="help">← → to navigate · N speaker view · F full screen</div>
+<script type="application/json" id="speaker-data">${speakerData}</script>
+<script>
+${SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { buildHtmlSlideshow };
@@ -0,0 +1,181 @@
+// In-memory registry of background generation jobs with step events
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // Finished jobs and their files are kept for an hour
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+class JobManager extends EventEmitter {
+    /**
+     * @param {{outputDir: string, ttlMs?: number}} options
+     */
+    constructor(options) {
+        super();
+        this.outputDir = options.outputDir;
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.jobs = new Map();
+
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Registers a new queued job.
+     * @param {Object} [meta] - Request details worth echoing back (provider, model, ...)
+     * @returns {Object} The job
+     */
+    create(meta = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            meta,
+            steps: [],
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null,
+            result: null,
+            error: null
+        };
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Runs one pipeline step, emitting running/completed/failed events with timings.
+     * @param {Object} job
+     * @param {string} name - Step id, e.g. "analyzing"
+     * @param {string} label - Human readable description
+     * @param {function(): Promise<*>} work
+     * @returns {Promise<*>} Whatever the step resolves to
+     */
+    async runStep(job, name, label, work) {
+        const step = { name, label, status: 'running', startedAt: new Date().toISOString(), finishedAt: null, durationMs: null };
+        const started = process.hrtime.bigint();
+        job.status = 'running';
+        job.steps.push(step);
+        this.publish(job, 'step', step);
+
+        try {
+            const result = await work();
+            this.finishStep(job, step, started, 'completed');
+            return result;
+        } catch (error) {
+            this.finishStep(job, step, started, 'failed');
+            throw error;
+        }
+    }
+
+    finishStep(job, step, started, status) {
+        step.status = status;
+        step.finishedAt = new Date().toISOString();
+        step.durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+        this.publish(job, 'step', step);
+    }
+
+    /**
+     * Stores the finished outputs under the output directory and marks the job completed.
+     * @param {Object} job
+     * @param {Object<string, Buffer|string>} outputs - File contents by format, e.g. { pptx, html }
+     * @param {Object} [details] - Extra result fields (slide count, ...)
+     */
+    async complete(job, outputs, details = {}) {
+        const files = {};
+        for (const [format, content] of Object.entries(outputs)) {
+            files[format] = `${job.id}.${format}`;
+            await fs.promises.writeFile(path.join(this.outputDir, files[format]), content);
+        }
+
+        job.status = 'completed';
+        job.finishedAt = new Date().toISOString();
+        job.result = { files, formats: Object.keys(files), size: outputs.pptx ? outputs.pptx.length : undefined, ...details };
+        this.publish(job, 'completed', this.serialize(job));
+    }
+
+    /**
+     * Marks the job failed with a client-safe error description.
+     * @param {Object} job
+     * @param {{error: string, details?: string}} error
+     */
+    fail(job, error) {
+        job.status = 'failed';
+        job.finishedAt = new Date().toISOString();
+        job.error = error;
+        this.publish(job, 'failed', this.serialize(job));
+    }
+
+    /**
+     * Absolute path of a completed job's output file in the given format, or null.
+     * @param {Object} job
+     * @param {string} [format]
+     * @returns {string|null}
+     */
+    outputPath(job, format = 'pptx') {
+        const filename = job && job.result && job.result.files[format];
+        return filename ? path.join(this.outputDir, filename) : null;
+    }
+
+    isFinished(job) {
+        return job.status === 'completed' || job.status === 'failed';
+    }
+
+    serialize(job) {
+        const elapsedUntil = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+        return {
+            id: job.id,
+            status: job.status,
+            meta: job.meta,
+            steps: job.steps,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            finishedAt: job.finishedAt,
+            elapsedMs: elapsedUntil - Date.parse(job.createdAt),
+            result: job.result ? this.publicResult(job.result) : null,
+            error: job.error
+        };
+    }
+
+    publicResult(result) {
+        // File names are an implementation detail; clients use the download endpoint
+        const { files, ...rest } = result;
+        return rest;
+    }
+
+    /**
+     * Listens for a job's events until it finishes.
+     * @param {string} id
+     * @param {function(string, Object): void} listener - Called with (event, payload)
+     * @returns {function(): void} Unsubscribe
+     */
+    subscribe(id, listener) {
+        const channel = `job:${id}`;
+        const handler = ({ event, payload }) => listener(event, payload);
+        this.on(channel, handler);
+        return () => this.off(channel, handler);
+    }
+
+    publish(job, event, payload) {
+        job.updatedAt = new Date().toISOString();
+        this.emit(`job:${job.id}`, { event, payload });
+    }
+
+    sweep() {
+        const cutoff = Date.now() - this.ttlMs;
+        for (const [id, job] of this.jobs) {
+            if (this.isFinished(job) && Date.parse(job.finishedAt) < cutoff) {
+                for (const format of job.result ? job.result.formats : []) {
+                    fs.promises.unlink(this.outputPath(job, format)).catch(() => {});
+                }
+                this.jobs.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = JobManager;
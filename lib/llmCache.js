@@ -0,0 +1,179 @@
+// Cache for provider results (text analyses and slide structures), keyed by a hash of everything that
+// shapes the prompt, with an in-memory and an on-disk backend
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHED_METHODS = ['analyzeText', 'generateSlideStructure'];
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+// Values are stored as JSON so callers can't change a cached result by mutating what they got back
+class MemoryCacheBackend {
+    /**
+     * @param {{maxEntries?: number}} [options] - Past `maxEntries` the least recently used entries go
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.entries = new Map(); // key -> { json, expiresAt }, least recently used first
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            return null;
+        }
+        this.entries.set(key, entry);
+        return JSON.parse(entry.json);
+    }
+
+    async set(key, value, expiresAt) {
+        this.entries.delete(key);
+        this.entries.set(key, { json: JSON.stringify(value), expiresAt });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+// One JSON file per entry; past `maxBytes` the least recently written files go
+class DiskCacheBackend {
+    /**
+     * @param {{dir: string, maxBytes?: number}} options
+     */
+    constructor(options) {
+        this.dir = options.dir;
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    async get(key) {
+        let entry;
+        try {
+            entry = JSON.parse(await fs.promises.readFile(this.entryPath(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            await fs.promises.unlink(this.entryPath(key)).catch(() => {});
+            return null;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, expiresAt) {
+        await fs.promises.writeFile(this.entryPath(key), JSON.stringify({ expiresAt, value }));
+        await this.evict();
+    }
+
+    // Drops expired entries, then the oldest ones until the directory fits in `maxBytes`
+    async evict() {
+        const files = [];
+        for (const name of await fs.promises.readdir(this.dir)) {
+            if (name.endsWith('.json')) {
+                const file = path.join(this.dir, name);
+                const stats = await fs.promises.stat(file).catch(() => null);
+                if (stats) {
+                    files.push({ file, size: stats.size, modified: stats.mtimeMs });
+                }
+            }
+        }
+
+        let total = files.reduce((sum, file) => sum + file.size, 0);
+        for (const { file, size } of files.sort((a, b) => a.modified - b.modified)) {
+            if (total <= this.maxBytes) {
+                break;
+            }
+            await fs.promises.unlink(file).catch(() => {});
+            total -= size;
+        }
+    }
+
+    entryPath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+}
+
+class LlmCache {
+    /**
+     * @param {{backend: MemoryCacheBackend|DiskCacheBackend, ttlMs?: number}} options
+     */
+    constructor(options) {
+        this.backend = options.backend;
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    }
+
+    static key(parts) {
+        return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    }
+
+    /**
+     * Wraps a provider so its analyses and slide structures are served from the cache when the same
+     * provider, model, prompt version and inputs were seen before. Other methods pass through.
+     * @param {Object} provider
+     * @param {{provider: string, model: ?string, baseUrl: ?string, promptVersion: number}} identity -
+     *   Everything besides the call's own arguments that shapes the prompt and the answer
+     * @param {{bypass?: boolean}} [options] - `bypass` skips lookups but still stores the fresh results
+     * @returns {{provider: Object, report: Object}} The wrapped provider, and the report of its hits and
+     *   misses, filled in as calls are made
+     */
+    wrap(provider, identity, { bypass = false } = {}) {
+        const report = { enabled: true, bypassed: bypass, hits: 0, misses: 0, calls: [] };
+        const cached = Object.create(provider);
+
+        for (const method of CACHED_METHODS) {
+            cached[method] = async (input, guidance = '', options = {}) => {
+                const key = LlmCache.key({ method, ...identity, input, guidance, options });
+                const stored = bypass ? null : await this.get(key);
+                report.calls.push({ method, hit: stored !== null });
+                if (stored !== null) {
+                    report.hits++;
+                    return stored;
+                }
+
+                report.misses++;
+                const value = await provider[method](input, guidance, options);
+                await this.set(key, value);
+                return value;
+            };
+        }
+
+        return { provider: cached, report };
+    }
+
+    // A broken cache costs a model call, never the request
+    async get(key) {
+        try {
+            return await this.backend.get(key);
+        } catch (error) {
+            console.error('LLM cache read failed:', error.message);
+            return null;
+        }
+    }
+
+    async set(key, value) {
+        try {
+            await this.backend.set(key, value, Date.now() + this.ttlMs);
+        } catch (error) {
+            console.error('LLM cache write failed:', error.message);
+        }
+    }
+}
+
+/**
+ * Report for a request served without the cache.
+ * @returns {Object}
+ */
+function uncachedReport() {
+    return { enabled: false, bypassed: false, hits: 0, misses: 0, calls: [] };
+}
+
+module.exports = { LlmCache, MemoryCacheBackend, DiskCacheBackend, uncachedReport };
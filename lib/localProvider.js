@@ -0,0 +1,529 @@
+// Offline heuristic outline provider: builds the analysis and slide structure without an LLM
+const { detectTables } = require('./tableDetection');
+
+const STOP_WORDS = new Set((
+    'a about above after again against all am an and any are as at be because been before being below between both but by ' +
+    'can could did do does doing down during each few for from further had has have having he her here hers herself him ' +
+    'himself his how i if in into is it its itself just me more most my myself no nor not now of off on once only or other ' +
+    'our ours ourselves out over own same she should so some such than that the their theirs them themselves then there ' +
+    'these they this those through to too under until up very was we were what when where which while who whom why will ' +
+    'with would you your yours yourself yourselves also may might must shall us its including include includes'
+).split(' '));
+
+const MAX_POINTS_PER_SLIDE = 6;
+const SUMMARY_SENTENCES = 3;
+
+// A figure with a unit: currency sign, percent or scale word
+const FIGURE = /([$€£¥]?)(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\s?(%|k\b|m\b|bn\b|million\b|billion\b)?/gi;
+const CHART_POINTS = { min: 3, max: 8 };
+
+// Lead-ins that add words but no meaning to a bullet
+const FILLER = /^(?:in addition|additionally|furthermore|moreover|also|basically|overall|it is important to note that|note that|please note that),?\s+/i;
+// Slides whose lines are headings or quotations rather than bullets to tighten
+const UNTIGHTENED_TYPES = new Set(['title', 'section', 'closing', 'quote']);
+
+class LocalProvider {
+    constructor(config = {}) {
+        this.model = config.model || 'heuristic';
+        this.maxPointsPerSlide = config.maxPointsPerSlide || MAX_POINTS_PER_SLIDE;
+        // No context window: long documents are parsed whole instead of chunked
+        this.supportsLongInput = true;
+    }
+
+    /**
+     * Builds an analysis from markdown structure and sentence ranking, in the same shape the LLM providers return.
+     * @param {string} text - Source text or markdown
+     * @param {string} guidance - Optional framing, echoed into the structure description
+     * @param {{constraints?: Object}} [options] - Slide limits; density limits shape the slide estimate
+     * @returns {Promise<{title: string, themes: string[], keyPoints: Object, summaries: Object, slideCount: number, structure: string}>}
+     */
+    async analyzeText(text, guidance = '', options = {}) {
+        const perSlide = this.pointsPerSlide(options);
+        const blocks = this.parseBlocks(text);
+        const sections = this.buildSections(blocks);
+        const title = this.findTitle(blocks, sections);
+
+        const themes = [];
+        const keyPoints = {};
+        const summaries = {};
+        const tables = [];
+
+        for (const section of sections) {
+            const points = [...section.points];
+            const paragraphText = section.paragraphs.join(' ');
+            const ranked = this.rankSentences(paragraphText, text).slice(0, SUMMARY_SENTENCES);
+
+            // Prose-only sections are summarized by their strongest sentences
+            if (points.length === 0) {
+                points.push(...ranked);
+            }
+            if (points.length === 0 && section.tables.length === 0) {
+                continue;
+            }
+
+            const theme = this.uniqueName(section.heading || (paragraphText ? this.headlineFor(paragraphText) : ''), keyPoints);
+            themes.push(theme);
+            keyPoints[theme] = points;
+            summaries[theme] = section.paragraphs.length > 0 ? section.paragraphs.join('\n\n') : '';
+            tables.push(...section.tables.map(table => ({ title: theme, theme, headers: table.headers, rows: table.rows })));
+        }
+
+        const slideCount = 1 + tables.length + themes.reduce((count, theme) => {
+            const topLevel = this.countTopLevel(keyPoints[theme]);
+            return count + (topLevel > 0 ? Math.ceil(topLevel / perSlide) : 0);
+        }, 0);
+
+        return {
+            title,
+            themes,
+            keyPoints,
+            summaries,
+            tables,
+            slideCount,
+            structure: themes.length > 0
+                ? `Title slide followed by ${themes.length} sections in source order${guidance ? `, framed as: ${guidance}` : ''}`
+                : 'Single title slide'
+        };
+    }
+
+    /**
+     * Turns an analysis into a title slide plus one content slide per theme, splitting long themes.
+     * A theme's tables follow its bullet slides as table slides; a theme whose points are all figures becomes a chart,
+     * one made of two points with sub-points (pros and cons, before and after) a comparison and a lone
+     * blockquote a quote slide.
+     * @param {Object} analysis - Result of analyzeText
+     * @param {string} guidance - Optional subtitle for the title slide
+     * @param {{constraints?: Object}} [options] - Slide limits; maxBulletsPerSlide sets where themes split
+     * @returns {Promise<{totalSlides: number, slides: Array}>}
+     */
+    async generateSlideStructure(analysis, guidance = '', options = {}) {
+        const perSlide = this.pointsPerSlide(options);
+        const slides = [{
+            slideNumber: 1,
+            type: 'title',
+            title: analysis.title || 'Presentation',
+            content: guidance ? [guidance] : [],
+            notes: this.openingNotes(analysis.themes || [])
+        }];
+
+        for (const theme of analysis.themes || []) {
+            const points = (analysis.keyPoints && analysis.keyPoints[theme]) || [];
+            const tables = (analysis.tables || []).filter(table => table.theme === theme);
+            // A single lead-in line goes above the first table instead of on a slide of its own
+            const leadIn = tables.length > 0 && points.length <= 1 ? points : [];
+            const chunks = leadIn.length === 0 && (points.length > 0 || tables.length === 0) ? this.chunkPoints(points, perSlide) : [];
+            const summary = (analysis.summaries && analysis.summaries[theme]) || '';
+
+            const chart = tables.length === 0 ? this.chartFromPoints(points) : null;
+            if (chart) {
+                slides.push({
+                    slideNumber: slides.length + 1,
+                    type: 'chart',
+                    title: theme,
+                    content: [],
+                    chart,
+                    notes: [summary, this.notesFromPoints(points)].filter(Boolean).join('\n\n')
+                });
+                continue;
+            }
+
+            const quote = tables.length === 0 ? this.quoteFromPoints(points) : null;
+            if (quote) {
+                slides.push({
+                    slideNumber: slides.length + 1,
+                    type: 'quote',
+                    title: theme,
+                    content: [quote.text],
+                    attribution: quote.attribution,
+                    notes: summary
+                });
+                continue;
+            }
+
+            const columns = tables.length === 0 ? this.columnsFromPoints(points) : null;
+            if (columns) {
+                slides.push({
+                    slideNumber: slides.length + 1,
+                    type: 'comparison',
+                    title: theme,
+                    content: [],
+                    columns,
+                    notes: summary || this.notesFromPoints(points)
+                });
+                continue;
+            }
+
+            chunks.forEach((chunk, index) => {
+                slides.push({
+                    slideNumber: slides.length + 1,
+                    type: 'content',
+                    title: index === 0 ? theme : `${theme} (cont.)`,
+                    content: chunk,
+                    notes: index === 0 && summary ? summary : this.notesFromPoints(chunk)
+                });
+            });
+
+            tables.forEach((table, index) => {
+                slides.push({
+                    slideNumber: slides.length + 1,
+                    type: 'table',
+                    title: table.title || theme,
+                    content: index === 0 ? leadIn : [],
+                    table: { headers: table.headers, rows: table.rows },
+                    notes: chunks.length === 0 && index === 0 ? summary : ''
+                });
+            });
+        }
+
+        return {
+            totalSlides: slides.length,
+            slides
+        };
+    }
+
+    /**
+     * Tightens an existing deck's wording without a model: each bullet keeps its first sentence (the rest
+     * moves to the slide's notes), lead-in filler is dropped and so is a closing full stop.
+     * @param {{slides: Array}} structure - Slides extracted from a source deck
+     * @param {string} guidance - Unused; accepted for parity with the LLM providers
+     * @param {{constraints?: Object}} [options] - Unused; limits are enforced after tightening
+     * @returns {Promise<{totalSlides: number, slides: Array}>}
+     */
+    async tightenSlideStructure(structure, guidance = '', options = {}) {
+        const slides = structure.slides.map(slide => {
+            if (UNTIGHTENED_TYPES.has(slide.type)) {
+                return slide;
+            }
+
+            const moved = [];
+            const tighten = (items) => items.map(item => {
+                if (Array.isArray(item)) {
+                    return tighten(item);
+                }
+                if (item && typeof item === 'object') {
+                    return { ...item, text: this.tightenBullet(String(item.text || ''), moved) };
+                }
+                return this.tightenBullet(String(item), moved);
+            });
+
+            const tightened = { ...slide, content: tighten(slide.content || []) };
+            if (Array.isArray(slide.columns)) {
+                tightened.columns = slide.columns.map(column => ({ ...column, content: tighten(column.content || []) }));
+            }
+            if (moved.length > 0) {
+                const notes = Array.isArray(slide.notes) ? slide.notes.join('\n\n') : slide.notes || '';
+                tightened.notes = [notes, moved.join(' ')].filter(Boolean).join('\n\n');
+            }
+            return tightened;
+        });
+
+        return { totalSlides: slides.length, slides };
+    }
+
+    tightenBullet(text, moved) {
+        const [first, ...rest] = text.trim().split(/(?<=[.!?])\s+(?=["'(\[]?[A-Z0-9])/);
+        moved.push(...rest);
+        const trimmed = (first || '').replace(FILLER, '').replace(/(?<!\.)\.$/, '');
+        return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+    }
+
+    parseBlocks(text) {
+        // Reduce markdown to headings, list items (with depth), tables and paragraphs
+        const blocks = [];
+        let paragraph = [];
+        const tables = detectTables(text);
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push({ kind: 'paragraph', text: paragraph.join(' ') });
+                paragraph = [];
+            }
+        };
+
+        String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+            const table = tables.find(candidate => index >= candidate.startLine && index <= candidate.endLine);
+            if (table) {
+                if (index === table.startLine) {
+                    flushParagraph();
+                    blocks.push({ kind: 'table', table });
+                }
+                return;
+            }
+
+            const line = rawLine.replace(/\t/g, '    ');
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+            const listItem = line.match(/^(\s*)([-*+•]|\d+[.)])\s+(.+)$/);
+
+            if (heading) {
+                flushParagraph();
+                blocks.push({ kind: 'heading', level: heading[1].length, text: this.cleanInline(heading[2]) });
+            } else if (listItem) {
+                flushParagraph();
+                blocks.push({ kind: 'list', depth: Math.floor(listItem[1].length / 2), text: listItem[3].trim() });
+            } else if (!line.trim()) {
+                flushParagraph();
+            } else {
+                paragraph.push(line.trim());
+            }
+        });
+        flushParagraph();
+
+        return blocks;
+    }
+
+    buildSections(blocks) {
+        // The top heading level below the document title starts a new section
+        const headingLevels = blocks.filter(block => block.kind === 'heading').map(block => block.level);
+        const titleLevel = headingLevels.length > 0 ? Math.min(...headingLevels) : null;
+        const titleCount = blocks.filter(block => block.kind === 'heading' && block.level === titleLevel).length;
+        const sectionLevel = titleCount === 1 && headingLevels.some(level => level > titleLevel)
+            ? Math.min(...headingLevels.filter(level => level > titleLevel))
+            : titleLevel;
+
+        const sections = [];
+        let current = null;
+        let subheading = null;
+
+        const startSection = (heading) => {
+            current = { heading, points: [], paragraphs: [], tables: [] };
+            sections.push(current);
+            subheading = null;
+        };
+
+        for (const block of blocks) {
+            if (block.kind === 'heading') {
+                if (block.level === sectionLevel) {
+                    startSection(block.text);
+                } else if (block.level < sectionLevel) {
+                    current = null;
+                } else {
+                    // Deeper headings become a point whose children are the items under them
+                    if (!current) startSection('');
+                    subheading = [];
+                    current.points.push(block.text, subheading);
+                }
+                continue;
+            }
+
+            // Without headings, paragraph boundaries are the only section breaks
+            if (!current || (titleLevel === null && block.kind === 'paragraph')) {
+                startSection('');
+            }
+
+            if (block.kind === 'table') {
+                current.tables.push(block.table);
+            } else if (block.kind === 'list') {
+                const target = subheading || current.points;
+                this.appendListItem(target, block.text, block.depth);
+            } else if (subheading) {
+                const lead = this.rankSentences(block.text, block.text)[0];
+                if (lead) subheading.push(lead);
+                current.paragraphs.push(block.text);
+            } else {
+                current.paragraphs.push(block.text);
+            }
+        }
+
+        // Drop empty sub-point arrays left by headings with no items
+        for (const section of sections) {
+            section.points = section.points.filter(point => !Array.isArray(point) || point.length > 0);
+        }
+
+        return sections.filter(section => section.points.length > 0 || section.paragraphs.length > 0 || section.tables.length > 0);
+    }
+
+    appendListItem(points, text, depth) {
+        let target = points;
+        for (let level = 0; level < depth; level++) {
+            const last = target[target.length - 1];
+            if (Array.isArray(last)) {
+                target = last;
+            } else {
+                const nested = [];
+                target.push(nested);
+                target = nested;
+            }
+        }
+        target.push(text);
+    }
+
+    findTitle(blocks, sections) {
+        const headings = blocks.filter(block => block.kind === 'heading');
+        if (headings.length > 0) {
+            const topLevel = Math.min(...headings.map(heading => heading.level));
+            const titles = headings.filter(heading => heading.level === topLevel);
+            if (titles.length === 1) {
+                return titles[0].text;
+            }
+        }
+
+        const firstParagraph = blocks.find(block => block.kind === 'paragraph');
+        if (firstParagraph) {
+            return this.headlineFor(firstParagraph.text);
+        }
+        return sections.length > 0 && sections[0].heading ? sections[0].heading : 'Presentation';
+    }
+
+    splitSentences(text) {
+        return String(text || '')
+            .split(/(?<=[.!?])\s+(?=["'(\[]?[A-Z0-9])/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.split(/\s+/).length >= 3);
+    }
+
+    tokenize(text) {
+        return (String(text).toLowerCase().match(/[a-z0-9][a-z0-9'%$-]*/g) || [])
+            .filter(word => !STOP_WORDS.has(word) && word.length > 1);
+    }
+
+    rankSentences(text, documentText) {
+        // Score sentences by the document frequency of their content words, then restore source order
+        const sentences = this.splitSentences(text);
+        if (sentences.length <= 1) {
+            return sentences;
+        }
+
+        const frequencies = {};
+        for (const word of this.tokenize(documentText)) {
+            frequencies[word] = (frequencies[word] || 0) + 1;
+        }
+
+        const scored = sentences.map((sentence, index) => {
+            const words = this.tokenize(sentence);
+            const score = words.reduce((sum, word) => sum + (frequencies[word] || 0), 0) / Math.sqrt(words.length || 1);
+            const numberBonus = /\d/.test(sentence) ? 1.2 : 1;
+            const leadBonus = index === 0 ? 1.25 : 1;
+            return { sentence, index, score: score * numberBonus * leadBonus };
+        });
+
+        return scored
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .slice(0, SUMMARY_SENTENCES)
+            .sort((a, b) => a.index - b.index)
+            .map(entry => entry.sentence);
+    }
+
+    headlineFor(text) {
+        const firstSentence = this.splitSentences(text)[0] || String(text || '').trim();
+        const words = firstSentence.replace(/[.!?]+$/, '').split(/\s+/);
+        return words.length > 8 ? `${words.slice(0, 8).join(' ')}…` : words.join(' ');
+    }
+
+    cleanInline(text) {
+        return String(text).replace(/[*_`]+/g, '').trim();
+    }
+
+    uniqueName(name, existing) {
+        const base = name || 'Overview';
+        let candidate = base;
+        let counter = 2;
+        while (Object.prototype.hasOwnProperty.call(existing, candidate)) {
+            candidate = `${base} (${counter++})`;
+        }
+        return candidate;
+    }
+
+    countTopLevel(points) {
+        return (points || []).filter(point => !Array.isArray(point)).length;
+    }
+
+    pointsPerSlide(options) {
+        const constraints = options.constraints || {};
+        return constraints.maxBulletsPerSlide || this.maxPointsPerSlide;
+    }
+
+    chunkPoints(points, perSlide) {
+        // Keep nested sub-points with their parent when splitting long sections
+        const chunks = [];
+        let current = [];
+        let topLevel = 0;
+
+        for (const point of points) {
+            if (!Array.isArray(point) && topLevel >= perSlide) {
+                chunks.push(current);
+                current = [];
+                topLevel = 0;
+            }
+            current.push(point);
+            if (!Array.isArray(point)) {
+                topLevel++;
+            }
+        }
+        if (current.length > 0) {
+            chunks.push(current);
+        }
+
+        return chunks.length > 0 ? chunks : [[]];
+    }
+
+    // Points that each state one figure in the same unit (all percentages, or the same currency) as a chart;
+    // percentages adding up to a whole make a pie, anything else a bar chart
+    chartFromPoints(points) {
+        if (points.length < CHART_POINTS.min || points.length > CHART_POINTS.max || points.some(point => typeof point !== 'string')) {
+            return null;
+        }
+
+        const figures = points.map(point => {
+            const matches = [...point.matchAll(FIGURE)];
+            if (matches.length !== 1) {
+                return null;
+            }
+            const [match, currency, whole, fraction = '', scale = ''] = matches[0];
+            const label = `${point.slice(0, matches[0].index)} ${point.slice(matches[0].index + match.length)}`
+                .replace(/\s+/g, ' ')
+                .replace(/^[\s:,–—-]+|[\s:,;.–—-]+$/g, '')
+                .replace(/^(for|in|on|of|to|at|by|from|with)\s+/i, '')
+                .trim();
+            return {
+                label: label.charAt(0).toUpperCase() + label.slice(1),
+                value: Number(`${whole.replace(/,/g, '')}${fraction}`),
+                unit: `${currency}${scale.toLowerCase()}`
+            };
+        });
+
+        if (figures.some(figure => !figure || !figure.label || !figure.unit) || new Set(figures.map(figure => figure.unit)).size > 1) {
+            return null;
+        }
+
+        const total = figures.reduce((sum, figure) => sum + figure.value, 0);
+        const isWhole = figures[0].unit === '%' && Math.abs(total - 100) <= 1;
+        return {
+            type: isWhole ? 'pie' : 'bar',
+            categories: figures.map(figure => figure.label),
+            series: [{ name: figures[0].unit === '%' ? 'Share (%)' : `Amount (${figures[0].unit})`, values: figures.map(figure => figure.value) }]
+        };
+    }
+
+    quoteFromPoints(points) {
+        if (points.length !== 1 || typeof points[0] !== 'string' || !/^>\s*/.test(points[0])) {
+            return null;
+        }
+        const [text, attribution = ''] = points[0].replace(/^>\s*/, '').split(/\s+[—–]\s+|\s+-{1,2}\s+/);
+        return { text: text.trim(), attribution: attribution.trim() };
+    }
+
+    columnsFromPoints(points) {
+        const isPair = points.length === 4 &&
+            typeof points[0] === 'string' && Array.isArray(points[1]) &&
+            typeof points[2] === 'string' && Array.isArray(points[3]);
+        if (!isPair) {
+            return null;
+        }
+        return [
+            { heading: points[0].replace(/:$/, ''), content: points[1] },
+            { heading: points[2].replace(/:$/, ''), content: points[3] }
+        ];
+    }
+
+    notesFromPoints(points) {
+        const flat = points.flat(Infinity).map(String);
+        return flat.length > 0 ? `Walk through: ${flat.join('; ')}.` : '';
+    }
+
+    // The title slide introduces what follows; the analysis's structure description is for the planner only
+    openingNotes(themes) {
+        return themes.length > 0 ? `Covers: ${themes.join('; ')}.` : '';
+    }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,191 @@
+// Shared helpers for reading and writing Open Packaging (OOXML) parts
+const path = require('path');
+
+const REL_TYPES = {
+    officeDocument: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+    slide: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide',
+    slideLayout: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideLayout',
+    slideMaster: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideMaster',
+    notesSlide: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide',
+    notesMaster: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesMaster',
+    theme: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/theme',
+    chart: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart',
+    package: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/package',
+    coreProperties: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+    extendedProperties: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties'
+};
+
+const CONTENT_TYPES = {
+    presentation: 'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml',
+    template: 'application/vnd.openxmlformats-officedocument.presentationml.template.main+xml',
+    slide: 'application/vnd.openxmlformats-officedocument.presentationml.slide+xml',
+    notesSlide: 'application/vnd.openxmlformats-officedocument.presentationml.notesSlide+xml',
+    notesMaster: 'application/vnd.openxmlformats-officedocument.presentationml.notesMaster+xml',
+    theme: 'application/vnd.openxmlformats-officedocument.theme+xml',
+    chart: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml',
+    workbook: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    coreProperties: 'application/vnd.openxmlformats-package.core-properties+xml',
+    extendedProperties: 'application/vnd.openxmlformats-officedocument.extended-properties+xml'
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+/**
+ * Reads the attributes of an XML start tag into a plain object.
+ * @param {string} tag - Start tag, e.g. `<Relationship Id="rId1" .../>`
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+        attributes[match[1]] = match[3] !== undefined ? match[3] : match[4];
+    }
+    return attributes;
+}
+
+/**
+ * Parses a .rels part into a list of relationships.
+ * @param {string} xml - Relationships part XML
+ * @returns {Array<{id: string, type: string, target: string, targetMode: string|undefined}>}
+ */
+function parseRelationships(xml) {
+    const relationships = [];
+    const tags = (xml || '').match(/<Relationship\b[^>]*>/g) || [];
+    for (const tag of tags) {
+        const attributes = parseAttributes(tag);
+        relationships.push({
+            id: attributes.Id,
+            type: attributes.Type,
+            target: attributes.Target,
+            targetMode: attributes.TargetMode
+        });
+    }
+    return relationships;
+}
+
+/**
+ * Serializes relationships back into a .rels part.
+ * @param {Array<{id: string, type: string, target: string, targetMode?: string}>} relationships
+ * @returns {string}
+ */
+function buildRelationships(relationships) {
+    return `${XML_HEADER}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships.map(rel =>
+    `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXml(rel.target)}"${rel.targetMode ? ` TargetMode="${rel.targetMode}"` : ''}/>`
+).join('\n')}
+</Relationships>`;
+}
+
+/**
+ * Returns the .rels part path for a package part.
+ * @param {string} partName - e.g. `ppt/slides/slide1.xml`
+ * @returns {string} e.g. `ppt/slides/_rels/slide1.xml.rels`
+ */
+function relsPathFor(partName) {
+    return path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+}
+
+/**
+ * Resolves a relationship target relative to the part that owns it.
+ * @param {string} partName - Source part, e.g. `ppt/slides/slide1.xml`
+ * @param {string} target - Relationship target, e.g. `../slideLayouts/slideLayout2.xml`
+ * @returns {string} Package path without a leading slash
+ */
+function resolveTarget(partName, target) {
+    if (target.startsWith('/')) {
+        return target.slice(1);
+    }
+    return path.posix.normalize(path.posix.join(path.posix.dirname(partName), target));
+}
+
+/**
+ * Builds a relative relationship target from one part to another.
+ * @param {string} fromPart - Source part
+ * @param {string} toPart - Destination part
+ * @returns {string}
+ */
+function relativeTarget(fromPart, toPart) {
+    return path.posix.relative(path.posix.dirname(fromPart), toPart);
+}
+
+/**
+ * Returns the next free `rIdN` identifier for a relationship list.
+ * @param {Array<{id: string}>} relationships
+ * @returns {string}
+ */
+function nextRelationshipId(relationships) {
+    const max = relationships.reduce((highest, rel) => {
+        const number = parseInt(String(rel.id).replace(/^rId/, ''), 10);
+        return Number.isNaN(number) ? highest : Math.max(highest, number);
+    }, 0);
+    return `rId${max + 1}`;
+}
+
+/**
+ * Parses [Content_Types].xml into default and override maps.
+ * @param {string} xml
+ * @returns {{defaults: Object<string, string>, overrides: Object<string, string>}}
+ */
+function parseContentTypes(xml) {
+    const defaults = {};
+    const overrides = {};
+    for (const tag of (xml || '').match(/<Default\b[^>]*>/g) || []) {
+        const attributes = parseAttributes(tag);
+        defaults[attributes.Extension.toLowerCase()] = attributes.ContentType;
+    }
+    for (const tag of (xml || '').match(/<Override\b[^>]*>/g) || []) {
+        const attributes = parseAttributes(tag);
+        overrides[attributes.PartName] = attributes.ContentType;
+    }
+    return { defaults, overrides };
+}
+
+/**
+ * Serializes default and override maps into [Content_Types].xml.
+ * @param {{defaults: Object<string, string>, overrides: Object<string, string>}} contentTypes
+ * @returns {string}
+ */
+function buildContentTypes(contentTypes) {
+    return `${XML_HEADER}
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+${Object.entries(contentTypes.defaults).map(([extension, type]) =>
+    `<Default Extension="${extension}" ContentType="${type}"/>`
+).join('\n')}
+${Object.entries(contentTypes.overrides).map(([partName, type]) =>
+    `<Override PartName="${partName}" ContentType="${type}"/>`
+).join('\n')}
+</Types>`;
+}
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+    REL_TYPES,
+    CONTENT_TYPES,
+    XML_HEADER,
+    parseAttributes,
+    parseRelationships,
+    buildRelationships,
+    relsPathFor,
+    resolveTarget,
+    relativeTarget,
+    nextRelationshipId,
+    parseContentTypes,
+    buildContentTypes,
+    escapeXml
+};
@@ -0,0 +1,463 @@
+// Slide structures as text files: Marp Markdown, a plain Markdown outline and versioned JSON, both ways
+const { SLIDE_TYPE_ALIASES, normalizeTable, normalizeColumns } = require('./slideTypes');
+const { normalizeChart, parseNumber } = require('./charts');
+
+const OUTLINE_JSON_FORMAT = 'text-to-slides-outline';
+const OUTLINE_JSON_VERSION = 1;
+
+const OUTLINE_FORMATS = {
+    marp: { contentType: 'text/markdown; charset=utf-8', filename: 'presentation.marp.md' },
+    markdown: { contentType: 'text/markdown; charset=utf-8', filename: 'presentation-outline.md' },
+    json: { contentType: 'application/json; charset=utf-8', filename: 'presentation-outline.json' }
+};
+
+// Slides whose text is written as plain lines rather than bullets
+const PLAIN_TEXT_TYPES = new Set(['title', 'section', 'closing']);
+const CLOSING_TITLE = /thank|questions|q\s*&\s*a|contact|next steps/i;
+
+// Marp directives that are not presenter notes; `_class` carries the slide type
+const MARP_DIRECTIVE = /^\s*_?(class|paginate|header|footer|theme|backgroundColor|backgroundImage|color|size|style)\s*:/;
+
+class OutlineFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OutlineFormatError';
+    }
+}
+
+// ---- Export ----
+
+function oneLine(text) {
+    return String(text === null || text === undefined ? '' : text).replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function bulletLines(items, depth = 0) {
+    const lines = [];
+    for (const item of items) {
+        if (Array.isArray(item)) {
+            lines.push(...bulletLines(item, depth + 1));
+        } else if (item && typeof item === 'object') {
+            lines.push(`${'  '.repeat(depth)}- ${oneLine(item.text)}`);
+            const children = item.children || item.subpoints || item.points;
+            if (Array.isArray(children)) {
+                lines.push(...bulletLines(children, depth + 1));
+            }
+        } else if (oneLine(item)) {
+            lines.push(`${'  '.repeat(depth)}- ${oneLine(item)}`);
+        }
+    }
+    return lines;
+}
+
+function plainLines(items) {
+    return items.flat(Infinity)
+        .map(item => oneLine(item && typeof item === 'object' ? item.text : item))
+        .filter(Boolean);
+}
+
+function tableLines(headers, rows) {
+    const cell = (value) => oneLine(value).replace(/\|/g, '\\|');
+    const row = (cells) => `| ${cells.map(cell).join(' | ')} |`;
+    return [row(headers), `|${headers.map(() => ' --- ').join('|')}|`, ...rows.map(row)];
+}
+
+function notesText(notes) {
+    return (Array.isArray(notes) ? notes.join('\n\n') : String(notes || '')).trim();
+}
+
+function slideType(slide) {
+    const type = SLIDE_TYPE_ALIASES[slide.type] || slide.type || 'content';
+    if (normalizeChart(slide.chart)) return 'chart';
+    if (normalizeTable(slide.table)) return 'table';
+    return type;
+}
+
+// The Markdown body shared by both Markdown formats: title heading, then the type's content
+function slideBody(slide, type) {
+    const content = Array.isArray(slide.content) ? slide.content : [];
+    const heading = PLAIN_TEXT_TYPES.has(type) && type !== 'closing' ? '#' : '##';
+    const blocks = [`${heading} ${oneLine(slide.title)}`.trimEnd()];
+
+    if (PLAIN_TEXT_TYPES.has(type)) {
+        blocks.push(...plainLines(content));
+    } else if (type === 'quote') {
+        const quote = plainLines(content).join(' ');
+        blocks.push([`> ${quote}`, ...(slide.attribution ? ['>', `> — ${oneLine(slide.attribution).replace(/^[-–—\s]+/, '')}`] : [])].join('\n'));
+    } else if (type === 'two-column' || type === 'comparison') {
+        for (const column of normalizeColumns(slide)) {
+            blocks.push(`### ${oneLine(column.heading)}`.trimEnd(), bulletLines(column.content).join('\n'));
+        }
+    } else {
+        blocks.push(bulletLines(content).join('\n'));
+        const chart = type === 'chart' && normalizeChart(slide.chart);
+        if (chart) {
+            blocks.push(tableLines(
+                ['Category', ...chart.series.map(series => series.name)],
+                chart.categories.map((category, index) => [category, ...chart.series.map(series => series.values[index] === null ? '' : String(series.values[index]))])
+            ).join('\n'));
+        } else if (type === 'table') {
+            const table = normalizeTable(slide.table);
+            blocks.push(tableLines(table.headers.length > 0 ? table.headers : table.rows[0].map(() => ''), table.rows).join('\n'));
+        }
+    }
+
+    return blocks.filter(Boolean);
+}
+
+function exportMarp(structure) {
+    const slides = structure.slides.map(slide => {
+        const type = slideType(slide);
+        const chart = type === 'chart' && normalizeChart(slide.chart);
+        const className = chart ? `chart ${chart.type}` : type;
+        const notes = notesText(slide.notes);
+        return [
+            ...(type === 'content' ? [] : [`<!-- _class: ${className} -->`]),
+            ...slideBody(slide, type),
+            // Other comments are Marp presenter notes
+            ...(notes ? [`<!--\n${notes.replace(/-->/g, '-- >')}\n-->`] : [])
+        ].join('\n\n');
+    });
+
+    const title = oneLine(structure.title || (structure.slides[0] && structure.slides[0].title));
+    const frontMatter = ['---', 'marp: true', ...(title ? [`title: ${JSON.stringify(title)}`] : []), 'paginate: true', '---'].join('\n');
+    return `${frontMatter}\n\n${slides.join('\n\n---\n\n')}\n`;
+}
+
+function exportMarkdown(structure) {
+    const slides = structure.slides.map(slide => {
+        const notes = notesText(slide.notes);
+        return [
+            ...slideBody(slide, slideType(slide)),
+            ...(notes ? [`**Notes:** ${notes.replace(/\n\s*\n/g, '\n\n**Notes:** ')}`] : [])
+        ].join('\n\n');
+    });
+    return `${slides.join('\n\n')}\n`;
+}
+
+/**
+ * Writes a slide structure as Marp Markdown, a plain Markdown outline or versioned JSON.
+ * @param {{slides: Array}} structure
+ * @param {string} format - One of OUTLINE_FORMATS
+ * @returns {string}
+ */
+function exportOutline(structure, format) {
+    if (format === 'json') {
+        return `${JSON.stringify({
+            format: OUTLINE_JSON_FORMAT,
+            version: OUTLINE_JSON_VERSION,
+            exportedAt: new Date().toISOString(),
+            structure
+        }, null, 2)}\n`;
+    }
+    return format === 'marp' ? exportMarp(structure) : exportMarkdown(structure);
+}
+
+// ---- Import ----
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function isTableSeparator(line) {
+    return /^\|?(\s*:?-{2,}:?\s*\|)+\s*(:?-{2,}:?\s*)?$/.test(line.trim());
+}
+
+// Sub-bullets go in an array right after their parent, as in generated structures
+function nestBullets(bullets) {
+    const root = [];
+    const stack = [root];
+    for (const bullet of bullets) {
+        stack.length = Math.min(stack.length, bullet.level + 1);
+        while (stack.length < bullet.level + 1) {
+            const nested = [];
+            stack[stack.length - 1].push(nested);
+            stack.push(nested);
+        }
+        stack[bullet.level].push(bullet.text);
+    }
+    return root;
+}
+
+// Reads one slide's Markdown into its parts: title, bullets, paragraphs, columns, table, quote and notes
+function parseSlideBody(lines) {
+    const parts = { title: null, headingLevel: 0, bullets: [], paragraphs: [], columns: [], tableLines: [], quote: [], notes: [], classes: [] };
+    let bullets = parts.bullets;
+    let indents = [];
+    let paragraph = [];
+    const endParagraph = () => {
+        if (paragraph.length > 0) {
+            const text = paragraph.join(' ');
+            const note = text.match(/^\*\*Notes:\*\*\s*(.*)$|^Notes:\s*(.*)$/i);
+            if (note) {
+                parts.notes.push(note[1] !== undefined ? note[1] : note[2]);
+            } else {
+                parts.paragraphs.push(text);
+            }
+            paragraph = [];
+        }
+    };
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+
+        if (/^\s*<!--/.test(line)) {
+            endParagraph();
+            const comment = [line];
+            while (!/-->\s*$/.test(comment[comment.length - 1]) && index + 1 < lines.length) {
+                comment.push(lines[++index]);
+            }
+            const text = comment.join('\n').replace(/^\s*<!--/, '').replace(/-->\s*$/, '').trim();
+            const className = text.match(/^_?class\s*:\s*(.+)$/);
+            if (className) {
+                parts.classes.push(...className[1].replace(/["']/g, '').trim().split(/\s+/));
+            } else if (text && !(MARP_DIRECTIVE.test(text) && !text.includes('\n'))) {
+                parts.notes.push(text);
+            }
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,3})(?:\s+(.*?))?\s*#*\s*$/);
+        if (heading) {
+            endParagraph();
+            const text = (heading[2] || '').trim();
+            if (heading[1].length < 3 && parts.title === null) {
+                parts.title = text;
+                parts.headingLevel = heading[1].length;
+            } else {
+                const column = { heading: text, content: [] };
+                parts.columns.push(column);
+                bullets = column.content;
+                indents = [];
+            }
+            continue;
+        }
+
+        const bullet = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/);
+        if (bullet) {
+            endParagraph();
+            const indent = bullet[1].replace(/\t/g, '  ').length;
+            while (indents.length > 0 && indents[indents.length - 1] > indent) {
+                indents.pop();
+            }
+            if (indents.length === 0 || indents[indents.length - 1] < indent) {
+                indents.push(indent);
+            }
+            bullets.push({ text: bullet[2].trim(), level: indents.length - 1 });
+            continue;
+        }
+
+        if (/^\s*\|/.test(line)) {
+            endParagraph();
+            parts.tableLines.push(line);
+            continue;
+        }
+
+        const quote = line.match(/^\s*>\s?(.*)$/);
+        if (quote) {
+            endParagraph();
+            parts.quote.push(quote[1].trim());
+            continue;
+        }
+
+        if (line.trim()) {
+            paragraph.push(line.trim());
+        } else {
+            endParagraph();
+        }
+    }
+    endParagraph();
+
+    return parts;
+}
+
+function readTable(lines) {
+    const rows = lines.filter(line => !isTableSeparator(line)).map(splitTableRow);
+    if (rows.length === 0) {
+        return null;
+    }
+    const hasHeader = lines.length > 1 && isTableSeparator(lines[1]);
+    return hasHeader ? { headers: rows[0], rows: rows.slice(1) } : { headers: [], rows };
+}
+
+function readQuote(lines) {
+    const text = lines.filter(Boolean);
+    const last = text[text.length - 1] || '';
+    const attribution = last.match(/^(?:—|–|--)\s*(.+)$/);
+    return {
+        quote: (attribution ? text.slice(0, -1) : text).join(' ').trim(),
+        attribution: attribution ? attribution[1].trim() : ''
+    };
+}
+
+function chartFromTable(table, chartType) {
+    if (!table || table.headers.length < 2) {
+        return null;
+    }
+    return normalizeChart({
+        type: chartType || 'bar',
+        categories: table.rows.map(row => row[0]),
+        series: table.headers.slice(1).map((name, index) => ({
+            name,
+            values: table.rows.map(row => parseNumber(row[index + 1]))
+        }))
+    });
+}
+
+// Turns parsed parts into a slide, taking the type from a Marp class or inferring it from the content
+function buildSlide(parts, position) {
+    const [declared, chartType] = parts.classes;
+    const table = parts.tableLines.length > 0 ? readTable(parts.tableLines) : null;
+    const { quote, attribution } = readQuote(parts.quote);
+    const bullets = nestBullets(parts.bullets);
+    let type = declared ? (SLIDE_TYPE_ALIASES[declared] || declared) : null;
+
+    if (!type) {
+        if (parts.columns.length > 0) {
+            type = parts.columns.some(column => column.heading) ? 'comparison' : 'two-column';
+        } else if (table) {
+            type = 'table';
+        } else if (quote) {
+            type = 'quote';
+        } else if (bullets.length === 0 && parts.headingLevel === 1) {
+            type = position.first ? 'title' : 'section';
+        } else if (bullets.length === 0 && position.last && CLOSING_TITLE.test(parts.title || '')) {
+            type = 'closing';
+        } else {
+            type = 'content';
+        }
+    }
+
+    const slide = { type, title: parts.title || '', content: [] };
+    if (PLAIN_TEXT_TYPES.has(type)) {
+        slide.content = [...parts.paragraphs, ...plainLines(bullets)];
+    } else if (type === 'quote') {
+        slide.content = quote ? [quote] : parts.paragraphs.slice(0, 1);
+        if (attribution) {
+            slide.attribution = attribution;
+        }
+    } else if (type === 'two-column' || type === 'comparison') {
+        slide.content = bullets;
+        if (parts.columns.length > 0) {
+            slide.columns = parts.columns.slice(0, 2).map(column => ({ heading: column.heading, content: nestBullets(column.content) }));
+        }
+    } else {
+        slide.content = [...bullets, ...parts.paragraphs];
+        const chart = type === 'chart' ? chartFromTable(table, chartType) : null;
+        if (chart) {
+            slide.chart = chart;
+        } else if (table) {
+            slide.type = 'table';
+            slide.table = table;
+        } else if (type === 'chart' || type === 'table') {
+            slide.type = 'content';
+        }
+    }
+    if (parts.notes.length > 0) {
+        slide.notes = parts.notes.join('\n\n');
+    }
+    return slide;
+}
+
+function splitFrontMatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\s*(?:\r?\n|$)/);
+    return match ? { frontMatter: match[1], body: text.slice(match[0].length) } : { frontMatter: '', body: text };
+}
+
+function importMarp(body) {
+    const slides = body.split(/^\s*---\s*$/m).map(chunk => chunk.split(/\r?\n/));
+    const parsed = slides.map(parseSlideBody).filter(parts => parts.title !== null || parts.bullets.length > 0 ||
+        parts.paragraphs.length > 0 || parts.tableLines.length > 0 || parts.quote.length > 0 || parts.columns.length > 0);
+    return parsed.map((parts, index) => buildSlide(parts, { first: index === 0, last: index === parsed.length - 1 }));
+}
+
+function importMarkdown(body) {
+    const lines = body.split(/\r?\n/);
+    const chunks = [];
+    for (const line of lines) {
+        if (/^#{1,2}(\s|$)/.test(line) || chunks.length === 0) {
+            chunks.push([]);
+        }
+        chunks[chunks.length - 1].push(line);
+    }
+    const parsed = chunks.map(parseSlideBody).filter(parts => parts.title !== null);
+    return parsed.map((parts, index) => buildSlide(parts, { first: index === 0, last: index === parsed.length - 1 }));
+}
+
+function importJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new OutlineFormatError(`not valid JSON (${error.message})`);
+    }
+    if (data && data.format !== undefined) {
+        if (data.format !== OUTLINE_JSON_FORMAT) {
+            throw new OutlineFormatError(`unknown outline format "${data.format}"`);
+        }
+        if (!Number.isInteger(data.version) || data.version > OUTLINE_JSON_VERSION) {
+            throw new OutlineFormatError(`unsupported outline version ${data.version}; this server reads up to version ${OUTLINE_JSON_VERSION}`);
+        }
+        return data.structure;
+    }
+    // A bare slide structure, as /api/outline returns it
+    return data;
+}
+
+/**
+ * Works out which outline format a file is in, from its name and then its content.
+ * @param {string} text
+ * @param {string} [filename]
+ * @returns {string} One of OUTLINE_FORMATS
+ */
+function detectOutlineFormat(text, filename = '') {
+    if (/\.json$/i.test(filename) || /^\s*\{/.test(text)) {
+        return 'json';
+    }
+    return /^marp\s*:\s*true\s*$/m.test(splitFrontMatter(text.replace(/^﻿/, '')).frontMatter) ? 'marp' : 'markdown';
+}
+
+/**
+ * Reads a slide structure from Marp Markdown, a Markdown outline or exported JSON. The result still needs
+ * validating against the slide structure schema.
+ * @param {string} text
+ * @param {{format?: string, filename?: string}} [options] - The format is detected when not given
+ * @returns {{format: string, structure: Object}}
+ * @throws {OutlineFormatError} When the text can't be read or holds no slides
+ */
+function importOutline(text, options = {}) {
+    const source = String(text || '').replace(/^﻿/, '');
+    const format = options.format || detectOutlineFormat(source, options.filename);
+    if (!Object.hasOwn(OUTLINE_FORMATS, format)) {
+        throw new OutlineFormatError(`unknown outline format "${format}"`);
+    }
+
+    if (format === 'json') {
+        return { format, structure: importJson(source) };
+    }
+
+    const { body } = splitFrontMatter(source);
+    const slides = format === 'marp' ? importMarp(body) : importMarkdown(body);
+    if (slides.length === 0) {
+        throw new OutlineFormatError(format === 'marp'
+            ? 'no slides found; separate slides with --- lines'
+            : 'no slides found; start each slide with a # or ## heading');
+    }
+    return {
+        format,
+        structure: {
+            totalSlides: slides.length,
+            slides: slides.map((slide, index) => ({ slideNumber: index + 1, ...slide }))
+        }
+    };
+}
+
+module.exports = {
+    OUTLINE_FORMATS,
+    OUTLINE_JSON_VERSION,
+    OutlineFormatError,
+    exportOutline,
+    detectOutlineFormat,
+    importOutline
+};
@@ -0,0 +1,408 @@
+// Reads the text layer of a PDF: pages in order, with fonts mapped through their ToUnicode tables.
+// Only Flate-compressed or uncompressed streams are read; scanned pages have no text to find.
+const zlib = require('zlib');
+
+// Windows-1252 characters that differ from Latin-1, as WinAnsiEncoding maps them
+const WIN_ANSI = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š',
+    0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—',
+    0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Gap in a TJ array (thousandths of a text unit) that reads as a word break
+const WORD_GAP = 200;
+
+// Largest a single stream may inflate to; past it the stream is skipped rather than read into memory
+const MAX_STREAM_BYTES = 32 * 1024 * 1024;
+
+function readObjects(raw) {
+    const objects = new Map();
+    const pattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(raw)) !== null) {
+        const start = match.index + match[0].length;
+        const end = raw.indexOf('endobj', start);
+        if (end === -1) {
+            break;
+        }
+        const body = raw.slice(start, end);
+        const streamAt = body.search(/\bstream\r?\n/);
+        if (streamAt === -1) {
+            objects.set(Number(match[1]), { dict: body, stream: null });
+        } else {
+            const dataStart = body.indexOf('\n', streamAt) + 1;
+            const dataEnd = body.lastIndexOf('endstream');
+            objects.set(Number(match[1]), {
+                dict: body.slice(0, streamAt),
+                stream: Buffer.from(body.slice(dataStart, dataEnd === -1 ? body.length : dataEnd).replace(/\r?\n$/, ''), 'latin1')
+            });
+        }
+        pattern.lastIndex = end;
+    }
+
+    // Objects packed into object streams (PDF 1.5+)
+    for (const object of [...objects.values()]) {
+        if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) {
+            continue;
+        }
+        const data = decodeStream(object);
+        const first = Number((object.dict.match(/\/First\s+(\d+)/) || [])[1]);
+        const count = Number((object.dict.match(/\/N\s+(\d+)/) || [])[1]);
+        if (!data || !first || !count) {
+            continue;
+        }
+        const text = data.toString('latin1');
+        const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+        // /N comes from the file; the header holds a number and an offset per object it really contains
+        const packed = Math.min(count, Math.floor(header.length / 2));
+        for (let i = 0; i < packed; i++) {
+            const from = first + header[i * 2 + 1];
+            const to = i + 1 < packed ? first + header[i * 2 + 3] : text.length;
+            if (!objects.has(header[i * 2])) {
+                objects.set(header[i * 2], { dict: text.slice(from, to), stream: null });
+            }
+        }
+    }
+    return objects;
+}
+
+function decodeStream(object) {
+    if (!object || !object.stream) {
+        return null;
+    }
+    const filters = (object.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [])[1] || '';
+    const names = filters.match(/\/\w+/g) || [];
+    if (names.length === 0) {
+        return object.stream;
+    }
+    if (names.length > 1 || names[0] !== '/FlateDecode') {
+        return null;
+    }
+    try {
+        return zlib.inflateSync(object.stream, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: MAX_STREAM_BYTES });
+    } catch (error) {
+        return null;
+    }
+}
+
+function ref(text, key) {
+    const match = text.match(new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`));
+    return match ? Number(match[1]) : null;
+}
+
+// The value of a dictionary entry that is either inline (<< ... >>) or a reference to another object
+function subDictionary(objects, text, key) {
+    const at = text.search(new RegExp(`/${key}\\s*(<<|\\d+\\s+\\d+\\s+R)`));
+    if (at === -1) {
+        return '';
+    }
+    const rest = text.slice(at + key.length + 1).trimStart();
+    if (rest.startsWith('<<')) {
+        let depth = 0;
+        for (let i = 0; i < rest.length - 1; i++) {
+            if (rest[i] === '<' && rest[i + 1] === '<') {
+                depth++;
+                i++;
+            } else if (rest[i] === '>' && rest[i + 1] === '>') {
+                depth--;
+                i++;
+                if (depth === 0) {
+                    return rest.slice(0, i + 1);
+                }
+            }
+        }
+        return rest;
+    }
+    const target = objects.get(ref(text, key));
+    return target ? target.dict : '';
+}
+
+function pageOrder(objects) {
+    const catalog = [...objects.values()].find(object => /\/Type\s*\/Catalog\b/.test(object.dict));
+    const pages = [];
+    const visit = (number, depth) => {
+        const node = objects.get(number);
+        if (!node || depth > 32) {
+            return;
+        }
+        if (/\/Type\s*\/Page\b/.test(node.dict)) {
+            pages.push(node);
+            return;
+        }
+        const kids = (node.dict.match(/\/Kids\s*\[([^\]]*)\]/) || [])[1] || '';
+        for (const kid of kids.matchAll(/(\d+)\s+\d+\s+R/g)) {
+            visit(Number(kid[1]), depth + 1);
+        }
+    };
+    if (catalog) {
+        visit(ref(catalog.dict, 'Pages'), 0);
+    }
+    return pages.length > 0 ? pages : [...objects.values()].filter(object => /\/Type\s*\/Page\b/.test(object.dict));
+}
+
+function hexToBytes(hex) {
+    const clean = hex.replace(/[^0-9a-f]/gi, '');
+    return Buffer.from(clean.length % 2 ? `${clean}0` : clean, 'hex');
+}
+
+function utf16(bytes) {
+    let text = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+    }
+    return text;
+}
+
+// bfchar and bfrange entries of a ToUnicode CMap
+function parseCMap(text) {
+    const map = new Map();
+    let codeLength = 1;
+    const range = text.match(/begincodespacerange\s*<([0-9a-f]+)>/i);
+    if (range) {
+        codeLength = Math.max(1, range[1].length / 2);
+    }
+    for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const entry of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+            map.set(parseInt(entry[1], 16), utf16(hexToBytes(entry[2])));
+        }
+    }
+    for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const entry of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+            const low = parseInt(entry[1], 16);
+            const high = parseInt(entry[2], 16);
+            if (entry[3].startsWith('[')) {
+                [...entry[3].matchAll(/<([0-9a-f]*)>/gi)].forEach((target, offset) => {
+                    map.set(low + offset, utf16(hexToBytes(target[1])));
+                });
+            } else {
+                const start = hexToBytes(entry[3].slice(1, -1));
+                for (let code = low; code <= high && code - low < 65536; code++) {
+                    const target = Buffer.from(start);
+                    target[target.length - 1] += code - low;
+                    map.set(code, utf16(target));
+                }
+            }
+        }
+    }
+    return { map, codeLength };
+}
+
+function readFonts(objects, page) {
+    const resources = subDictionary(objects, page.dict, 'Resources');
+    const fontDictionary = subDictionary(objects, resources, 'Font');
+    const fonts = {};
+    for (const entry of fontDictionary.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        const font = objects.get(Number(entry[2]));
+        if (!font) {
+            continue;
+        }
+        const cmap = decodeStream(objects.get(ref(font.dict, 'ToUnicode')));
+        fonts[entry[1]] = {
+            composite: /\/Subtype\s*\/Type0\b/.test(font.dict),
+            cmap: cmap ? parseCMap(cmap.toString('latin1')) : null
+        };
+    }
+    return fonts;
+}
+
+function decodeText(bytes, font) {
+    if (font && font.cmap) {
+        const width = font.composite ? 2 : font.cmap.codeLength;
+        let text = '';
+        for (let i = 0; i + width <= bytes.length; i += width) {
+            const code = width === 2 ? (bytes[i] << 8) | bytes[i + 1] : bytes[i];
+            text += font.cmap.map.has(code) ? font.cmap.map.get(code) : '';
+        }
+        return text;
+    }
+    if (font && font.composite) {
+        return ''; // Glyph ids with no ToUnicode table can't be read back as text
+    }
+    return [...bytes].map(byte => WIN_ANSI[byte] || String.fromCharCode(byte)).join('');
+}
+
+function readLiteral(content, start) {
+    const bytes = [];
+    let depth = 1;
+    let i = start + 1;
+    const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+    while (i < content.length && depth > 0) {
+        const char = content[i];
+        if (char === '\\') {
+            const next = content[i + 1];
+            if (next === undefined) {
+                break;
+            }
+            if (/[0-7]/.test(next)) {
+                const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+                bytes.push(parseInt(octal, 8) & 0xff);
+                i += 1 + octal.length;
+                continue;
+            }
+            if (next === '\r' || next === '\n') {
+                i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+                continue;
+            }
+            bytes.push(escapes[next] !== undefined ? escapes[next] : next.charCodeAt(0));
+            i += 2;
+            continue;
+        }
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (depth > 0) {
+            bytes.push(char.charCodeAt(0) & 0xff);
+        }
+        i++;
+    }
+    return { bytes: Buffer.from(bytes), end: i };
+}
+
+// Walks a content stream's operators, collecting shown text as lines: a new line starts wherever the text
+// position moves up or down, and each line records the largest font size shown on it
+function readContent(content, fonts) {
+    const lines = [];
+    const operands = [];
+    const state = { font: null, size: 0, scale: 1, leading: 0, y: 0, lastY: null, gap: false };
+    const show = (text) => {
+        if (!text) {
+            return;
+        }
+        const line = lines[lines.length - 1];
+        if (!line || state.lastY === null || Math.abs(state.y - state.lastY) > 0.5) {
+            lines.push({ text, size: state.size * state.scale, y: state.y });
+        } else {
+            line.text += state.gap && !/\s$/.test(line.text) ? ` ${text}` : text;
+            line.size = Math.max(line.size, state.size * state.scale);
+        }
+        state.lastY = state.y;
+        state.gap = false;
+    };
+
+    let i = 0;
+    while (i < content.length) {
+        const char = content[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '%') {
+            i = content.indexOf('\n', i) === -1 ? content.length : content.indexOf('\n', i);
+        } else if (char === '(') {
+            const { bytes, end } = readLiteral(content, i);
+            operands.push({ bytes });
+            i = end;
+        } else if (char === '<' && content[i + 1] !== '<') {
+            // An unterminated hex string runs to the end of the content
+            const end = content.indexOf('>', i) === -1 ? content.length : content.indexOf('>', i);
+            operands.push({ bytes: hexToBytes(content.slice(i + 1, end)) });
+            i = end + 1;
+        } else if (char === '[') {
+            operands.push({ array: true });
+            i++;
+        } else if (char === ']') {
+            const start = operands.map(operand => !!operand.array).lastIndexOf(true);
+            const items = start === -1 ? [] : operands.splice(start).slice(1);
+            operands.push({ items });
+            i++;
+        } else if (char === '<' || char === '>') {
+            i += 2; // Inline dictionaries carry no text
+        } else if (char === '/') {
+            const name = content.slice(i + 1).match(/^[^\s/<>[\]()%]*/)[0];
+            operands.push({ name });
+            i += 1 + name.length;
+        } else if (char === ')') {
+            i++; // A stray closing parenthesis has no string to end
+        } else {
+            const token = content.slice(i).match(/^[^\s/<>[\]()%]+/)[0];
+            i += token.length;
+            if (/^[-+.\d]/.test(token)) {
+                operands.push({ number: Number(token) });
+                continue;
+            }
+
+            const numbers = operands.filter(operand => operand.number !== undefined).map(operand => operand.number);
+            const last = operands[operands.length - 1];
+            switch (token) {
+                case 'BI': {
+                    const end = content.indexOf('EI', i);
+                    i = end === -1 ? content.length : end + 2;
+                    break;
+                }
+                case 'BT':
+                    state.y = 0;
+                    state.scale = 1;
+                    state.gap = true;
+                    break;
+                case 'Tf':
+                    state.font = fonts[(operands.find(operand => operand.name) || {}).name] || null;
+                    state.size = numbers.length > 0 ? Math.abs(numbers[numbers.length - 1]) : state.size;
+                    break;
+                case 'TL':
+                    state.leading = numbers[0] || 0;
+                    break;
+                case 'Td':
+                case 'TD':
+                    if (numbers.length >= 2) {
+                        state.y += numbers[1] * state.scale;
+                        if (token === 'TD') state.leading = -numbers[1];
+                    }
+                    state.gap = true;
+                    break;
+                case 'Tm':
+                    if (numbers.length >= 6) {
+                        state.y = numbers[5];
+                        state.scale = Math.abs(numbers[3]) || 1;
+                    }
+                    state.gap = true;
+                    break;
+                case 'T*':
+                    state.y -= state.leading * state.scale;
+                    state.gap = true;
+                    break;
+                case "'":
+                case '"':
+                    state.y -= state.leading * state.scale;
+                    state.gap = true;
+                    if (last && last.bytes) show(decodeText(last.bytes, state.font));
+                    break;
+                case 'Tj':
+                    if (last && last.bytes) show(decodeText(last.bytes, state.font));
+                    break;
+                case 'TJ':
+                    for (const item of (last && last.items) || []) {
+                        if (item.bytes) {
+                            show(decodeText(item.bytes, state.font));
+                        } else if (item.number !== undefined && item.number < -WORD_GAP) {
+                            state.gap = true;
+                        }
+                    }
+                    break;
+                default:
+                    break;
+            }
+            operands.length = 0;
+        }
+    }
+
+    return lines
+        .map(line => ({ text: line.text.replace(/\s+/g, ' ').trim(), size: Math.round(line.size * 10) / 10, y: line.y }))
+        .filter(line => line.text);
+}
+
+/**
+ * Extracts the text lines of each page of a PDF, with the font size and baseline height of each line.
+ * @param {Buffer} buffer
+ * @returns {Array<Array<{text: string, size: number, y: number}>>} One array of lines per page; all empty when the PDF has
+ *   no text layer
+ */
+function extractPdfText(buffer) {
+    const objects = readObjects(buffer.toString('latin1'));
+    return pageOrder(objects).map(page => {
+        const fonts = readFonts(objects, page);
+        const contents = page.dict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/);
+        const streams = contents
+            ? [...contents[1].matchAll(/(\d+)\s+\d+\s+R/g)].map(match => decodeStream(objects.get(Number(match[1]))))
+            : [];
+        return readContent(streams.filter(Boolean).map(stream => stream.toString('latin1')).join('\n'), fonts);
+    });
+}
+
+module.exports = { extractPdfText };
@@ -0,0 +1,297 @@
+// OOXML package validator for .pptx files
+const JSZip = require('jszip');
+const xml2js = require('xml2js');
+const ooxml = require('./ooxml');
+
+// Slide ids must fall in [256, 2147483648); master and layout ids start where slide ids end
+const MIN_SLIDE_ID = 256;
+const MIN_MASTER_ID = 2147483648;
+
+class PackageValidationError extends Error {
+    constructor(report) {
+        const summary = report.errors.slice(0, 5).map(issue => `${issue.part}: ${issue.message}`).join('; ');
+        const more = report.errors.length > 5 ? ` (and ${report.errors.length - 5} more)` : '';
+        super(`Package validation failed: ${summary}${more}`);
+        this.name = 'PackageValidationError';
+        this.report = report;
+    }
+}
+
+class PptxValidator {
+    /**
+     * Checks a .pptx buffer for package-level consistency.
+     * @param {Buffer} buffer - The .pptx file contents
+     * @returns {Promise<{valid: boolean, errors: Array, warnings: Array, stats: Object}>}
+     */
+    async validate(buffer) {
+        const report = { valid: false, errors: [], warnings: [], stats: { parts: 0, relationships: 0, slides: 0 } };
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (error) {
+            this.addError(report, 'package', 'zip', `Not a readable ZIP package: ${error.message}`);
+            return report;
+        }
+
+        const parts = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+        report.stats.parts = parts.length;
+
+        const xmlParts = await this.checkWellFormed(zip, parts, report);
+        const contentTypes = this.checkContentTypes(parts, xmlParts, report);
+        const relationships = this.checkRelationships(parts, xmlParts, report);
+
+        if (contentTypes) {
+            this.checkRequiredParts(xmlParts, relationships, contentTypes, report);
+        }
+
+        report.valid = report.errors.length === 0;
+        return report;
+    }
+
+    /**
+     * Validates a buffer and throws a PackageValidationError when it has errors.
+     * @param {Buffer} buffer
+     * @returns {Promise<Object>} The report, when the package is valid
+     */
+    async assertValid(buffer) {
+        const report = await this.validate(buffer);
+        if (!report.valid) {
+            throw new PackageValidationError(report);
+        }
+        return report;
+    }
+
+    async checkWellFormed(zip, parts, report) {
+        const xmlParts = {};
+        for (const name of parts) {
+            if (!/\.(xml|rels)$/i.test(name)) {
+                continue;
+            }
+
+            const xml = await zip.file(name).async('string');
+            try {
+                await xml2js.parseStringPromise(xml);
+                xmlParts[name] = xml;
+            } catch (error) {
+                this.addError(report, name, 'xml', `XML is not well-formed: ${error.message.split('\n')[0]}`);
+            }
+        }
+        return xmlParts;
+    }
+
+    checkContentTypes(parts, xmlParts, report) {
+        if (!xmlParts['[Content_Types].xml']) {
+            if (!parts.includes('[Content_Types].xml')) {
+                this.addError(report, '[Content_Types].xml', 'content-types', 'Missing [Content_Types].xml');
+            }
+            return null;
+        }
+
+        const contentTypes = ooxml.parseContentTypes(xmlParts['[Content_Types].xml']);
+
+        for (const name of parts) {
+            if (name === '[Content_Types].xml') {
+                continue;
+            }
+            const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+            if (!contentTypes.overrides[`/${name}`] && !contentTypes.defaults[extension]) {
+                this.addError(report, name, 'content-types', 'Part has no content type (no Override and no Default for its extension)');
+            }
+        }
+
+        for (const partName of Object.keys(contentTypes.overrides)) {
+            if (!parts.includes(partName.replace(/^\//, ''))) {
+                this.addWarning(report, '[Content_Types].xml', 'content-types', `Override for missing part ${partName}`);
+            }
+        }
+
+        return contentTypes;
+    }
+
+    checkRelationships(parts, xmlParts, report) {
+        const relationships = {};
+
+        for (const name of parts.filter(part => part.endsWith('.rels'))) {
+            const source = name === '_rels/.rels' ? '' : name.replace(/_rels\/([^/]+)\.rels$/, '$1');
+            if (source && !parts.includes(source)) {
+                this.addWarning(report, name, 'relationships', `Relationships part for missing source part ${source}`);
+            }
+            if (xmlParts[name] === undefined) {
+                continue;
+            }
+
+            const rels = ooxml.parseRelationships(xmlParts[name]);
+            const ids = new Set();
+            relationships[source] = [];
+
+            for (const rel of rels) {
+                report.stats.relationships++;
+                if (!rel.id || !rel.type || rel.target === undefined) {
+                    this.addError(report, name, 'relationships', 'Relationship is missing Id, Type or Target');
+                    continue;
+                }
+                if (ids.has(rel.id)) {
+                    this.addError(report, name, 'relationships', `Duplicate relationship id ${rel.id}`);
+                }
+                ids.add(rel.id);
+
+                if (rel.targetMode === 'External') {
+                    relationships[source].push({ ...rel, resolved: null });
+                    continue;
+                }
+
+                const resolved = source ? ooxml.resolveTarget(source, rel.target) : rel.target.replace(/^\//, '');
+                if (!parts.includes(resolved)) {
+                    this.addError(report, name, 'relationships', `${rel.id} points to missing part ${resolved}`);
+                }
+                relationships[source].push({ ...rel, resolved });
+            }
+        }
+
+        return relationships;
+    }
+
+    checkRequiredParts(xmlParts, relationships, contentTypes, report) {
+        const rootRels = relationships[''] || [];
+        const officeDocument = rootRels.find(rel => rel.type === ooxml.REL_TYPES.officeDocument);
+        if (!officeDocument) {
+            this.addError(report, '_rels/.rels', 'required', 'No officeDocument relationship to the presentation part');
+            return;
+        }
+
+        const presentationPart = officeDocument.resolved;
+        const presentationXml = xmlParts[presentationPart];
+        if (!presentationXml) {
+            return;
+        }
+
+        const presentationType = contentTypes.overrides[`/${presentationPart}`];
+        if (presentationType === ooxml.CONTENT_TYPES.template) {
+            this.addWarning(report, presentationPart, 'content-types', 'Package is a template (.potx); PowerPoint will not open it as a .pptx');
+        } else if (presentationType !== ooxml.CONTENT_TYPES.presentation) {
+            this.addError(report, presentationPart, 'content-types', `Unexpected presentation content type ${presentationType || '(none)'}`);
+        }
+
+        if (!rootRels.some(rel => rel.type === ooxml.REL_TYPES.coreProperties)) {
+            this.addWarning(report, '_rels/.rels', 'required', 'No core properties part (docProps/core.xml)');
+        }
+        if (!rootRels.some(rel => rel.type === ooxml.REL_TYPES.extendedProperties)) {
+            this.addWarning(report, '_rels/.rels', 'required', 'No extended properties part (docProps/app.xml)');
+        }
+
+        const presentationRels = relationships[presentationPart] || [];
+        const relsById = Object.fromEntries(presentationRels.map(rel => [rel.id, rel]));
+
+        // Masters
+        const masterIds = this.readIdList(presentationXml, 'p:sldMasterId');
+        if (masterIds.length === 0) {
+            this.addError(report, presentationPart, 'required', 'Presentation has no slide master');
+        }
+        for (const master of masterIds) {
+            const rel = relsById[master.rid];
+            if (!rel || rel.type !== ooxml.REL_TYPES.slideMaster) {
+                this.addError(report, presentationPart, 'ids', `sldMasterId ${master.id} does not reference a slide master relationship`);
+                continue;
+            }
+            this.checkMaster(rel.resolved, xmlParts, relationships, report);
+        }
+
+        // Slides
+        const slideIds = this.readIdList(presentationXml, 'p:sldId');
+        report.stats.slides = slideIds.length;
+        const seenIds = new Set();
+        const seenRids = new Set();
+        for (const slide of slideIds) {
+            const id = parseInt(slide.id, 10);
+            if (Number.isNaN(id) || id < MIN_SLIDE_ID || id >= MIN_MASTER_ID) {
+                this.addError(report, presentationPart, 'ids', `Slide id ${slide.id} is outside the range ${MIN_SLIDE_ID}-${MIN_MASTER_ID - 1}`);
+            }
+            if (seenIds.has(slide.id)) {
+                this.addError(report, presentationPart, 'ids', `Duplicate slide id ${slide.id}`);
+            }
+            if (seenRids.has(slide.rid)) {
+                this.addError(report, presentationPart, 'ids', `Slide relationship ${slide.rid} is listed twice`);
+            }
+            seenIds.add(slide.id);
+            seenRids.add(slide.rid);
+
+            const rel = relsById[slide.rid];
+            if (!rel || rel.type !== ooxml.REL_TYPES.slide) {
+                this.addError(report, presentationPart, 'ids', `sldId ${slide.id} does not reference a slide relationship`);
+                continue;
+            }
+
+            const slideRels = relationships[rel.resolved] || [];
+            if (!slideRels.some(slideRel => slideRel.type === ooxml.REL_TYPES.slideLayout)) {
+                this.addError(report, rel.resolved, 'required', 'Slide has no slide layout relationship');
+            }
+        }
+
+        const listedSlides = new Set(slideIds.map(slide => slide.rid));
+        for (const rel of presentationRels.filter(rel => rel.type === ooxml.REL_TYPES.slide)) {
+            if (!listedSlides.has(rel.id)) {
+                this.addWarning(report, presentationPart, 'ids', `Slide ${rel.resolved} is related but not listed in sldIdLst`);
+            }
+        }
+
+        for (const notes of this.readIdList(presentationXml, 'p:notesMasterId')) {
+            const rel = relsById[notes.rid];
+            if (!rel || rel.type !== ooxml.REL_TYPES.notesMaster) {
+                this.addError(report, presentationPart, 'ids', 'notesMasterId does not reference a notes master relationship');
+            } else if (!(relationships[rel.resolved] || []).some(masterRel => masterRel.type === ooxml.REL_TYPES.theme)) {
+                this.addError(report, rel.resolved, 'required', 'Notes master has no theme relationship');
+            }
+        }
+    }
+
+    checkMaster(masterPart, xmlParts, relationships, report) {
+        const masterRels = relationships[masterPart] || [];
+        if (!masterRels.some(rel => rel.type === ooxml.REL_TYPES.theme)) {
+            this.addError(report, masterPart, 'required', 'Slide master has no theme relationship');
+        }
+
+        const masterXml = xmlParts[masterPart];
+        if (!masterXml) {
+            return;
+        }
+
+        const relsById = Object.fromEntries(masterRels.map(rel => [rel.id, rel]));
+        const layoutIds = this.readIdList(masterXml, 'p:sldLayoutId');
+        if (layoutIds.length === 0) {
+            this.addError(report, masterPart, 'required', 'Slide master has no slide layouts');
+        }
+
+        for (const layout of layoutIds) {
+            const rel = relsById[layout.rid];
+            if (!rel || rel.type !== ooxml.REL_TYPES.slideLayout) {
+                this.addError(report, masterPart, 'ids', `sldLayoutId ${layout.id} does not reference a slide layout relationship`);
+                continue;
+            }
+            if (parseInt(layout.id, 10) < MIN_MASTER_ID) {
+                this.addError(report, masterPart, 'ids', `Layout id ${layout.id} is below ${MIN_MASTER_ID}`);
+            }
+            if (!(relationships[rel.resolved] || []).some(layoutRel => layoutRel.type === ooxml.REL_TYPES.slideMaster)) {
+                this.addError(report, rel.resolved, 'required', 'Slide layout has no slide master relationship');
+            }
+        }
+    }
+
+    readIdList(xml, tagName) {
+        const pattern = new RegExp(`<${tagName}\\b[^>]*>`, 'g');
+        return (xml.match(pattern) || []).map(tag => {
+            const attributes = ooxml.parseAttributes(tag);
+            return { id: attributes.id, rid: attributes['r:id'] };
+        });
+    }
+
+    addError(report, part, code, message) {
+        report.errors.push({ part, code, message });
+    }
+
+    addWarning(report, part, code, message) {
+        report.warnings.push({ part, code, message });
+    }
+}
+
+module.exports = { PptxValidator, PackageValidationError };
@@ -0,0 +1,345 @@
+// Slide count, length and density limits: parsing, prompt text and post-generation enforcement
+
+const LIMITS = {
+    targetSlides: { min: 1, max: 100 },
+    minSlides: { min: 1, max: 100 },
+    maxSlides: { min: 1, max: 100 },
+    maxBulletsPerSlide: { min: 1, max: 20 },
+    maxWordsPerBullet: { min: 3, max: 100 }
+};
+
+// Slides that carry no bullet list and are never merged or split
+const FIXED_SLIDE_TYPES = new Set(['title', 'section', 'closing', 'quote', 'table', 'chart', 'two-column', 'comparison']);
+
+/**
+ * Reads constraint fields from a request body.
+ * @param {Object} input - Raw values (strings from multipart forms are accepted)
+ * @returns {{constraints: Object, errors: Array<{field: string, message: string}>}}
+ */
+function normalizeConstraints(input = {}) {
+    const constraints = {};
+    const errors = [];
+
+    for (const [field, range] of Object.entries(LIMITS)) {
+        const raw = input[field];
+        if (raw === undefined || raw === null || raw === '') {
+            constraints[field] = null;
+            continue;
+        }
+
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < range.min || value > range.max) {
+            errors.push({ field, message: `must be a whole number from ${range.min} to ${range.max}` });
+            constraints[field] = null;
+        } else {
+            constraints[field] = value;
+        }
+    }
+
+    // A target without explicit bounds allows some slack either side; explicit bounds must allow the target
+    if (constraints.targetSlides) {
+        const slack = Math.max(1, Math.round(constraints.targetSlides * 0.2));
+        if (constraints.maxSlides && constraints.targetSlides > constraints.maxSlides) {
+            errors.push({ field: 'targetSlides', message: 'must not be greater than maxSlides' });
+        } else if (constraints.minSlides && constraints.targetSlides < constraints.minSlides) {
+            errors.push({ field: 'targetSlides', message: 'must not be less than minSlides' });
+        } else {
+            if (!constraints.minSlides) constraints.minSlides = Math.max(1, constraints.targetSlides - slack);
+            if (!constraints.maxSlides) constraints.maxSlides = constraints.targetSlides + slack;
+        }
+    }
+
+    if (constraints.minSlides && constraints.maxSlides && constraints.minSlides > constraints.maxSlides) {
+        errors.push({ field: 'minSlides', message: 'must not be greater than maxSlides' });
+    }
+
+    return { constraints, errors };
+}
+
+/**
+ * Whether any limit is set.
+ * @param {Object} constraints
+ * @returns {boolean}
+ */
+function hasConstraints(constraints) {
+    return !!constraints && Object.values(constraints).some(value => value !== null && value !== undefined);
+}
+
+/**
+ * Describes the limits for inclusion in a prompt.
+ * @param {Object} constraints
+ * @returns {string} Empty when there are no limits
+ */
+function describeConstraints(constraints) {
+    if (!hasConstraints(constraints)) {
+        return '';
+    }
+
+    const lines = [];
+    if (constraints.targetSlides) {
+        lines.push(`- Aim for ${constraints.targetSlides} slides in total, including the title slide.`);
+    }
+    if (constraints.minSlides || constraints.maxSlides) {
+        const range = constraints.minSlides && constraints.maxSlides
+            ? `between ${constraints.minSlides} and ${constraints.maxSlides}`
+            : constraints.minSlides ? `at least ${constraints.minSlides}` : `at most ${constraints.maxSlides}`;
+        lines.push(`- Produce ${range} slides.`);
+    }
+    if (constraints.maxBulletsPerSlide) {
+        lines.push(`- Use at most ${constraints.maxBulletsPerSlide} top-level bullets per slide.`);
+    }
+    if (constraints.maxWordsPerBullet) {
+        lines.push(`- Keep every bullet to ${constraints.maxWordsPerBullet} words or fewer.`);
+    }
+    return `Constraints:\n${lines.join('\n')}`;
+}
+
+// Content entries the way the builder reads them: a string with line breaks is one bullet per line, each
+// line nested a level deeper for every two spaces (or tab) of indentation
+function contentList(content) {
+    if (!Array.isArray(content)) {
+        return [];
+    }
+    return content.flatMap(item => {
+        if (Array.isArray(item)) {
+            return [contentList(item)];
+        }
+        if (typeof item === 'string' && /\n/.test(item)) {
+            return splitLines(item);
+        }
+        if (item && typeof item.text === 'string' && /\n/.test(item.text)) {
+            const children = item.children || item.subpoints || item.points;
+            const nested = Array.isArray(children) ? contentList(children) : children ? splitLines(String(children)) : [];
+            return [...splitLines(item.text), ...(nested.length > 0 ? [nested] : [])];
+        }
+        return [item];
+    });
+}
+
+function splitLines(text) {
+    return text.split(/\r?\n/).filter(line => line.trim()).map(line => {
+        const depth = Math.floor(line.match(/^[ \t]*/)[0].replace(/\t/g, '  ').length / 2);
+        let entry = line.trim();
+        for (let i = 0; i < depth; i++) {
+            entry = [entry];
+        }
+        return entry;
+    });
+}
+
+/**
+ * Enforces the limits on a generated structure by shortening bullets and splitting or merging slides.
+ * @param {{slides: Array}} structure
+ * @param {Object} constraints
+ * @returns {{structure: Object, changes: string[]}}
+ */
+function applyConstraints(structure, constraints) {
+    const changes = [];
+    if (!hasConstraints(constraints) || !structure || !Array.isArray(structure.slides)) {
+        return { structure, changes };
+    }
+
+    let slides = structure.slides.map(slide => ({ ...slide, content: contentList(slide.content) }));
+
+    if (constraints.maxWordsPerBullet) {
+        let shortened = 0;
+        slides.forEach(slide => {
+            slide.content = shortenItems(slide.content, constraints.maxWordsPerBullet, () => shortened++);
+            if (Array.isArray(slide.columns)) {
+                slide.columns = slide.columns.map(column => column && Array.isArray(column.content)
+                    ? { ...column, content: shortenItems(contentList(column.content), constraints.maxWordsPerBullet, () => shortened++) }
+                    : column);
+            }
+        });
+        if (shortened > 0) {
+            changes.push(`Shortened ${shortened} bullet${shortened === 1 ? '' : 's'} to ${constraints.maxWordsPerBullet} words`);
+        }
+    }
+
+    if (constraints.maxBulletsPerSlide) {
+        const before = slides.length;
+        slides = slides.flatMap(slide => splitSlide(slide, constraints.maxBulletsPerSlide));
+        if (slides.length > before) {
+            changes.push(`Split long slides into ${slides.length - before} continuation slide${slides.length - before === 1 ? '' : 's'}`);
+        }
+    }
+
+    if (constraints.maxSlides && slides.length > constraints.maxSlides) {
+        const before = slides.length;
+        slides = mergeToLimit(slides, constraints.maxSlides, constraints.maxBulletsPerSlide);
+        changes.push(`Merged slides to bring the deck from ${before} down to ${slides.length}`);
+    }
+
+    if (constraints.minSlides && slides.length < constraints.minSlides) {
+        const before = slides.length;
+        slides = splitToMinimum(slides, constraints.minSlides);
+        if (slides.length > before) {
+            changes.push(`Split slides to bring the deck from ${before} up to ${slides.length}`);
+        }
+    }
+
+    slides.forEach((slide, index) => {
+        slide.slideNumber = index + 1;
+    });
+
+    return {
+        structure: { ...structure, totalSlides: slides.length, slides },
+        changes
+    };
+}
+
+function shortenItems(items, maxWords, onShorten) {
+    return items.map(item => {
+        if (Array.isArray(item)) {
+            return shortenItems(item, maxWords, onShorten);
+        }
+        if (typeof item === 'string') {
+            return shortenText(item, maxWords, onShorten);
+        }
+        if (item && typeof item.text === 'string') {
+            return { ...item, text: shortenText(item.text, maxWords, onShorten) };
+        }
+        return item;
+    });
+}
+
+function shortenText(text, maxWords, onShorten) {
+    const words = text.trim().split(/\s+/);
+    if (words.length <= maxWords) {
+        return text;
+    }
+    onShorten();
+    return `${words.slice(0, maxWords).join(' ').replace(/[,;:.\-–—]+$/, '')}…`;
+}
+
+// Groups content into top-level bullets, each followed by its nested sub-bullets
+function groupBullets(content) {
+    const groups = [];
+    for (const item of content) {
+        if (Array.isArray(item) && groups.length > 0) {
+            groups[groups.length - 1].push(item);
+        } else {
+            groups.push([item]);
+        }
+    }
+    return groups;
+}
+
+function baseTitle(title) {
+    return String(title || '').replace(/\s*\(cont\.\)$/i, '');
+}
+
+function isFlexible(slide) {
+    return !FIXED_SLIDE_TYPES.has(slide.type);
+}
+
+function splitSlide(slide, maxBullets) {
+    const groups = groupBullets(slide.content);
+    if (!isFlexible(slide) || groups.length <= maxBullets) {
+        return [slide];
+    }
+
+    const parts = [];
+    for (let i = 0; i < groups.length; i += maxBullets) {
+        parts.push({
+            ...slide,
+            title: i === 0 ? slide.title : `${baseTitle(slide.title)} (cont.)`,
+            content: groups.slice(i, i + maxBullets).flat(),
+            notes: i === 0 ? slide.notes : ''
+        });
+    }
+    return parts;
+}
+
+function mergeSlides(first, second) {
+    const notes = [first.notes, second.notes]
+        .map(note => Array.isArray(note) ? note.join('\n\n') : note)
+        .filter(Boolean)
+        .join('\n\n');
+    const sameTopic = baseTitle(first.title) === baseTitle(second.title);
+
+    return {
+        ...first,
+        title: sameTopic ? baseTitle(first.title) : `${baseTitle(first.title)} & ${baseTitle(second.title)}`,
+        content: [...first.content, ...second.content],
+        notes
+    };
+}
+
+// Repeatedly merges the adjacent pair of content slides with the fewest bullets
+function mergeToLimit(slides, maxSlides, maxBullets) {
+    const result = [...slides];
+
+    while (result.length > maxSlides) {
+        let best = -1;
+        let bestSize = Infinity;
+        for (let i = 0; i < result.length - 1; i++) {
+            if (!isFlexible(result[i]) || !isFlexible(result[i + 1])) {
+                continue;
+            }
+            // Continuations of the same topic merge first
+            const size = groupBullets(result[i].content).length + groupBullets(result[i + 1].content).length -
+                (baseTitle(result[i].title) === baseTitle(result[i + 1].title) ? 0.5 : 0);
+            if (size < bestSize) {
+                best = i;
+                bestSize = size;
+            }
+        }
+        if (best === -1) {
+            break;
+        }
+
+        const merged = mergeSlides(result[best], result[best + 1]);
+        result.splice(best, 2, maxBullets ? moveOverflowToNotes(merged, maxBullets) : merged);
+    }
+
+    return result;
+}
+
+// When the slide cap forces a merge past the bullet cap, the extra bullets survive in the notes
+function moveOverflowToNotes(slide, maxBullets) {
+    const groups = groupBullets(slide.content);
+    if (groups.length <= maxBullets) {
+        return slide;
+    }
+
+    const overflow = groups.slice(maxBullets).flat(Infinity)
+        .map(item => typeof item === 'string' ? item : item && item.text)
+        .filter(Boolean);
+    return {
+        ...slide,
+        content: groups.slice(0, maxBullets).flat(),
+        notes: [slide.notes, `Also covered: ${overflow.join('; ')}`].filter(Boolean).join('\n\n')
+    };
+}
+
+// Splits the fullest content slide in half until the deck reaches the minimum
+function splitToMinimum(slides, minSlides) {
+    const result = [...slides];
+
+    while (result.length < minSlides) {
+        let best = -1;
+        let bestSize = 1;
+        result.forEach((slide, index) => {
+            const size = groupBullets(slide.content).length;
+            if (isFlexible(slide) && size > bestSize) {
+                best = index;
+                bestSize = size;
+            }
+        });
+        if (best === -1) {
+            break;
+        }
+
+        result.splice(best, 1, ...splitSlide(result[best], Math.ceil(bestSize / 2)));
+    }
+
+    return result;
+}
+
+module.exports = {
+    normalizeConstraints,
+    hasConstraints,
+    describeConstraints,
+    applyConstraints
+};
@@ -0,0 +1,119 @@
+// Slide types beyond plain bullet slides, as explained to the model in structure prompts
+
+// Slide types the LLM may return under other names
+const SLIDE_TYPE_ALIASES = {
+    'title-slide': 'title',
+    cover: 'title',
+    'section-header': 'section',
+    divider: 'section',
+    bullets: 'content',
+    text: 'content',
+    conclusion: 'content',
+    'two-content': 'two-column',
+    'two-columns': 'two-column',
+    twoColumn: 'two-column',
+    compare: 'comparison',
+    versus: 'comparison',
+    quotation: 'quote',
+    'q&a': 'closing',
+    questions: 'closing',
+    'thank-you': 'closing',
+    image: 'picture'
+};
+
+const SLIDE_TYPE_GUIDES = {
+    section: 'Open each major part of a long deck with a "type": "section" divider: a short title and at most one ' +
+        'subtitle line in "content".',
+    'two-column': 'For two parallel lists use "type": "two-column" with "columns": [{"content": [...]}, {"content": [...]}] ' +
+        'and an empty "content".',
+    comparison: 'For a side-by-side comparison (before/after, option A/B, pros/cons) use "type": "comparison" with ' +
+        '"columns": [{"heading": "Option A", "content": [...]}, {"heading": "Option B", "content": [...]}].',
+    quote: 'For a quotation stated in the source use "type": "quote" with the quote as the only "content" item and ' +
+        '"attribution": "Who said it"; the title may be empty. Never invent quotes.',
+    closing: 'End with at most one "type": "closing" slide (a thank-you or Q&A title, with contact or next-step lines ' +
+        'in "content").',
+    table: 'For tabular data (pricing, comparison matrices, splits with several attributes) use "type": "table" with ' +
+        '"table": {"headers": ["Column", ...], "rows": [["Cell", ...], ...]}. Copy values exactly, keep every row the same ' +
+        'width as the headers, and leave "content" empty or give one lead-in line. Prefer a table to bullets whenever ' +
+        'the analysis lists tables.',
+    chart: 'For numbers that compare or trend (shares of a budget, figures per year or region) use "type": "chart" with ' +
+        '"chart": {"type": "bar" | "line" | "pie" | "doughnut", "categories": ["Label", ...], "series": [{"name": "Series", ' +
+        '"values": [number, ...]}]}. Use bar to compare values, line for a trend over time and pie or doughnut for parts ' +
+        'of a whole (one series). Only chart numbers the analysis states, copied exactly; never estimate or invent ' +
+        'values. Without at least three such numbers, use bullets instead.'
+};
+
+/**
+ * Describes the special slide types for a structure prompt.
+ * @returns {string}
+ */
+function describeSlideTypes() {
+    return `Slide types:\n${Object.values(SLIDE_TYPE_GUIDES).map(guide => `- ${guide}`).join('\n')}`;
+}
+
+/**
+ * Normalizes a slide's table to trimmed string cells with rows padded or cut to the header width.
+ * @param {*} table - The slide's `table` value
+ * @returns {{headers: string[], rows: string[][]}|null} Null when there is nothing to draw
+ */
+function normalizeTable(table) {
+    if (!table || typeof table !== 'object') {
+        return null;
+    }
+
+    const cell = (value) => value === null || value === undefined ? '' : String(value).trim();
+    const rows = (Array.isArray(table.rows) ? table.rows : [])
+        .filter(Array.isArray)
+        .map(row => row.map(cell));
+    let headers = (Array.isArray(table.headers) ? table.headers : []).map(cell);
+
+    const width = Math.max(headers.length, ...rows.map(row => row.length), 0);
+    if (width === 0) {
+        return null;
+    }
+    const pad = (row) => [...row.slice(0, width), ...Array(Math.max(0, width - row.length)).fill('')];
+    headers = headers.length > 0 ? pad(headers) : [];
+
+    return { headers, rows: rows.map(pad) };
+}
+
+/**
+ * Reads the two columns of a two-column or comparison slide. Without `columns`, content made of exactly two
+ * points with sub-bullets becomes two headed columns, and any other content is split in half.
+ * @param {Object} slide
+ * @returns {Array<{heading: string, content: Array}>} Always two columns
+ */
+function normalizeColumns(slide) {
+    if (Array.isArray(slide.columns) && slide.columns.length > 0) {
+        const columns = slide.columns.slice(0, 2).map(column => ({
+            heading: column && column.heading ? String(column.heading).trim() : '',
+            content: column && Array.isArray(column.content) ? column.content : []
+        }));
+        while (columns.length < 2) {
+            columns.push({ heading: '', content: [] });
+        }
+        return columns;
+    }
+
+    // Group top-level points with the nested arrays that follow them
+    const groups = [];
+    for (const item of Array.isArray(slide.content) ? slide.content : []) {
+        if (Array.isArray(item) && groups.length > 0) {
+            groups[groups.length - 1].push(item);
+        } else {
+            groups.push([item]);
+        }
+    }
+
+    if (groups.length === 2 && groups.every(group => group.length === 2 && typeof group[0] === 'string')) {
+        return groups.map(([heading, content]) => ({ heading: heading.trim(), content }));
+    }
+
+    const half = Math.ceil(groups.length / 2);
+    return [
+        { heading: '', content: groups.slice(0, half).flat() },
+        { heading: '', content: groups.slice(half).flat() }
+    ];
+}
+
+module.exports = { SLIDE_TYPE_ALIASES, describeSlideTypes, normalizeTable, normalizeColumns };
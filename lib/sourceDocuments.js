@@ -0,0 +1,377 @@
+// Source content from uploaded documents: .docx, Markdown, HTML, plain text and text-layer PDFs, converted to
+// Markdown so headings, lists and tables reach the outline as structure rather than flattened text
+const path = require('path');
+const JSZip = require('jszip');
+const { parseAttributes } = require('./ooxml');
+const { extractPdfText } = require('./pdfText');
+
+const SOURCE_FORMATS = {
+    docx: ['.docx'],
+    markdown: ['.md', '.markdown'],
+    html: ['.html', '.htm'],
+    text: ['.txt'],
+    pdf: ['.pdf']
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', bull: '•', copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', yen: '¥', cent: '¢', times: '×', deg: '°' };
+
+// Characters PDFs and Word use for hand-made bullets
+const BULLET_GLYPHS = /^[•◦▪▫‣∙·●○■□➢►–-]\s+/;
+
+class SourceDocumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SourceDocumentError';
+    }
+}
+
+/**
+ * Works out a source document's format from its file name.
+ * @param {string} filename
+ * @returns {string|null} One of the SOURCE_FORMATS keys, or null when unsupported
+ */
+function sourceFormat(filename) {
+    const extension = path.extname(String(filename || '')).toLowerCase();
+    return Object.keys(SOURCE_FORMATS).find(format => SOURCE_FORMATS[format].includes(extension)) || null;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] !== undefined ? HTML_ENTITIES[entity.toLowerCase()] : match;
+    });
+}
+
+function tableMarkdown(rows) {
+    const width = Math.max(...rows.map(row => row.length));
+    const cell = (value) => value.replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+    const line = (row) => `| ${[...row, ...Array(width - row.length).fill('')].map(cell).join(' | ')} |`;
+    return [line(rows[0]), `|${Array(width).fill(' --- ').join('|')}|`, ...rows.slice(1).map(line)].join('\n');
+}
+
+// ---- .docx ----
+
+function wordStyles(xml) {
+    const styles = {};
+    for (const match of (xml || '').matchAll(/<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g)) {
+        const id = parseAttributes(match[1])['w:styleId'];
+        const name = ((match[2].match(/<w:name\b([^>]*)\/>/) || [])[1] || '');
+        const outline = match[2].match(/<w:outlineLvl\s+w:val="(\d+)"/);
+        styles[id] = { name: parseAttributes(name)['w:val'] || id, outlineLevel: outline ? Number(outline[1]) : null };
+    }
+    return styles;
+}
+
+// Text of a paragraph's runs, with bold and italic kept as Markdown
+function wordRuns(xml) {
+    const spans = [];
+    for (const run of xml.matchAll(/<w:r\b[^>]*>([\s\S]*?)<\/w:r>/g)) {
+        const props = (run[1].match(/<w:rPr>([\s\S]*?)<\/w:rPr>/) || [])[1] || '';
+        const on = (tag) => new RegExp(`<w:${tag}(\\s*/>|\\s+w:val="(true|1|on)")`).test(props);
+        let text = '';
+        for (const part of run[1].matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>/g)) {
+            text += part[2] ? ' ' : decodeEntities(part[1]);
+        }
+        const marker = on('b') ? (on('i') ? '***' : '**') : on('i') ? '*' : '';
+        // Adjacent runs with the same emphasis read as one span
+        const last = spans[spans.length - 1];
+        if (last && (last.marker === marker || !text.trim())) {
+            last.text += text;
+        } else {
+            spans.push({ marker, text });
+        }
+    }
+    return spans.map(({ marker, text }) => {
+        const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return core ? `${lead}${marker}${core}${marker}${trail}` : text;
+    }).join('').replace(/\s+/g, ' ').trim();
+}
+
+function wordParagraph(xml, styles) {
+    const props = (xml.match(/<w:pPr>([\s\S]*?)<\/w:pPr>/) || [])[1] || '';
+    const styleId = (props.match(/<w:pStyle\s+w:val="([^"]+)"/) || [])[1];
+    const style = styles[styleId] || { name: styleId || '', outlineLevel: null };
+    const text = wordRuns(xml).replace(/^\*+([^*]+)\*+$/, '$1');
+    if (!text) {
+        return null;
+    }
+
+    if (/^title$/i.test(style.name)) {
+        return { kind: 'title', level: 1, text };
+    }
+    const heading = style.name.match(/^heading\s*(\d)$/i);
+    const outline = (props.match(/<w:outlineLvl\s+w:val="(\d+)"/) || [])[1];
+    const level = heading ? Number(heading[1]) : outline !== undefined ? Number(outline) + 1
+        : style.outlineLevel !== null ? style.outlineLevel + 1 : null;
+    if (level && level <= 6) {
+        return { kind: 'heading', level, text };
+    }
+
+    const list = props.match(/<w:numPr>[\s\S]*?<\/w:numPr>/);
+    if (list || /^list/i.test(style.name)) {
+        const depth = list ? Number((list[0].match(/<w:ilvl\s+w:val="(\d+)"/) || [])[1] || 0) : 0;
+        return { kind: 'list', text: `${'  '.repeat(depth)}- ${text}` };
+    }
+    if (/quote/i.test(style.name)) {
+        return { kind: 'paragraph', text: `> ${text}` };
+    }
+    return { kind: 'paragraph', text };
+}
+
+function wordTable(xml) {
+    const rows = [...xml.matchAll(/<w:tr\b[^>]*>([\s\S]*?)<\/w:tr>/g)].map(row =>
+        [...row[1].matchAll(/<w:tc\b[^>]*>([\s\S]*?)<\/w:tc>/g)].map(cell =>
+            [...cell[1].matchAll(/<w:p\b[^>]*>[\s\S]*?<\/w:p>/g)].map(paragraph => wordRuns(paragraph[0])).filter(Boolean).join(' ')
+        )
+    ).filter(row => row.some(Boolean));
+    return rows.length > 0 ? tableMarkdown(rows) : null;
+}
+
+async function docxToMarkdown(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new SourceDocumentError('The file is not a valid .docx document');
+    }
+    const documentFile = zip.file('word/document.xml');
+    if (!documentFile) {
+        throw new SourceDocumentError('The .docx has no document body (word/document.xml)');
+    }
+
+    const styles = wordStyles(zip.file('word/styles.xml') ? await zip.file('word/styles.xml').async('string') : '');
+    const xml = await documentFile.async('string');
+    const body = (xml.match(/<w:body>([\s\S]*)<\/w:body>/) || [])[1] || '';
+
+    const blocks = [...body.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g)]
+        .map(match => match[0].startsWith('<w:tbl>') ? { kind: 'table', text: wordTable(match[0]) } : wordParagraph(match[0], styles))
+        .filter(block => block && block.text);
+
+    // A Title paragraph takes the top heading level, so the document's headings move down one
+    const shift = blocks.some(block => block.kind === 'title') ? 1 : 0;
+    let markdown = '';
+    blocks.forEach((block, index) => {
+        const text = block.level ? `${'#'.repeat(Math.min(6, block.level + (block.kind === 'title' ? 0 : shift)))} ${block.text}` : block.text;
+        // List items stay together; everything else is its own Markdown block
+        markdown += index === 0 ? text : block.kind === 'list' && blocks[index - 1].kind === 'list' ? `\n${text}` : `\n\n${text}`;
+    });
+    return markdown;
+}
+
+// ---- HTML ----
+
+function htmlToMarkdown(html) {
+    const source = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '');
+    const body = (source.match(/<body\b[^>]*>([\s\S]*)<\/body>/i) || [null, source])[1];
+
+    let out = '';
+    const lists = [];
+    let table = null;
+    let row = null;
+    let cell = null;
+    let pre = 0;
+    let quote = 0;
+    const block = (prefix = '') => {
+        out = out.replace(/[ \t]+$/, '');
+        if (out && !out.endsWith('\n\n')) {
+            out += out.endsWith('\n') ? '\n' : '\n\n';
+        }
+        out += `${'> '.repeat(quote)}${prefix}`;
+    };
+    const write = (text) => {
+        if (cell !== null) {
+            cell.push(text);
+        } else {
+            out += text;
+        }
+    };
+    // Emphasis markers; an empty span writes nothing
+    const mark = (marker, closing) => {
+        if (closing && cell !== null && cell[cell.length - 1] === marker) {
+            cell.pop();
+        } else if (closing && cell === null && out.endsWith(marker)) {
+            out = out.slice(0, -marker.length);
+        } else {
+            write(marker);
+        }
+    };
+
+    for (const token of body.matchAll(/<(\/?)([a-z][a-z0-9]*)\b[^>]*>|([^<]+)/gi)) {
+        if (token[3] !== undefined) {
+            const text = decodeEntities(pre ? token[3] : token[3].replace(/\s+/g, ' '));
+            if (!pre && !text.trim() && (out.endsWith('\n') || out.endsWith(' ') || !out)) {
+                continue;
+            }
+            write(pre ? text : text.replace(/^ /, /[\s(]$/.test(out) || !out ? '' : ' '));
+            continue;
+        }
+
+        const closing = token[1] === '/';
+        const tag = token[2].toLowerCase();
+        if (/^h[1-6]$/.test(tag)) {
+            if (closing) block(); else block(`${'#'.repeat(Number(tag[1]))} `);
+        } else if (tag === 'ul' || tag === 'ol') {
+            if (closing) {
+                lists.pop();
+                if (lists.length === 0) block();
+            } else {
+                lists.push(tag);
+            }
+        } else if (tag === 'li' && !closing) {
+            out = out.replace(/[ \t]+$/, '');
+            out += `${out && !out.endsWith('\n') ? '\n' : ''}${'  '.repeat(Math.max(0, lists.length - 1))}- `;
+        } else if (tag === 'table') {
+            if (closing) {
+                if (table && table.length > 0) {
+                    block();
+                    out += tableMarkdown(table);
+                    block();
+                }
+                table = null;
+            } else {
+                table = [];
+            }
+        } else if (tag === 'tr') {
+            if (!closing && table) {
+                row = [];
+                table.push(row);
+            }
+        } else if (tag === 'td' || tag === 'th') {
+            if (closing) {
+                if (row && cell) row.push(cell.join('').trim());
+                cell = null;
+            } else {
+                cell = [];
+            }
+        } else if (tag === 'pre') {
+            pre += closing ? -1 : 1;
+            block(closing ? '' : '```\n');
+            if (closing) {
+                out = `${out.replace(/\n*$/, '')}\n\`\`\`\n\n`;
+            }
+        } else if (tag === 'blockquote') {
+            quote = Math.max(0, quote + (closing ? -1 : 1));
+            block();
+        } else if (tag === 'br') {
+            write(pre ? '\n' : ' ');
+        } else if (/^(p|div|section|article|header|footer|main|aside|dd|dt|figure|figcaption|hr)$/.test(tag)) {
+            if (lists.length === 0 && cell === null) block();
+        } else if (tag === 'strong' || tag === 'b') {
+            mark('**', closing);
+        } else if (tag === 'em' || tag === 'i') {
+            mark('*', closing);
+        } else if (tag === 'code' && !pre) {
+            mark('`', closing);
+        }
+    }
+
+    return out
+        .replace(/^(> ?)+$/gm, '')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// ---- PDF ----
+
+// PDF lines become paragraphs: wrapped lines join up unless there is a gap above the next line, bullet glyphs
+// become list items and lines set clearly larger than the body text become headings
+function pdfToMarkdown(buffer) {
+    const pages = extractPdfText(buffer);
+    const lines = pages.flat();
+    if (lines.length === 0) {
+        throw new SourceDocumentError('The PDF has no text layer to read (it may be scanned images)');
+    }
+
+    // The body size is the one most text is set in
+    const usage = new Map();
+    for (const line of lines) {
+        usage.set(line.size, (usage.get(line.size) || 0) + line.text.length);
+    }
+    const bodySize = [...usage.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    const blocks = [];
+    for (const page of pages) {
+        let paragraph = '';
+        const flush = () => {
+            if (paragraph) blocks.push(paragraph);
+            paragraph = '';
+        };
+        let previousY = null;
+        for (const { text, size, y } of page) {
+            const gap = previousY !== null && Math.abs(previousY - y) > Math.max(size, bodySize) * 1.6;
+            previousY = y;
+            if (bodySize > 0 && size >= bodySize * 1.15 && text.length <= 120) {
+                flush();
+                blocks.push(`${size >= bodySize * 1.6 ? '#' : '##'} ${text}`);
+            } else if (BULLET_GLYPHS.test(text)) {
+                flush();
+                paragraph = `- ${text.replace(BULLET_GLYPHS, '')}`;
+            } else if (paragraph && !gap && !/[.!?:;]$/.test(paragraph)) {
+                paragraph = /\w-$/.test(paragraph) ? `${paragraph.slice(0, -1)}${text}` : `${paragraph} ${text}`;
+            } else {
+                flush();
+                paragraph = text;
+            }
+        }
+        flush();
+    }
+    // Consecutive list items form one list
+    return blocks.join('\n\n').replace(/(^- .*)\n\n(?=- )/gm, '$1\n');
+}
+
+/**
+ * Summarizes the structure found in Markdown, for display with the extracted text.
+ * @param {string} markdown
+ * @returns {{headings: number, listItems: number, tables: number, words: number}}
+ */
+function describeStructure(markdown) {
+    const lines = markdown.split('\n');
+    return {
+        headings: lines.filter(line => /^#{1,6}\s/.test(line)).length,
+        listItems: lines.filter(line => /^\s*(?:[-*+]|\d+[.)])\s/.test(line)).length,
+        tables: lines.filter((line, index) => /^\|?(\s*:?-{2,}:?\s*\|)+/.test(line) && index > 0 && /^\s*\|/.test(lines[index - 1])).length,
+        words: markdown.split(/\s+/).filter(word => /\w/.test(word)).length
+    };
+}
+
+/**
+ * Reads an uploaded document as Markdown source text.
+ * @param {Buffer} buffer
+ * @param {string} filename - Used to pick the format
+ * @returns {Promise<{format: string, text: string, structure: Object}>}
+ * @throws {SourceDocumentError} When the format is unsupported or the file holds no readable text
+ */
+async function readSourceDocument(buffer, filename) {
+    const format = sourceFormat(filename);
+    if (!format) {
+        throw new SourceDocumentError(`Unsupported document type; use ${Object.values(SOURCE_FORMATS).flat().join(', ')}`);
+    }
+
+    let text;
+    if (format === 'docx') {
+        text = await docxToMarkdown(buffer);
+    } else if (format === 'pdf') {
+        text = pdfToMarkdown(buffer);
+    } else {
+        const source = buffer.toString('utf8').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+        text = format === 'html' ? htmlToMarkdown(source) : source.trim();
+    }
+
+    if (!text.trim()) {
+        throw new SourceDocumentError('The document has no text');
+    }
+    return { format, text, structure: describeStructure(text) };
+}
+
+module.exports = {
+    SOURCE_FORMATS,
+    SourceDocumentError,
+    sourceFormat,
+    readSourceDocument
+};
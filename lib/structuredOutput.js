@@ -0,0 +1,327 @@
+// Shared parsing, validation and repair for JSON returned by LLM providers
+
+// A bullet is a string, a nested array of sub-bullets, or an object with text and children
+const BULLET_ITEM_SCHEMA = {
+    type: ['string', 'array', 'object'],
+    items: { $ref: 'bulletItem' },
+    properties: {
+        text: { type: 'string' }
+    }
+};
+
+// Header cells plus rows of cells; numbers are accepted and rendered as text
+const TABLE_SCHEMA = {
+    type: 'object',
+    required: ['rows'],
+    properties: {
+        title: { type: 'string' },
+        headers: { type: 'array', items: { type: ['string', 'number'] } },
+        rows: { type: 'array', items: { type: 'array', items: { type: ['string', 'number', 'null'] } } }
+    }
+};
+
+// Categories along one axis and one or more named series of values
+const CHART_SCHEMA = {
+    type: 'object',
+    required: ['type', 'categories', 'series'],
+    properties: {
+        type: { type: 'string', minLength: 1 },
+        title: { type: 'string' },
+        categories: { type: 'array', minItems: 1, items: { type: ['string', 'number'] } },
+        series: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['values'],
+                properties: {
+                    name: { type: 'string' },
+                    values: { type: 'array', items: { type: ['number', 'string', 'null'] } }
+                }
+            }
+        }
+    }
+};
+
+const ANALYSIS_SCHEMA = {
+    name: 'analysis',
+    type: 'object',
+    required: ['title', 'themes', 'keyPoints'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        themes: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        keyPoints: { type: 'object', additionalProperties: { type: 'array', items: { $ref: 'bulletItem' } } },
+        slideCount: { type: 'integer', minimum: 1 },
+        structure: { type: 'string' },
+        tables: { type: 'array', items: { $ref: 'table' } }
+    }
+};
+
+const SLIDE_STRUCTURE_SCHEMA = {
+    name: 'slide structure',
+    type: 'object',
+    required: ['slides'],
+    properties: {
+        totalSlides: { type: 'integer', minimum: 1 },
+        slides: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['title'],
+                properties: {
+                    slideNumber: { type: 'integer', minimum: 1 },
+                    type: { type: 'string' },
+                    title: { type: 'string' },
+                    content: { type: 'array', items: { $ref: 'bulletItem' } },
+                    notes: { type: ['string', 'array'] },
+                    table: { $ref: 'table' },
+                    chart: CHART_SCHEMA,
+                    columns: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                heading: { type: 'string' },
+                                content: { type: 'array', items: { $ref: 'bulletItem' } }
+                            }
+                        }
+                    },
+                    attribution: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const DEFINITIONS = {
+    bulletItem: BULLET_ITEM_SCHEMA,
+    table: TABLE_SCHEMA
+};
+
+class StructuredOutputError extends Error {
+    /**
+     * @param {string} name - What was being parsed, e.g. "analysis"
+     * @param {Array<{path: string, message: string}>} errors - Field-level problems
+     * @param {string} raw - The model output that failed
+     */
+    constructor(name, errors, raw) {
+        const summary = errors.slice(0, 5).map(error => `${error.path}: ${error.message}`).join('; ');
+        const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+        super(`Invalid ${name} from model: ${summary}${more}`);
+        this.name = 'StructuredOutputError';
+        this.errors = errors;
+        this.raw = raw;
+    }
+}
+
+/**
+ * Pulls a JSON value out of model text that may be fenced or surrounded by prose.
+ * @param {string} text - Raw model output
+ * @returns {*} The parsed value
+ * @throws {SyntaxError} When no JSON value can be found
+ */
+function extractJson(text) {
+    const source = String(text || '').trim();
+    const candidates = [source];
+
+    const fenced = source.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)```/);
+    if (fenced) {
+        candidates.push(fenced[1].trim());
+    }
+
+    const balanced = findBalancedJson(source);
+    if (balanced) {
+        candidates.push(balanced);
+    }
+
+    let lastError = new SyntaxError('No JSON object found in model output');
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(candidate);
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+// Finds the first complete {...} or [...] span, ignoring brackets inside strings
+function findBalancedJson(text) {
+    const start = text.search(/[{[]/);
+    if (start === -1) {
+        return null;
+    }
+
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            if (stack.pop() !== char) {
+                return null;
+            }
+            if (stack.length === 0) {
+                return text.slice(start, i + 1);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks a value against a small JSON-schema subset (type, required, properties,
+ * additionalProperties, items, minItems, minLength, minimum, $ref).
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - JSON path of the value, used in messages
+ * @returns {Array<{path: string, message: string}>}
+ */
+function validate(value, schema, path = '$') {
+    if (schema.$ref) {
+        return validate(value, DEFINITIONS[schema.$ref], path);
+    }
+
+    const errors = [];
+    const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+    const actual = typeOf(value);
+
+    if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        errors.push({ path, message: `expected ${types.join(' or ')}, got ${actual === 'integer' ? 'number' : actual}` });
+        return errors;
+    }
+
+    if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push({ path, message: 'must not be empty' });
+    }
+    if ((actual === 'integer' || actual === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+            if (childSchema && child !== undefined && child !== null) {
+                errors.push(...validate(child, childSchema, `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Extracts and validates model output, throwing a StructuredOutputError naming the bad fields.
+ * @param {string} text - Raw model output
+ * @param {Object} schema - ANALYSIS_SCHEMA or SLIDE_STRUCTURE_SCHEMA
+ * @returns {Object}
+ */
+function parseStructured(text, schema) {
+    let value;
+    try {
+        value = extractJson(text);
+    } catch (error) {
+        throw new StructuredOutputError(schema.name, [{ path: '$', message: `not valid JSON (${error.message})` }], text);
+    }
+
+    const errors = validate(value, schema);
+    if (errors.length > 0) {
+        throw new StructuredOutputError(schema.name, errors, text);
+    }
+
+    return value;
+}
+
+/**
+ * Builds a follow-up prompt asking the model to fix its previous answer.
+ * @param {string} prompt - The original prompt
+ * @param {StructuredOutputError} error - What was wrong with the answer
+ * @returns {string}
+ */
+function buildRepairPrompt(prompt, error) {
+    const previous = String(error.raw || '').slice(0, 8000);
+    return `${prompt}
+
+Your previous answer could not be used:
+${error.errors.map(issue => `- ${issue.path}: ${issue.message}`).join('\n')}
+
+Previous answer:
+${previous}
+
+Reply again with only the corrected JSON object, no code fences and no commentary.`;
+}
+
+/**
+ * Calls a model and parses its JSON answer, retrying with a repair prompt when it is invalid.
+ * @param {function(string): Promise<string>} complete - Sends a prompt, resolves to the model text
+ * @param {string} prompt
+ * @param {Object} schema
+ * @param {{retries?: number}} [options]
+ * @returns {Promise<Object>}
+ */
+async function requestStructured(complete, prompt, schema, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : 1;
+    let currentPrompt = prompt;
+
+    for (let attempt = 0; ; attempt++) {
+        const text = await complete(currentPrompt);
+        try {
+            return parseStructured(text, schema);
+        } catch (error) {
+            if (!(error instanceof StructuredOutputError) || attempt >= retries) {
+                throw error;
+            }
+            console.warn(`Repairing ${schema.name} (attempt ${attempt + 1}):`, error.message);
+            currentPrompt = buildRepairPrompt(prompt, error);
+        }
+    }
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    SLIDE_STRUCTURE_SCHEMA,
+    StructuredOutputError,
+    extractJson,
+    validate,
+    parseStructured,
+    buildRepairPrompt,
+    requestStructured
+};
@@ -0,0 +1,162 @@
+// Finds tabular blocks (markdown tables, tab- and comma-separated lines) in source text
+
+const MARKDOWN_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const HEADING = /^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/;
+const LIST_ITEM = /^\s*([-*+•]|\d+[.)])\s+/;
+
+// Longer cells than this read as prose with commas, not CSV
+const MAX_AVERAGE_CSV_CELL = 24;
+
+/**
+ * Detects tables in text.
+ * @param {string} text
+ * @returns {Array<{format: string, heading: string, headers: string[], rows: string[][], startLine: number, endLine: number}>}
+ *   Lines are zero-based and inclusive; heading is the nearest markdown heading above the table
+ */
+function detectTables(text) {
+    const lines = String(text || '').split(/\r?\n/);
+    const tables = [];
+    let heading = '';
+    let index = 0;
+
+    while (index < lines.length) {
+        const headingMatch = lines[index].match(HEADING);
+        if (headingMatch) {
+            heading = headingMatch[1];
+            index++;
+            continue;
+        }
+
+        const table = readMarkdownTable(lines, index) || readDelimitedTable(lines, index, '\t', 2) || readDelimitedTable(lines, index, ',', 3);
+        if (table) {
+            tables.push({ ...table, heading, startLine: index, endLine: table.endLine });
+            index = table.endLine + 1;
+        } else {
+            index++;
+        }
+    }
+
+    return tables;
+}
+
+function readMarkdownTable(lines, start) {
+    if (!lines[start].includes('|') || start + 1 >= lines.length || !MARKDOWN_SEPARATOR.test(lines[start + 1])) {
+        return null;
+    }
+
+    const headers = splitMarkdownRow(lines[start]);
+    const rows = [];
+    let end = start + 1;
+    while (end + 1 < lines.length && lines[end + 1].includes('|') && lines[end + 1].trim()) {
+        end++;
+        rows.push(fitRow(splitMarkdownRow(lines[end]), headers.length));
+    }
+
+    return { format: 'markdown', headers, rows, endLine: end };
+}
+
+function splitMarkdownRow(line) {
+    // Escaped pipes (\|) belong to the cell text
+    return line.trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Consecutive lines that split into the same number (2+) of cells on the delimiter
+function readDelimitedTable(lines, start, delimiter, minLines) {
+    const split = (line) => delimiter === ',' ? splitCsvRow(line) : line.split('\t').map(cell => cell.trim());
+    const isCandidate = (line) => line.includes(delimiter) && line.trim() && !HEADING.test(line) && !LIST_ITEM.test(line);
+
+    if (!isCandidate(lines[start])) {
+        return null;
+    }
+
+    const width = split(lines[start]).length;
+    if (width < 2) {
+        return null;
+    }
+
+    let end = start;
+    while (end + 1 < lines.length && isCandidate(lines[end + 1]) && split(lines[end + 1]).length === width) {
+        end++;
+    }
+    if (end - start + 1 < minLines) {
+        return null;
+    }
+
+    const cells = lines.slice(start, end + 1).map(split);
+    if (delimiter === ',') {
+        const flat = cells.flat();
+        const averageLength = flat.reduce((sum, cell) => sum + cell.length, 0) / flat.length;
+        const endsLikeSentence = lines.slice(start, end + 1).some(line => /[.!?]["')]?\s*$/.test(line));
+        if (averageLength > MAX_AVERAGE_CSV_CELL || endsLikeSentence || flat.some(cell => cell === '')) {
+            return null;
+        }
+    }
+
+    return {
+        format: delimiter === ',' ? 'csv' : 'tsv',
+        headers: cells[0],
+        rows: cells.slice(1),
+        endLine: end
+    };
+}
+
+function splitCsvRow(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"' && !current.trim()) {
+            quoted = true;
+            current = '';
+        } else if (char === ',') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+function fitRow(row, width) {
+    const fitted = row.slice(0, width);
+    while (fitted.length < width) {
+        fitted.push('');
+    }
+    return fitted;
+}
+
+/**
+ * Summarizes detected tables for inclusion in an analysis prompt.
+ * @param {Array} tables - Result of detectTables
+ * @returns {string} Empty when there are no tables
+ */
+function describeTables(tables) {
+    if (!tables || tables.length === 0) {
+        return '';
+    }
+
+    const lines = tables.map((table, index) => {
+        const place = table.heading ? ` under "${table.heading}"` : '';
+        return `${index + 1}. A ${table.format} table${place} with columns ${table.headers.map(header => `"${header}"`).join(', ')} and ${table.rows.length} row${table.rows.length === 1 ? '' : 's'}.`;
+    });
+    return `Tables found in the text (copy them into "tables" with their values unchanged):\n${lines.join('\n')}`;
+}
+
+module.exports = { detectTables, describeTables };
@@ -0,0 +1,188 @@
+// Saved templates on disk, and template analyses cached by content hash
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_TEMPLATES = 50;
+const MEMORY_CACHE_SIZE = 20; // Analyses of templates that were uploaded but not saved
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class TemplateStoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateStoreError';
+    }
+}
+
+class TemplateStore {
+    /**
+     * @param {{dir: string, analyze: function(Buffer): Promise<Object>, maxTemplates?: number}} options -
+     *   `analyze` is the template analyzer; its result is cached per file content
+     */
+    constructor(options) {
+        this.dir = options.dir;
+        this.analyze = options.analyze;
+        this.maxTemplates = options.maxTemplates || DEFAULT_MAX_TEMPLATES;
+        this.templates = new Map(); // id -> metadata, including the analysis
+        this.analysisCache = new Map(); // hash -> analysis, oldest first
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.load();
+    }
+
+    // Reads the metadata of every saved template; entries whose file is missing are dropped
+    load() {
+        for (const entry of fs.readdirSync(this.dir)) {
+            const id = path.basename(entry, '.json');
+            if (!entry.endsWith('.json') || !ID_PATTERN.test(id) || !fs.existsSync(this.filePath(id))) {
+                continue;
+            }
+            try {
+                this.templates.set(id, JSON.parse(fs.readFileSync(path.join(this.dir, entry), 'utf8')));
+            } catch (error) {
+                console.error(`Skipping unreadable template metadata ${entry}:`, error.message);
+            }
+        }
+    }
+
+    static hash(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    /**
+     * Analysis of a template file, reused for files with the same content.
+     * @param {Buffer} buffer
+     * @returns {Promise<{analysis: Object, hash: string, cached: boolean}>}
+     */
+    async analysis(buffer) {
+        const hash = TemplateStore.hash(buffer);
+        const saved = this.findByHash(hash);
+        if (saved) {
+            return { analysis: saved.analysis, hash, cached: true };
+        }
+        if (this.analysisCache.has(hash)) {
+            const analysis = this.analysisCache.get(hash);
+            // Re-inserting keeps recently used analyses at the end, away from eviction
+            this.analysisCache.delete(hash);
+            this.analysisCache.set(hash, analysis);
+            return { analysis, hash, cached: true };
+        }
+
+        const analysis = await this.analyze(buffer);
+        // A file that could not be read gets default styling; don't pin that to its hash
+        if (analysis.metadata && analysis.metadata.analyzed) {
+            this.analysisCache.set(hash, analysis);
+            if (this.analysisCache.size > MEMORY_CACHE_SIZE) {
+                this.analysisCache.delete(this.analysisCache.keys().next().value);
+            }
+        }
+        return { analysis, hash, cached: false };
+    }
+
+    /**
+     * Saves a template. A file already in the library is returned as is instead of stored twice.
+     * @param {Buffer} buffer
+     * @param {{name?: string, filename: string}} details
+     * @returns {Promise<{template: Object, created: boolean}>} The metadata, including the analysis
+     * @throws {TemplateStoreError} When the file is not a readable template or the library is full
+     */
+    async save(buffer, { name, filename }) {
+        const { analysis, hash } = await this.analysis(buffer);
+        const existing = this.findByHash(hash);
+        if (existing) {
+            return { template: existing, created: false };
+        }
+        if (!analysis.metadata || !analysis.metadata.analyzed) {
+            throw new TemplateStoreError(`Not a readable PowerPoint template: ${(analysis.metadata && analysis.metadata.error) || 'unknown error'}`);
+        }
+        if (this.templates.size >= this.maxTemplates) {
+            throw new TemplateStoreError(`The template library is full (${this.maxTemplates} templates); delete one first`);
+        }
+
+        const template = {
+            id: crypto.randomUUID(),
+            name: String(name || '').trim() || path.basename(filename, path.extname(filename)),
+            filename,
+            size: buffer.length,
+            hash,
+            createdAt: new Date().toISOString(),
+            analysis
+        };
+        await fs.promises.writeFile(this.filePath(template.id), buffer);
+        await fs.promises.writeFile(this.metadataPath(template.id), JSON.stringify(template));
+        this.templates.set(template.id, template);
+        this.analysisCache.delete(hash);
+        return { template, created: true };
+    }
+
+    /**
+     * Saved templates, newest first, without their analyses.
+     * @returns {Object[]}
+     */
+    list() {
+        return [...this.templates.values()]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(template => this.summarize(template));
+    }
+
+    /**
+     * Metadata and analysis of a saved template, or null.
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.templates.get(id) || null;
+    }
+
+    /**
+     * The saved template with the given file hash, or null.
+     * @param {string} hash
+     * @returns {Object|null}
+     */
+    findByHash(hash) {
+        return [...this.templates.values()].find(template => template.hash === hash) || null;
+    }
+
+    /**
+     * Contents of a saved template file, or null when there is no such template.
+     * @param {string} id
+     * @returns {Promise<Buffer|null>}
+     */
+    async read(id) {
+        return this.templates.has(id) ? fs.promises.readFile(this.filePath(id)) : null;
+    }
+
+    /**
+     * Deletes a saved template.
+     * @param {string} id
+     * @returns {Promise<boolean>} False when there was no such template
+     */
+    async remove(id) {
+        if (!this.templates.has(id)) {
+            return false;
+        }
+        this.templates.delete(id);
+        await Promise.all([this.filePath(id), this.metadataPath(id)].map(file => fs.promises.unlink(file).catch(() => {})));
+        return true;
+    }
+
+    // The listing leaves out the analysis, which is sizable; enough remains to pick a template
+    summarize(template) {
+        const { analysis, ...details } = template;
+        return {
+            ...details,
+            layoutCount: analysis.slideLayouts.length,
+            themeName: (analysis.theme && analysis.theme.name) || ''
+        };
+    }
+
+    filePath(id) {
+        return path.join(this.dir, `${id}.pptx`);
+    }
+
+    metadataPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+}
+
+module.exports = { TemplateStore, TemplateStoreError };
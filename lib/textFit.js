@@ -0,0 +1,164 @@
+// Estimates how much room bullet text needs and fits it to its box by shrinking, auto-fit or splitting
+
+const EMU_PER_POINT = 12700;
+const LINE_SPACING = 1.2; // Line height as a multiple of the font size
+const PARAGRAPH_SPACING = 0.3; // Space before each paragraph, in lines
+const CHAR_WIDTH = 0.5; // Average character width as a multiple of the font size
+const LEVEL_INDENT = 342900;
+const BOX_INSETS = { x: 182880, y: 91440 };
+const SUB_LEVEL_SCALE = 0.9;
+const SIZE_STEP = 200;
+const MIN_FONT_SCALE = 25;
+
+const TEXT_FIT_MODES = ['auto', 'shrink', 'split', 'off'];
+const DEFAULT_MIN_FONT_SIZE = 1400;
+
+/**
+ * Font size of a bullet level, for a top-level size in hundredths of a point.
+ * @param {number} size
+ * @param {number} level
+ * @returns {number}
+ */
+function sizeForLevel(size, level) {
+    return level > 0 ? Math.max(100, Math.round(size * SUB_LEVEL_SCALE / 100) * 100) : size;
+}
+
+// Greedy word wrap; a word longer than a line breaks across lines
+function countLines(text, perLine) {
+    let lines = 1;
+    let used = 0;
+    for (const word of String(text).replace(/[*`]/g, '').split(/\s+/).filter(Boolean)) {
+        if (used > 0 && used + 1 + word.length > perLine) {
+            lines++;
+            used = 0;
+        }
+        if (used === 0 && word.length > perLine) {
+            lines += Math.ceil(word.length / perLine) - 1;
+            used = word.length % perLine || perLine;
+            continue;
+        }
+        used += (used > 0 ? 1 : 0) + word.length;
+    }
+    return lines;
+}
+
+/**
+ * Estimates the rendered height of bullet items from the font size, an average character width and word wrap.
+ * @param {Array<{text: string, level: number}>} items
+ * @param {number} width - Box width in EMU
+ * @param {number} fontSize - Top-level font size in hundredths of a point
+ * @returns {number} Height in EMU
+ */
+function estimateHeight(items, width, fontSize) {
+    return items.reduce((height, item) => {
+        const size = sizeForLevel(fontSize, item.level) / 100 * EMU_PER_POINT;
+        const usable = Math.max(size * 4, width - BOX_INSETS.x - LEVEL_INDENT * (item.level + 1));
+        const lines = countLines(item.text, Math.max(1, Math.floor(usable / (size * CHAR_WIDTH))));
+        return height + (lines + PARAGRAPH_SPACING) * size * LINE_SPACING;
+    }, BOX_INSETS.y);
+}
+
+function fits(items, box, fontSize) {
+    return estimateHeight(items, box.cx, fontSize) <= box.cy;
+}
+
+/**
+ * Fits text to its box: the largest size from the base down to the floor that fits, or, when even the floor
+ * overflows (or the mode is "split"), a normAutofit font scale so PowerPoint shrinks it further.
+ * @param {Array<{text: string, level: number}>} items
+ * @param {{cx: number, cy: number}} box - Box size in EMU
+ * @param {{mode: string, baseSize: number, minSize: number}} options - Sizes in hundredths of a point
+ * @returns {{fontSize: number|null, fontScale: number|null}} fontSize is null when the inherited size fits;
+ *   fontScale is in thousandths of a percent, as normAutofit takes it
+ */
+function fitText(items, box, options) {
+    const none = { fontSize: null, fontScale: null };
+    if (!box || items.length === 0 || options.mode === 'off' || fits(items, box, options.baseSize)) {
+        return none;
+    }
+
+    if (options.mode !== 'split') {
+        for (let size = options.baseSize - SIZE_STEP; size >= options.minSize; size -= SIZE_STEP) {
+            if (fits(items, box, size)) {
+                return { fontSize: size, fontScale: null };
+            }
+        }
+    }
+
+    const fontSize = options.mode === 'split' ? null : options.minSize;
+    const startSize = fontSize || options.baseSize;
+    let scale = 100;
+    while (scale > MIN_FONT_SCALE && !fits(items, box, Math.round(startSize * scale / 100))) {
+        scale -= 5;
+    }
+    return { fontSize, fontScale: scale * 1000 };
+}
+
+// Top-level points, each with the nested arrays that follow it
+function groupContent(content) {
+    const groups = [];
+    for (const item of content) {
+        if (Array.isArray(item) && groups.length > 0) {
+            groups[groups.length - 1].push(item);
+        } else {
+            groups.push([item]);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Splits slide content into parts that fit the box at the base size, when it does not fit at the floor
+ * ("auto") or at the base size ("split"). A point and its sub-points stay together.
+ * @param {Array} content - Slide content
+ * @param {{cx: number, cy: number}} box - Box size in EMU
+ * @param {(content: Array) => Array<{text: string, level: number}>} toItems - Flattens content to bullet items
+ * @param {{mode: string, baseSize: number, minSize: number}} options
+ * @returns {Array<Array>} The content of each part; a single part when no split is needed
+ */
+function splitContent(content, box, toItems, options) {
+    const needsSplit = box && (options.mode === 'auto' || options.mode === 'split') &&
+        !fits(toItems(content), box, options.mode === 'split' ? options.baseSize : options.minSize);
+    const groups = groupContent(content);
+    if (!needsSplit || groups.length < 2) {
+        return [content];
+    }
+
+    const parts = [];
+    let current = [];
+    for (const group of groups) {
+        const candidate = [...current, ...group];
+        if (current.length > 0 && !fits(toItems(candidate), box, options.baseSize)) {
+            parts.push(current);
+            current = [...group];
+        } else {
+            current = candidate;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Reads the text fit mode and font floor from a request, falling back to the configured defaults.
+ * @param {Object} input - Raw request fields (`textFit`)
+ * @param {{mode: string, minSize: number}} defaults
+ * @returns {{options: {mode: string, minSize: number}|null, errors: Array<{field: string, message: string}>}}
+ */
+function normalizeTextFit(input, defaults) {
+    const mode = input.textFit === undefined || input.textFit === '' ? defaults.mode : String(input.textFit);
+    if (!TEXT_FIT_MODES.includes(mode)) {
+        return { options: null, errors: [{ field: 'textFit', message: `must be one of ${TEXT_FIT_MODES.join(', ')}` }] };
+    }
+    return { options: { mode, minSize: defaults.minSize }, errors: [] };
+}
+
+module.exports = {
+    TEXT_FIT_MODES,
+    DEFAULT_MIN_FONT_SIZE,
+    sizeForLevel,
+    estimateHeight,
+    fitText,
+    splitContent,
+    normalizeTextFit
+};
@@ -3,14 +3,57 @@ class TextToSlidesApp {
     constructor() {
         this.currentStep = 1;
         this.serverKeys = null; // Will store server API key availability
+        this.customEndpoint = null; // Server-configured OpenAI-compatible endpoint, if any
+        this.settings = { chunking: { thresholdWords: 3000, chunkWords: 1800 } }; // Replaced by /api/settings
+        this.previewTimer = null; // Pending redraw of the outline previews while typing
+        this.previews = []; // Last drawn slide previews, shown large on the success screen
         this.appData = {
             text: '',
             guidance: '',
             llmProvider: '',
             llmModel: '',
             apiKey: '',
+            baseUrl: '',
+            constraints: {},
+            targetEdited: false,
             templateFile: null,
-            templateAnalysis: null
+            templateId: null, // Saved template used instead of an uploaded file
+            templateAnalysis: null,
+            keepTemplateSlides: false,
+            textFit: 'auto',
+            outline: null, // Editable slides from /api/outline
+            outlineSource: '', // Inputs the outline was created from
+            outlineAdjustments: [],
+            outlineFromText: false, // Whether the outline was drafted from the text in step 1
+            sourceDeck: null // Existing .pptx the outline was read from, when restyling
+        };
+
+        // Slide types offered in the outline editor
+        this.slideTypes = {
+            title: 'Title',
+            section: 'Section header',
+            content: 'Content',
+            'two-column': 'Two columns',
+            comparison: 'Comparison',
+            table: 'Table',
+            chart: 'Chart',
+            quote: 'Quote',
+            closing: 'Closing'
+        };
+
+        this.chartTypes = {
+            bar: 'Bar',
+            line: 'Line',
+            pie: 'Pie',
+            doughnut: 'Doughnut'
+        };
+
+        // Job step names reported by the server, mapped to the progress list in step 5
+        this.processingSteps = {
+            analyzing: 'step-analyze',
+            structuring: 'step-structure',
+            template: 'step-template',
+            building: 'step-build'
         };
 
         this.llmProviders = {
@@ -28,6 +71,16 @@ class TextToSlidesApp {
                 name: 'Google Gemini',
                 models: ['gemini-1.5-pro', 'gemini-1.5-flash'],
                 keyUrl: 'https://aistudio.google.com/app/apikey'
+            },
+            custom: {
+                name: 'OpenAI-compatible endpoint',
+                models: [], // Discovered from the endpoint's /v1/models
+                optionalKey: true
+            },
+            local: {
+                name: 'Offline (no AI)',
+                models: ['heuristic'],
+                requiresKey: false
             }
         };
 
@@ -36,7 +89,9 @@ class TextToSlidesApp {
 
     async initializeApp() {
         await this.checkServerKeys(); // Check what API keys are available on server
+        await this.loadSettings();
         this.setupEventListeners();
+        this.loadSavedTemplates();
         this.updateTextStats();
     }
 
@@ -47,11 +102,24 @@ class TextToSlidesApp {
             if (response.ok) {
                 const data = await response.json();
                 this.serverKeys = data.serverKeysAvailable;
+                this.customEndpoint = data.customEndpoint || null;
                 console.log('Server API keys available:', this.serverKeys);
             }
         } catch (error) {
             console.log('Could not check server keys, will require manual entry');
-            this.serverKeys = { openai: false, anthropic: false, gemini: false };
+            this.serverKeys = { openai: false, anthropic: false, gemini: false, custom: false };
+        }
+    }
+
+    async loadSettings() {
+        try {
+            const response = await fetch('/api/settings');
+            if (response.ok) {
+                const data = await response.json();
+                this.settings.chunking = data.chunking || this.settings.chunking;
+            }
+        } catch (error) {
+            console.log('Could not load server settings, using defaults');
         }
     }
 
@@ -63,12 +131,30 @@ class TextToSlidesApp {
             this.validateStep1();
         });
 
+        const documentInput = document.getElementById('document-file');
+        documentInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadDocument(e.target.files[0]);
+            }
+            documentInput.value = '';
+        });
+
         // Guidance input events
         const guidanceInput = document.getElementById('guidance-input');
         guidanceInput.addEventListener('input', () => {
             this.appData.guidance = guidanceInput.value;
         });
 
+        // Slide option events
+        document.querySelectorAll('[data-constraint]').forEach(input => {
+            input.addEventListener('input', () => {
+                if (input.dataset.constraint === 'targetSlides') {
+                    this.appData.targetEdited = input.value !== '';
+                }
+                this.readConstraints();
+            });
+        });
+
         // LLM provider events
         const providerSelect = document.getElementById('llm-provider');
         providerSelect.addEventListener('change', (e) => {
@@ -81,6 +167,16 @@ class TextToSlidesApp {
             this.validateStep2();
         });
 
+        // Custom endpoint events
+        const baseUrlInput = document.getElementById('custom-base-url');
+        baseUrlInput.addEventListener('input', () => {
+            this.appData.baseUrl = baseUrlInput.value.trim();
+            this.validateStep2();
+        });
+        baseUrlInput.addEventListener('change', () => {
+            this.discoverModels();
+        });
+
         // API key events
         const apiKeyInput = document.getElementById('api-key');
         apiKeyInput.addEventListener('input', () => {
@@ -113,6 +209,84 @@ class TextToSlidesApp {
                 this.handleFileSelect(e.target.files[0]);
             }
         });
+
+        // History panel: loaded each time it opens
+        const historyPanel = document.getElementById('history-panel');
+        historyPanel.addEventListener('show.bs.offcanvas', () => this.loadHistory());
+        document.getElementById('history-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-history-action]');
+            if (!button) return;
+            if (button.dataset.historyAction === 'rerun') {
+                bootstrap.Offcanvas.getInstance(historyPanel).hide();
+                this.rerunGeneration(button.dataset.historyId);
+            } else {
+                this.deleteGeneration(button.dataset.historyId);
+            }
+        });
+
+        document.getElementById('saved-template-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-template-action]');
+            if (!button) return;
+            if (button.dataset.templateAction === 'use') {
+                this.useSavedTemplate(button.dataset.templateId);
+            } else {
+                this.deleteSavedTemplate(button.dataset.templateId);
+            }
+        });
+
+        const keepSlidesInput = document.getElementById('keep-template-slides');
+        keepSlidesInput.addEventListener('change', () => {
+            this.appData.keepTemplateSlides = keepSlidesInput.checked;
+        });
+
+        const textFitSelect = document.getElementById('text-fit');
+        textFitSelect.addEventListener('change', () => {
+            this.appData.textFit = textFitSelect.value;
+        });
+
+        const outlineFileInput = document.getElementById('outline-file');
+        outlineFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importOutline(e.target.files[0]);
+            }
+            outlineFileInput.value = '';
+        });
+
+        const deckInput = document.getElementById('deck-file');
+        deckInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.restyleDeck(e.target.files[0]);
+            }
+            deckInput.value = '';
+        });
+
+        // Outline editor events (the editor is re-rendered, so listen on its container)
+        const outlineEditor = document.getElementById('outline-editor');
+        outlineEditor.addEventListener('input', (e) => {
+            this.handleOutlineInput(e.target);
+            this.scheduleOutlinePreview();
+        });
+        outlineEditor.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleOutlineAction(button);
+            }
+        });
+
+        // Preview thumbnails: jump to the slide in the editor, or show it large on the success screen
+        document.getElementById('outline-preview').addEventListener('click', (e) => {
+            const thumb = e.target.closest('[data-preview]');
+            if (thumb) {
+                const card = document.querySelector(`.outline-slide[data-slide="${thumb.dataset.preview}"]`);
+                card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        });
+        document.getElementById('success-preview-strip').addEventListener('click', (e) => {
+            const thumb = e.target.closest('[data-preview]');
+            if (thumb) {
+                this.selectSuccessPreview(Number(thumb.dataset.preview));
+            }
+        });
     }
 
     // Step 1: Text Input
@@ -128,7 +302,32 @@ class TextToSlidesApp {
         document.getElementById('char-count').textContent = charCount;
         document.getElementById('slide-count').textContent = slideCount;
 
+        // The estimate is the target until the user sets their own
+        const targetInput = document.getElementById('target-slides');
+        targetInput.placeholder = slideCount;
+        if (!this.appData.targetEdited) {
+            targetInput.value = wordCount > 0 ? slideCount : '';
+            this.readConstraints();
+        }
+
         this.appData.text = text;
+        this.updateChunkNotice();
+    }
+
+    // Long documents are analyzed part by part and merged before slides are planned; the offline
+    // provider reads the whole text at once
+    updateChunkNotice() {
+        const { thresholdWords, chunkWords } = this.settings.chunking;
+        const chunkNotice = document.getElementById('chunk-notice');
+        const text = this.appData.text.trim();
+        const wordCount = text ? text.split(/\s+/).length : 0;
+        if (wordCount > thresholdWords && this.appData.llmProvider !== 'local') {
+            const parts = Math.ceil(wordCount / chunkWords);
+            chunkNotice.textContent = ` • Long document: analyzed in about ${parts} parts, then merged`;
+            chunkNotice.classList.remove('d-none');
+        } else {
+            chunkNotice.classList.add('d-none');
+        }
     }
 
     // Updated validation for Step 1 - reduced from 100 to 10 characters
@@ -203,20 +402,72 @@ With strong market fundamentals, a proven business model, and an experienced tea
 
     clearText() {
         document.getElementById('text-input').value = '';
+        document.getElementById('document-notice').classList.add('d-none');
         this.updateTextStats();
         this.validateStep1();
     }
 
+    // Reads an uploaded document into the text box as Markdown, keeping its headings, lists and tables
+    async loadDocument(file) {
+        const notice = document.getElementById('document-notice');
+        notice.classList.remove('d-none', 'text-danger');
+        notice.textContent = `Reading ${file.name}...`;
+
+        try {
+            const formData = new FormData();
+            formData.append('document', file);
+            const response = await fetch('/api/extract-text', {
+                method: 'POST',
+                body: formData
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.details || data.error || 'Could not read the document');
+            }
+
+            document.getElementById('text-input').value = data.text;
+            this.updateTextStats();
+            this.validateStep1();
+
+            const { headings, listItems, tables } = data.structure;
+            const found = [
+                [headings, 'heading'],
+                [listItems, 'list item'],
+                [tables, 'table']
+            ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`);
+            notice.textContent = `Imported ${data.filename}${found.length > 0 ? ` with ${found.join(', ')}` : ''}.`;
+        } catch (error) {
+            console.error('Document upload error:', error);
+            notice.classList.add('text-danger');
+            notice.textContent = `Could not import ${file.name}: ${error.message}`;
+        }
+    }
+
+    readConstraints() {
+        const constraints = {};
+        document.querySelectorAll('[data-constraint]').forEach(input => {
+            if (input.value !== '') {
+                constraints[input.dataset.constraint] = input.value;
+            }
+        });
+        this.appData.constraints = constraints;
+    }
+
     // Step 2: AI Configuration with server key support
     handleProviderChange(providerId) {
         this.appData.llmProvider = providerId;
+        this.updateChunkNotice();
         const modelSelect = document.getElementById('llm-model');
         const apiKeyLinks = document.getElementById('api-key-links');
         const apiKeyInput = document.getElementById('api-key');
         const apiKeyGroup = apiKeyInput.closest('.mb-3');
+        const customGroup = document.getElementById('custom-endpoint-group');
         
         // Update model options
         modelSelect.innerHTML = '<option value="">Select Model</option>';
+        this.appData.llmModel = '';
+        customGroup.classList.toggle('d-none', providerId !== 'custom');
         
         if (providerId && this.llmProviders[providerId]) {
             const provider = this.llmProviders[providerId];
@@ -230,8 +481,41 @@ With strong market fundamentals, a proven business model, and an experienced tea
             });
             modelSelect.disabled = false;
 
-            // If server has API key, hide the API key input and show success message
-            if (hasServerKey) {
+            // The offline provider builds the outline from the text itself
+            if (provider.requiresKey === false) {
+                apiKeyGroup.style.display = 'none';
+                apiKeyLinks.innerHTML = `
+                    <div class="alert alert-secondary">
+                        <i class="bi bi-cpu me-2"></i>
+                        <strong>No API Key Needed</strong><br>
+                        Slides are outlined from your headings, lists and key sentences without calling an AI service.
+                    </div>
+                `;
+                modelSelect.value = provider.models[0];
+                this.appData.llmModel = provider.models[0];
+                this.appData.apiKey = '';
+            } else if (provider.optionalKey) {
+                // Self-hosted endpoints: key is optional, models come from discovery
+                apiKeyGroup.style.display = 'block';
+                apiKeyLinks.innerHTML = `
+                    <div class="alert alert-info">
+                        <i class="bi bi-hdd-network me-2"></i>
+                        <strong>API Key Optional</strong><br>
+                        ${this.customEndpoint && this.customEndpoint.configured
+                            ? 'Leave the base URL empty to use the server\'s endpoint' + (hasServerKey ? ' and its key' : '') + '. Other endpoints must be allowed by the server and use only the key you enter.'
+                            : 'Only needed if your endpoint requires authentication.'}
+                    </div>
+                `;
+                this.appData.apiKey = apiKeyInput.value;
+
+                const baseUrlInput = document.getElementById('custom-base-url');
+                this.appData.baseUrl = baseUrlInput.value.trim();
+                modelSelect.disabled = true;
+                if (this.appData.baseUrl || (this.customEndpoint && this.customEndpoint.configured)) {
+                    this.discoverModels();
+                }
+            } else if (hasServerKey) {
+                // If server has API key, hide the API key input and show success message
                 apiKeyGroup.style.display = 'none';
                 apiKeyLinks.innerHTML = `
                     <div class="alert alert-success">
@@ -271,14 +555,74 @@ With strong market fundamentals, a proven business model, and an experienced tea
         this.validateStep2();
     }
 
+    async discoverModels() {
+        if (this.appData.llmProvider !== 'custom') {
+            return;
+        }
+
+        const modelSelect = document.getElementById('llm-model');
+        const status = document.getElementById('custom-endpoint-status');
+        const button = document.getElementById('discover-models-btn');
+
+        button.disabled = true;
+        status.innerHTML = '<i class="bi bi-hourglass-split me-1"></i>Discovering models...';
+
+        try {
+            const response = await fetch('/api/custom-models', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    baseUrl: this.appData.baseUrl,
+                    apiKey: this.appData.apiKey
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.details || result.error || 'Model discovery failed');
+            }
+
+            this.llmProviders.custom.models = result.models;
+            modelSelect.innerHTML = '<option value="">Select Model</option>';
+            result.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model;
+                option.textContent = model;
+                modelSelect.appendChild(option);
+            });
+            modelSelect.disabled = result.models.length === 0;
+
+            const preferred = this.customEndpoint && result.models.includes(this.customEndpoint.defaultModel)
+                ? this.customEndpoint.defaultModel
+                : result.models[0];
+            modelSelect.value = preferred || '';
+            this.appData.llmModel = preferred || '';
+
+            status.innerHTML = `<i class="bi bi-check-circle me-1"></i>Found ${result.models.length} model${result.models.length === 1 ? '' : 's'} at ${result.baseUrl ? this.escapeHtml(result.baseUrl) : 'the server\'s endpoint'}.`;
+        } catch (error) {
+            console.error('Model discovery error:', error);
+            modelSelect.innerHTML = '<option value="">Select Model</option>';
+            modelSelect.disabled = true;
+            this.appData.llmModel = '';
+            status.innerHTML = `<i class="bi bi-exclamation-triangle me-1"></i>${this.escapeHtml(error.message)}`;
+        } finally {
+            button.disabled = false;
+            this.validateStep2();
+        }
+    }
+
     // Updated validation for Step 2
     validateStep2() {
         const hasProvider = !!this.appData.llmProvider;
         const hasModel = !!this.appData.llmModel;
         const hasServerKey = this.serverKeys && this.serverKeys[this.appData.llmProvider];
         const hasManualKey = this.appData.apiKey && this.appData.apiKey.length > 0;
+        const provider = this.llmProviders[this.appData.llmProvider];
+        const needsKey = !provider || (provider.requiresKey !== false && !provider.optionalKey);
+        const hasEndpoint = this.appData.llmProvider !== 'custom' ||
+            !!this.appData.baseUrl || !!(this.customEndpoint && this.customEndpoint.configured);
         
-        const isValid = hasProvider && hasModel && (hasServerKey || hasManualKey);
+        const isValid = hasProvider && hasModel && hasEndpoint && (!needsKey || hasServerKey || hasManualKey);
         document.getElementById('step-2-next').disabled = !isValid;
         return isValid;
     }
@@ -310,16 +654,25 @@ With strong market fundamentals, a proven business model, and an experienced tea
         }
 
         this.appData.templateFile = file;
+        this.appData.templateId = null;
         this.showTemplatePreview(file);
         this.analyzeTemplate(file);
     }
 
     showTemplatePreview(file) {
         document.getElementById('upload-area').style.display = 'none';
+        document.getElementById('saved-templates').classList.add('d-none');
         document.getElementById('template-preview').classList.remove('d-none');
+        document.getElementById('template-analysis').innerHTML = `
+            <div class="d-flex justify-content-center">
+                <div class="spinner-border spinner-border-sm me-2" role="status"></div>
+                <span>Analyzing template...</span>
+            </div>
+        `;
         
         document.getElementById('template-name').textContent = file.name;
-        document.getElementById('template-size').textContent = this.formatFileSize(file.size);
+        document.getElementById('template-size').textContent = this.formatFileSize(file.size) + (this.appData.templateId ? ' • Saved template' : '');
+        document.getElementById('save-template-btn').classList.toggle('d-none', !!this.appData.templateId);
     }
 
     async analyzeTemplate(file) {
@@ -339,18 +692,7 @@ With strong market fundamentals, a proven business model, and an experienced tea
             }
 
             const result = await response.json();
-            this.appData.templateAnalysis = result.analysis;
-            
-            // Show analysis results
-            analysisDiv.innerHTML = `
-                <div class="alert alert-success">
-                    <i class="bi bi-check-circle me-2"></i>
-                    Template analyzed successfully! Found ${result.analysis.slideLayouts?.length || 0} layouts, 
-                    ${result.analysis.images?.length || 0} images, and theme styling.
-                </div>
-            `;
-
-            document.getElementById('generate-btn').disabled = false;
+            this.showTemplateAnalysis(result.analysis);
 
         } catch (error) {
             console.error('Template analysis error:', error);
@@ -364,60 +706,762 @@ With strong market fundamentals, a proven business model, and an experienced tea
         }
     }
 
+    showTemplateAnalysis(analysis) {
+        this.appData.templateAnalysis = analysis;
+        document.getElementById('template-analysis').innerHTML = `
+            <div class="alert alert-success">
+                <i class="bi bi-check-circle me-2"></i>
+                Template analyzed successfully! Found ${analysis.slideLayouts?.length || 0} layouts, 
+                ${analysis.images?.length || 0} images, and theme styling.
+            </div>
+            ${this.renderThemeSummary(analysis.theme)}
+            ${this.renderLayoutMapping(analysis.layoutMapping)}
+        `;
+
+        document.getElementById('generate-btn').disabled = false;
+    }
+
+    // Template library: saved templates are built from by ID, without uploading them again
+    async loadSavedTemplates() {
+        try {
+            const response = await fetch('/api/templates');
+            if (!response.ok) return;
+            const { templates } = await response.json();
+            this.renderSavedTemplates(templates);
+        } catch (error) {
+            console.log('Could not load saved templates');
+        }
+    }
+
+    renderSavedTemplates(templates) {
+        document.getElementById('saved-template-list').innerHTML = templates.map(template => `
+            <div class="list-group-item d-flex align-items-center">
+                <button type="button" class="btn btn-link text-start text-decoration-none flex-grow-1 p-0" data-template-action="use" data-template-id="${this.escapeHtml(template.id)}">
+                    <i class="bi bi-file-earmark-slides text-primary me-2"></i>${this.escapeHtml(template.name)}
+                    <span class="small text-muted ms-2">${this.formatFileSize(template.size)} • ${template.layoutCount} layouts${template.themeName ? ` • ${this.escapeHtml(template.themeName)}` : ''}</span>
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-danger" data-template-action="delete" data-template-id="${this.escapeHtml(template.id)}" title="Delete from the library">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </div>
+        `).join('');
+
+        const showList = templates.length > 0 && !this.appData.templateFile && !this.appData.templateId;
+        document.getElementById('saved-templates').classList.toggle('d-none', !showList);
+    }
+
+    async useSavedTemplate(id) {
+        try {
+            const response = await fetch(`/api/templates/${encodeURIComponent(id)}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not load the template');
+            }
+
+            // The library has the analysis already
+            this.appData.templateFile = null;
+            this.appData.templateId = id;
+            this.showTemplatePreview({ name: data.template.name, size: data.template.size });
+            this.showTemplateAnalysis(data.template.analysis);
+        } catch (error) {
+            console.error('Saved template error:', error);
+            alert(error.message);
+            this.loadSavedTemplates();
+        }
+    }
+
+    async saveTemplate() {
+        const button = document.getElementById('save-template-btn');
+        button.disabled = true;
+
+        try {
+            const formData = new FormData();
+            formData.append('template', this.appData.templateFile);
+
+            const response = await fetch('/api/templates', {
+                method: 'POST',
+                body: formData
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details || data.error || 'Could not save the template');
+            }
+
+            this.appData.templateId = data.template.id;
+            button.classList.add('d-none');
+            document.getElementById('template-size').textContent = `${this.formatFileSize(data.template.size)} • Saved template`;
+            this.loadSavedTemplates();
+        } catch (error) {
+            console.error('Template save error:', error);
+            alert(error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async deleteSavedTemplate(id) {
+        if (!confirm('Delete this template from the library?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/templates/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) {
+                throw new Error((await response.json()).error || 'Could not delete the template');
+            }
+            if (this.appData.templateId === id) {
+                this.removeTemplate();
+            }
+            this.loadSavedTemplates();
+        } catch (error) {
+            console.error('Template delete error:', error);
+            alert(error.message);
+        }
+    }
+
+    renderThemeSummary(theme) {
+        if (!theme || !theme.colorScheme) {
+            return '';
+        }
+
+        const slots = ['dk1', 'lt1', 'dk2', 'lt2', 'accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6'];
+        const swatches = slots
+            .filter(slot => /^#[0-9a-f]{6}$/i.test(theme.colorScheme[slot] || ''))
+            .map(slot => `<span class="theme-swatch" title="${slot} ${theme.colorScheme[slot]}" style="background:${theme.colorScheme[slot]}"></span>`)
+            .join('');
+        const fonts = theme.fontScheme || {};
+        const majorFont = fonts.majorFont?.latin || 'default';
+        const minorFont = fonts.minorFont?.latin || 'default';
+
+        return `
+            <div class="theme-summary small text-muted">
+                <div class="mb-1"><strong>${this.escapeHtml(theme.name || 'Theme')}</strong></div>
+                <div class="theme-swatches mb-1">${swatches}</div>
+                <div>Headings: ${this.escapeHtml(majorFont)} • Body: ${this.escapeHtml(minorFont)}</div>
+            </div>
+        `;
+    }
+
+    renderLayoutMapping(mapping) {
+        const entries = Object.entries(mapping || {}).filter(([, layout]) => layout);
+        if (entries.length === 0) {
+            return '';
+        }
+
+        const rows = entries.map(([slideType, layout]) => `
+            <li><span class="text-capitalize">${this.escapeHtml(slideType)}</span> → ${this.escapeHtml(layout.name)}</li>
+        `).join('');
+
+        return `
+            <details class="layout-mapping small text-muted mt-2">
+                <summary>Layout used for each slide type</summary>
+                <ul class="mb-0 mt-1">${rows}</ul>
+            </details>
+        `;
+    }
+
     removeTemplate() {
         this.appData.templateFile = null;
+        this.appData.templateId = null;
         this.appData.templateAnalysis = null;
         document.getElementById('upload-area').style.display = 'block';
         document.getElementById('template-preview').classList.add('d-none');
         document.getElementById('template-file').value = '';
         document.getElementById('generate-btn').disabled = true;
+        this.loadSavedTemplates();
     }
 
-    // Step 4: Generation
-    async generatePresentation() {
+    // Step 4: Outline review
+    // Reuses the current outline (and its edits) unless the inputs changed or a fresh one is requested
+    async createOutline(force = false) {
+        const source = this.outlineSourceKey();
+        if (!force && this.appData.outline && this.appData.outlineSource === source) {
+            this.renderOutlinePreview(); // The template may have changed since
+            this.nextStep(4);
+            return;
+        }
+        // A restyled deck is regenerated by reading it again
+        if (this.appData.sourceDeck && this.appData.outlineSource === source) {
+            this.restyleDeck(this.appData.sourceDeck);
+            return;
+        }
+
         this.nextStep(4);
-        
+        this.setOutlineLoading(true);
+
         try {
-            // Show processing status
-            this.showProcessingStep('step-analyze', 'Analyzing text content...');
-            
-            const formData = new FormData();
-            formData.append('text', this.appData.text);
-            formData.append('guidance', this.appData.guidance);
-            formData.append('llmProvider', this.appData.llmProvider);
-            formData.append('llmModel', this.appData.llmModel);
-            
+            const body = {
+                text: this.appData.text,
+                guidance: this.appData.guidance,
+                llmProvider: this.appData.llmProvider,
+                llmModel: this.appData.llmModel,
+                noCache: force, // Regenerate asks the model again instead of reusing a cached answer
+                ...this.appData.constraints
+            };
+            if (this.appData.llmProvider === 'custom' && this.appData.baseUrl) {
+                body.llmBaseUrl = this.appData.baseUrl;
+            }
+
             // Only send API key if it's not the server placeholder
-            if (this.appData.apiKey !== 'server-key') {
-                formData.append('apiKey', this.appData.apiKey);
+            if (this.appData.apiKey && this.appData.apiKey !== 'server-key') {
+                body.apiKey = this.appData.apiKey;
             }
-            
-            formData.append('template', this.appData.templateFile);
 
-            const response = await fetch('/api/generate-presentation', {
+            const response = await fetch('/api/outline', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(this.describeRequestError(data, 'Outline generation failed'));
+            }
+
+            this.appData.outline = this.toEditableOutline(data.structure);
+            this.appData.outlineSource = source;
+            this.appData.outlineAdjustments = data.adjustments || [];
+            this.appData.outlineFromText = true;
+            this.appData.sourceDeck = null;
+            this.setOutlineLoading(false);
+            this.renderOutline();
+            document.getElementById('outline-cache-note').classList.toggle('d-none', !(data.cache && data.cache.hits > 0));
+
+        } catch (error) {
+            console.error('Outline error:', error);
+            this.setOutlineLoading(false, error.message);
+        }
+    }
+
+    outlineSourceKey() {
+        const { text, guidance, llmProvider, llmModel, baseUrl, constraints } = this.appData;
+        return JSON.stringify([text, guidance, llmProvider, llmModel, baseUrl, constraints]);
+    }
+
+    // Loads a Marp, Markdown or exported JSON outline; from step 1 it skips the LLM and goes on to the template
+    async importOutline(file) {
+        try {
+            const response = await fetch('/api/outline/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ outline: await file.text(), filename: file.name })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(this.describeRequestError(data, 'Could not read the outline'));
+            }
+
+            this.appData.outline = this.toEditableOutline(data.structure);
+            this.appData.outlineSource = this.outlineSourceKey();
+            this.appData.outlineAdjustments = [];
+            this.appData.outlineFromText = false;
+            this.appData.sourceDeck = null;
+            this.setOutlineLoading(false);
+            this.renderOutline();
+            if (this.currentStep !== 4) {
+                this.goToStep(3);
+            }
+        } catch (error) {
+            console.error('Outline import error:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    // Reads an existing deck's slides into the outline so they can be rebuilt in the chosen template.
+    // With `tighten`, the provider from step 2 (or the offline tightener) shortens the wording first.
+    async restyleDeck(file, tighten = false) {
+        const reviewing = this.currentStep === 4;
+        if (reviewing) {
+            this.setOutlineLoading(true);
+        }
+
+        try {
+            const formData = new FormData();
+            formData.append('presentation', file);
+            Object.entries(this.appData.constraints).forEach(([name, value]) => formData.append(name, value));
+            if (tighten) {
+                formData.append('tighten', 'true');
+                formData.append('llmProvider', this.appData.llmProvider || 'local');
+                formData.append('llmModel', this.appData.llmModel);
+                formData.append('guidance', this.appData.guidance);
+                if (this.appData.llmProvider === 'custom' && this.appData.baseUrl) {
+                    formData.append('llmBaseUrl', this.appData.baseUrl);
+                }
+                if (this.appData.apiKey && this.appData.apiKey !== 'server-key') {
+                    formData.append('apiKey', this.appData.apiKey);
+                }
+            }
+
+            const response = await fetch('/api/restyle/outline', {
                 method: 'POST',
                 body: formData
             });
+            const data = await response.json();
 
             if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || 'Generation failed');
+                throw new Error(data.fields ? this.describeRequestError(data) : data.details || data.error || 'Could not read the presentation');
             }
 
-            // Complete all processing steps
-            this.showProcessingStep('step-structure', 'Generating slide structure...');
-            await this.delay(1000);
-            this.showProcessingStep('step-template', 'Applying template styles...');
-            await this.delay(1000);
-            this.showProcessingStep('step-build', 'Building presentation...');
-            await this.delay(500);
+            this.appData.outline = this.toEditableOutline(data.structure);
+            this.appData.outlineSource = this.outlineSourceKey();
+            this.appData.outlineAdjustments = [this.describeDeckReport(file.name, data.report), ...(data.adjustments || [])];
+            this.appData.outlineFromText = false;
+            this.appData.sourceDeck = file;
+            this.setOutlineLoading(false);
+            this.renderOutline();
+            if (!reviewing) {
+                this.goToStep(3);
+            }
+        } catch (error) {
+            console.error('Restyle error:', error);
+            if (reviewing) {
+                this.setOutlineLoading(false);
+                this.renderOutline();
+            }
+            alert(`Could not ${tighten ? 'tighten' : 'read'} ${file.name}: ${error.message}`);
+        }
+    }
+
+    tightenOutline() {
+        const { sourceDeck } = this.appData;
+        if (sourceDeck && confirm(`Tightening reads ${sourceDeck.name} again and replaces the outline, including your edits. Continue?`)) {
+            this.restyleDeck(sourceDeck, true);
+        }
+    }
+
+    describeDeckReport(filename, report) {
+        const plural = (count, label) => `${count} ${label}${count === 1 ? '' : 's'}`;
+        const found = [[report.tables, 'table'], [report.charts, 'chart']]
+            .filter(([count]) => count > 0)
+            .map(([count, label]) => plural(count, label));
+        const parts = [`Read ${plural(report.slides, 'slide')} from ${filename}${found.length > 0 ? ` with ${found.join(' and ')}` : ''}`];
+        if (report.hiddenSlides > 0) {
+            parts.push(`skipped ${plural(report.hiddenSlides, 'hidden slide')}`);
+        }
+        if (report.pictures > 0) {
+            parts.push(`${plural(report.pictures, 'picture')} not carried over`);
+        }
+        return parts.join('; ');
+    }
+
+    async exportOutline(format) {
+        try {
+            const response = await fetch('/api/outline/export', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ format, structure: this.toSlideStructure(this.appData.outline || []) })
+            });
+            if (!response.ok) {
+                throw new Error(this.describeRequestError(await response.json(), 'Export failed'));
+            }
+
+            const filename = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = filename ? filename[1] : 'presentation-outline';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('Outline export error:', error);
+            alert(error.message);
+        }
+    }
+
+    setOutlineLoading(loading, errorMessage = '') {
+        document.getElementById('outline-loading').classList.toggle('d-none', !loading);
+        document.getElementById('outline-cache-note').classList.add('d-none');
+        document.getElementById('outline-editor').classList.toggle('d-none', loading);
+        document.getElementById('add-slide-btn').classList.toggle('d-none', loading || !!errorMessage);
+        document.getElementById('outline-help').classList.toggle('d-none', loading || !!errorMessage);
+        document.getElementById('regenerate-outline-btn').disabled = loading;
+        document.getElementById('tighten-outline-btn').disabled = loading;
+        document.getElementById('build-btn').disabled = loading || !!errorMessage;
+        document.getElementById('export-outline-btn').disabled = loading || !!errorMessage;
+
+        const errorBox = document.getElementById('outline-error');
+        errorBox.textContent = errorMessage;
+        errorBox.classList.toggle('d-none', !errorMessage);
+        if (loading || errorMessage) {
+            document.getElementById('outline-editor').innerHTML = '';
+            document.getElementById('outline-preview').classList.add('d-none');
+            document.getElementById('outline-adjustments').classList.add('d-none');
+            document.getElementById('outline-summary').textContent = '';
+        }
+    }
+
+    // Slides become {type, title, bullets: [{text, level}], notes, extra}; extra keeps fields the editor doesn't touch
+    toEditableOutline(structure) {
+        return (structure.slides || []).map(slide => {
+            const { slideNumber, type, title, content, notes, columns, ...extra } = slide;
+            return {
+                type: extra.chart ? 'chart' : extra.table ? 'table' : (type || 'content'),
+                title: title || '',
+                bullets: this.flattenBullets(columns ? this.columnsToContent(columns) : (content || []), 0),
+                notes: Array.isArray(notes) ? notes.join('\n\n') : (notes || ''),
+                extra
+            };
+        });
+    }
+
+    // Columns are edited as bullets: each heading is a top-level point with its column nested below,
+    // which the builder reads back as two columns
+    columnsToContent(columns) {
+        if (!columns.some(column => column && column.heading)) {
+            return columns.flatMap(column => (column && column.content) || []);
+        }
+        return columns.flatMap(column => [column.heading || '', (column && column.content) || []]);
+    }
+
+    flattenBullets(items, level) {
+        const bullets = [];
+        items.forEach(item => {
+            if (Array.isArray(item)) {
+                bullets.push(...this.flattenBullets(item, level + 1));
+            } else if (item && typeof item === 'object') {
+                bullets.push({ text: String(item.text || ''), level });
+                if (Array.isArray(item.children)) {
+                    bullets.push(...this.flattenBullets(item.children, level + 1));
+                }
+            } else {
+                bullets.push({ text: String(item), level });
+            }
+        });
+        return bullets;
+    }
+
+    // Rebuilds nested content arrays: sub-bullets go in an array right after their parent
+    nestBullets(bullets) {
+        const root = [];
+        const stack = [root];
+        bullets.filter(bullet => bullet.text.trim()).forEach(bullet => {
+            stack.length = Math.min(stack.length, bullet.level + 1);
+            while (stack.length < bullet.level + 1) {
+                const nested = [];
+                stack[stack.length - 1].push(nested);
+                stack.push(nested);
+            }
+            stack[bullet.level].push(bullet.text.trim());
+        });
+        return root;
+    }
+
+    toSlideStructure(outline) {
+        const slides = outline.map((slide, index) => {
+            // A table or chart kept from before a type change is only sent while the slide has that type
+            const { table, chart, ...extra } = slide.extra;
+            return {
+                ...extra,
+                ...(slide.type === 'table' && table ? { table } : {}),
+                ...(slide.type === 'chart' && chart ? { chart } : {}),
+                slideNumber: index + 1,
+                type: slide.type,
+                title: slide.title.trim(),
+                content: this.nestBullets(slide.bullets),
+                notes: slide.notes
+            };
+        });
+        return { totalSlides: slides.length, slides };
+    }
+
+    renderOutline() {
+        const outline = this.appData.outline || [];
+        document.getElementById('outline-editor').innerHTML = outline
+            .map((slide, index) => this.renderOutlineSlide(slide, index, outline.length))
+            .join('');
+        document.getElementById('outline-summary').textContent = `${outline.length} slide${outline.length === 1 ? '' : 's'}`;
+        document.getElementById('build-btn').disabled = outline.length === 0;
+        document.getElementById('export-outline-btn').disabled = outline.length === 0;
+        document.getElementById('tighten-outline-btn').classList.toggle('d-none', !this.appData.sourceDeck);
+
+        // Changes made to fit the slide options
+        const adjustments = this.appData.outlineAdjustments || [];
+        const adjustmentList = document.getElementById('outline-adjustments');
+        adjustmentList.innerHTML = adjustments.map(change => `<li>${this.escapeHtml(change)}</li>`).join('');
+        adjustmentList.classList.toggle('d-none', adjustments.length === 0);
+
+        this.renderOutlinePreview();
+    }
+
+    // Redraws the previews once typing pauses, so each keystroke doesn't re-render every slide
+    scheduleOutlinePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.renderOutlinePreview(), 300);
+    }
+
+    renderOutlinePreview() {
+        clearTimeout(this.previewTimer);
+        const outline = this.appData.outline || [];
+        const strip = document.getElementById('outline-preview');
+        strip.innerHTML = this.renderPreviewThumbs(this.toSlideStructure(outline).slides);
+        strip.classList.toggle('d-none', outline.length === 0);
+    }
+
+    // Draws each slide with the chosen template's layouts and theme
+    renderPreviewThumbs(slides) {
+        const renderer = new SlidePreviewRenderer(this.appData.templateAnalysis);
+        this.previews = slides.map(slide => renderer.render(slide));
+        return this.previews.map((preview, index) => {
+            const label = `Slide ${index + 1}${preview.overflow ? ' – text may be shrunk or split when built' : ''}`;
+            return `
+                <button type="button" class="slide-thumb${preview.overflow ? ' overflow' : ''}" data-preview="${index}" title="${this.escapeHtml(label)}">
+                    ${preview.svg}
+                    <span class="slide-thumb-number">${index + 1}${preview.overflow ? ' <i class="bi bi-exclamation-triangle-fill"></i>' : ''}</span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    selectSuccessPreview(index) {
+        document.getElementById('success-preview-current').innerHTML = this.previews[index] ? this.previews[index].svg : '';
+        document.querySelectorAll('#success-preview-strip [data-preview]').forEach(thumb => {
+            thumb.classList.toggle('active', Number(thumb.dataset.preview) === index);
+        });
+    }
+
+    renderOutlineSlide(slide, index, total) {
+        const types = { ...this.slideTypes };
+        if (!types[slide.type]) {
+            types[slide.type] = slide.type; // Keep types the editor doesn't list selectable
+        }
+        const typeOptions = Object.entries(types)
+            .map(([value, label]) => `<option value="${this.escapeAttribute(value)}"${value === slide.type ? ' selected' : ''}>${this.escapeHtml(label)}</option>`)
+            .join('');
+
+        const bullets = slide.bullets.map((bullet, bulletIndex) => {
+            const previousLevel = bulletIndex > 0 ? slide.bullets[bulletIndex - 1].level : -1;
+            return `
+                <div class="outline-bullet" style="--bullet-level: ${bullet.level}">
+                    <i class="bi bi-dot"></i>
+                    <input type="text" class="form-control form-control-sm" data-field="bullet" data-bullet="${bulletIndex}" value="${this.escapeAttribute(bullet.text)}" placeholder="Bullet text">
+                    <div class="btn-group btn-group-sm">
+                        <button type="button" class="btn btn-outline-secondary" data-action="outdent" data-bullet="${bulletIndex}" title="Outdent"${bullet.level === 0 ? ' disabled' : ''}><i class="bi bi-arrow-left"></i></button>
+                        <button type="button" class="btn btn-outline-secondary" data-action="indent" data-bullet="${bulletIndex}" title="Indent"${bullet.level > previousLevel ? ' disabled' : ''}><i class="bi bi-arrow-right"></i></button>
+                        <button type="button" class="btn btn-outline-danger" data-action="delete-bullet" data-bullet="${bulletIndex}" title="Delete bullet"><i class="bi bi-x-lg"></i></button>
+                    </div>
+                </div>`;
+        }).join('');
+
+        return `
+            <div class="card outline-slide mb-3" data-slide="${index}">
+                <div class="card-header d-flex flex-wrap align-items-center gap-2">
+                    <span class="badge bg-secondary">${index + 1}</span>
+                    <input type="text" class="form-control form-control-sm outline-title" data-field="title" value="${this.escapeAttribute(slide.title)}" placeholder="Slide title">
+                    <select class="form-select form-select-sm w-auto" data-field="type">${typeOptions}</select>
+                    <div class="btn-group btn-group-sm">
+                        <button type="button" class="btn btn-outline-secondary" data-action="move-up" title="Move up"${index === 0 ? ' disabled' : ''}><i class="bi bi-arrow-up"></i></button>
+                        <button type="button" class="btn btn-outline-secondary" data-action="move-down" title="Move down"${index === total - 1 ? ' disabled' : ''}><i class="bi bi-arrow-down"></i></button>
+                        <button type="button" class="btn btn-outline-secondary" data-action="merge" title="Merge with next slide"${index === total - 1 ? ' disabled' : ''}><i class="bi bi-union"></i></button>
+                        <button type="button" class="btn btn-outline-danger" data-action="delete-slide" title="Delete slide"${total === 1 ? ' disabled' : ''}><i class="bi bi-trash"></i></button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    ${bullets}
+                    <button type="button" class="btn btn-link btn-sm px-0" data-action="add-bullet"><i class="bi bi-plus-lg me-1"></i>Add bullet</button>
+                    ${slide.type === 'table' ? this.renderOutlineTable(slide.extra.table) : ''}
+                    ${slide.type === 'chart' ? this.renderOutlineChart(slide.extra.chart) : ''}
+                    ${slide.type === 'quote' ? `<input type="text" class="form-control form-control-sm mt-2" data-field="attribution" value="${this.escapeAttribute(slide.extra.attribution || '')}" placeholder="Attribution">` : ''}
+                    <textarea class="form-control form-control-sm mt-2" rows="2" data-field="notes" placeholder="Speaker notes">${this.escapeHtml(slide.notes)}</textarea>
+                </div>
+            </div>`;
+    }
+
+    // Tables are edited as text: one row per line, cells separated by "|", header row first
+    renderOutlineTable(table) {
+        const rows = table ? [table.headers || [], ...(table.rows || [])].filter(row => row.length > 0) : [];
+        const text = rows.map(row => row.join(' | ')).join('\n');
+        return `
+            <label class="form-label small text-muted mt-2 mb-1">Table: first line is the header row, separate cells with |</label>
+            <textarea class="form-control form-control-sm font-monospace" rows="${Math.max(3, rows.length + 1)}" data-field="table">${this.escapeHtml(text)}</textarea>`;
+    }
+
+    parseOutlineTable(text) {
+        const rows = text.split(/\r?\n/)
+            .filter(line => line.trim())
+            .map(line => line.replace(/^\s*\||\|\s*$/g, '').split('|').map(cell => cell.trim()));
+        return { headers: rows[0] || [], rows: rows.slice(1) };
+    }
+
+    // Chart data is edited like a table: "Category | Series…" header, then one category per line
+    renderOutlineChart(chart) {
+        const current = chart || {};
+        const series = current.series || [];
+        const header = ['Category', ...series.map(entry => entry.name || '')];
+        const rows = (current.categories || []).map((category, index) =>
+            [category, ...series.map(entry => (entry.values || [])[index] ?? '')]);
+        const text = [header, ...rows].map(row => row.join(' | ')).join('\n');
+        const typeOptions = Object.entries(this.chartTypes)
+            .map(([value, label]) => `<option value="${value}"${value === current.type ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        return `
+            <div class="d-flex align-items-center gap-2 mt-2 mb-1">
+                <label class="form-label small text-muted mb-0">Chart</label>
+                <select class="form-select form-select-sm w-auto" data-field="chartType">${typeOptions}</select>
+                <span class="small text-muted">first line names the series, then one category per line with its values, separated by |</span>
+            </div>
+            <textarea class="form-control form-control-sm font-monospace" rows="${Math.max(3, rows.length + 1)}" data-field="chart">${this.escapeHtml(text)}</textarea>`;
+    }
+
+    parseOutlineChart(text, type) {
+        const { headers, rows } = this.parseOutlineTable(text);
+        const series = headers.slice(1).map((name, column) => ({
+            name,
+            values: rows.map(row => {
+                const value = parseFloat(String(row[column + 1] || '').replace(/[^0-9.+-]/g, ''));
+                return Number.isFinite(value) ? value : null;
+            })
+        }));
+        return { type, categories: rows.map(row => row[0] || ''), series };
+    }
+
+    // Text edits update the outline in place so the focused field survives
+    handleOutlineInput(target) {
+        const card = target.closest('[data-slide]');
+        if (!card || !target.dataset.field) return;
+
+        const slide = this.appData.outline[Number(card.dataset.slide)];
+        if (target.dataset.field === 'bullet') {
+            slide.bullets[Number(target.dataset.bullet)].text = target.value;
+        } else if (target.dataset.field === 'table') {
+            slide.extra.table = this.parseOutlineTable(target.value);
+        } else if (target.dataset.field === 'chart') {
+            slide.extra.chart = this.parseOutlineChart(target.value, slide.extra.chart.type);
+        } else if (target.dataset.field === 'chartType') {
+            slide.extra.chart.type = target.value;
+        } else if (target.dataset.field === 'attribution') {
+            slide.extra.attribution = target.value;
+        } else if (target.dataset.field === 'type') {
+            slide.type = target.value;
+            if (slide.type === 'table' && !slide.extra.table) {
+                slide.extra.table = { headers: ['Column 1', 'Column 2'], rows: [['', '']] };
+            }
+            if (slide.type === 'chart' && !slide.extra.chart) {
+                slide.extra.chart = { type: 'bar', categories: ['', ''], series: [{ name: 'Series 1', values: [null, null] }] };
+            }
+            this.renderOutline();
+        } else {
+            slide[target.dataset.field] = target.value;
+        }
+    }
+
+    handleOutlineAction(button) {
+        const outline = this.appData.outline;
+        const index = Number(button.closest('[data-slide]').dataset.slide);
+        const slide = outline[index];
+        const bulletIndex = Number(button.dataset.bullet);
+        let focusSelector = null;
+
+        switch (button.dataset.action) {
+            case 'move-up':
+                outline.splice(index - 1, 2, outline[index], outline[index - 1]);
+                break;
+            case 'move-down':
+                outline.splice(index, 2, outline[index + 1], outline[index]);
+                break;
+            case 'merge':
+                outline.splice(index, 2, this.mergeOutlineSlides(slide, outline[index + 1]));
+                break;
+            case 'delete-slide':
+                outline.splice(index, 1);
+                break;
+            case 'add-bullet':
+                slide.bullets.push({ text: '', level: 0 });
+                focusSelector = `[data-slide="${index}"] [data-bullet="${slide.bullets.length - 1}"][data-field]`;
+                break;
+            case 'indent':
+                slide.bullets[bulletIndex].level++;
+                break;
+            case 'outdent':
+                this.outdentBullet(slide.bullets, bulletIndex);
+                break;
+            case 'delete-bullet':
+                slide.bullets.splice(bulletIndex, 1);
+                // A removed parent must not leave its children two levels below the bullet above
+                for (let i = bulletIndex; i < slide.bullets.length; i++) {
+                    const maxLevel = i > 0 ? slide.bullets[i - 1].level + 1 : 0;
+                    slide.bullets[i].level = Math.min(slide.bullets[i].level, maxLevel);
+                }
+                break;
+            default:
+                return;
+        }
+
+        this.renderOutline();
+        if (focusSelector) {
+            document.querySelector(focusSelector).focus();
+        }
+    }
+
+    // Moves a bullet and its sub-bullets one level up
+    outdentBullet(bullets, index) {
+        const level = bullets[index].level;
+        bullets[index].level--;
+        for (let i = index + 1; i < bullets.length && bullets[i].level > level; i++) {
+            bullets[i].level--;
+        }
+    }
+
+    mergeOutlineSlides(first, second) {
+        const baseTitle = (title) => title.replace(/\s*\(cont\.\)$/i, '');
+        const sameTopic = baseTitle(first.title) === baseTitle(second.title);
+        return {
+            ...first,
+            title: sameTopic || !second.title ? baseTitle(first.title) : `${baseTitle(first.title)} & ${baseTitle(second.title)}`,
+            bullets: [...first.bullets, ...second.bullets],
+            notes: [first.notes, second.notes].filter(Boolean).join('\n\n')
+        };
+    }
+
+    addOutlineSlide() {
+        this.appData.outline.push({ type: 'content', title: '', bullets: [{ text: '', level: 0 }], notes: '', extra: {} });
+        this.renderOutline();
+
+        const title = document.querySelector(`[data-slide="${this.appData.outline.length - 1}"] [data-field="title"]`);
+        title.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        title.focus();
+    }
+
+    // Step 5: Build
+    async buildPresentation() {
+        this.nextStep(5);
+
+        try {
+            document.getElementById('processing-status').classList.remove('d-none');
+            document.getElementById('success-status').classList.add('d-none');
+            document.getElementById('error-status').classList.add('d-none');
+            this.resetProcessingSteps();
+
+            // The outline already covers analysis and structuring
+            this.showProcessingStep('step-analyze', 'Analyzing text content...', 'completed');
+            this.showProcessingStep('step-structure', 'Generating slide structure...', 'completed');
+
+            const formData = new FormData();
+            formData.append('structure', JSON.stringify(this.toSlideStructure(this.appData.outline)));
+            this.appendBuildOptions(formData);
+
+            // What the outline was drafted from goes into the generation history
+            if (this.appData.outlineFromText) {
+                formData.append('text', this.appData.text);
+                formData.append('guidance', this.appData.guidance);
+                formData.append('llmProvider', this.appData.llmProvider);
+                formData.append('llmModel', this.appData.llmModel);
+                Object.entries(this.appData.constraints).forEach(([name, value]) => formData.append(name, value));
+            }
+
+            const response = await fetch('/api/jobs', {
+                method: 'POST',
+                body: formData
+            });
+
+            if (!response.ok) {
+                throw new Error(this.describeRequestError(await response.json(), 'Generation failed'));
+            }
+
+            const { links } = await response.json();
+            const job = await this.followJob(links.events);
 
-            // Get the file blob
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            
             // Show success and download
-            this.showSuccess(url);
+            this.showSuccess(links.download, job.result && job.result.adjustments);
 
         } catch (error) {
             console.error('Generation error:', error);
@@ -425,28 +1469,264 @@ With strong market fundamentals, a proven business model, and an experienced tea
         }
     }
 
-    showProcessingStep(stepId, text) {
-        // Mark previous steps as complete
+    // Generation history
+    async loadHistory() {
+        const list = document.getElementById('history-list');
+        try {
+            const response = await fetch('/api/history');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not load the history');
+            }
+            this.renderHistory(data);
+        } catch (error) {
+            console.error('History error:', error);
+            list.innerHTML = `<div class="alert alert-warning small">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderHistory({ enabled, maxEntries, entries }) {
+        const retention = document.getElementById('history-retention');
+        retention.textContent = enabled
+            ? `The last ${maxEntries} presentations are kept.`
+            : 'History is turned off on this server.';
+
+        if (entries.length === 0) {
+            document.getElementById('history-list').innerHTML = '<p class="text-muted small">No presentations yet.</p>';
+            return;
+        }
+
+        document.getElementById('history-list').innerHTML = entries.map(entry => {
+            const id = this.escapeHtml(entry.id);
+            const source = entry.kind === 'restyle' ? 'Restyled deck' : entry.provider
+                ? `${entry.provider}${entry.model ? ` • ${entry.model}` : ''}`
+                : 'Edited outline';
+            const downloads = entry.formats.map(format => `
+                <a class="btn btn-sm btn-outline-success" href="/api/history/${id}/download${format === 'pptx' ? '' : `?format=${format}`}" download>
+                    <i class="bi bi-download me-1"></i>${format === 'pptx' ? '.pptx' : 'HTML'}
+                </a>
+            `).join('');
+
+            return `
+                <div class="card history-entry mb-2">
+                    <div class="card-body p-2">
+                        <div class="fw-medium">${this.escapeHtml(entry.title)}</div>
+                        <div class="small text-muted">
+                            ${new Date(entry.createdAt).toLocaleString()} • ${entry.slideCount} slide${entry.slideCount === 1 ? '' : 's'}
+                        </div>
+                        <div class="small text-muted">${this.escapeHtml(source)}${entry.templateName ? ` • ${this.escapeHtml(entry.templateName)}` : ''}</div>
+                        <div class="d-flex flex-wrap gap-1 mt-2">
+                            ${downloads}
+                            <button type="button" class="btn btn-sm btn-outline-primary" data-history-action="rerun" data-history-id="${id}">
+                                <i class="bi bi-arrow-repeat me-1"></i>Re-run
+                            </button>
+                            <button type="button" class="btn btn-sm btn-outline-danger ms-auto" data-history-action="delete" data-history-id="${id}" title="Delete">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Builds a past generation again with the template from step 3 and the model from step 2. Its saved
+    // slides are reused unless the model differs; then the text in step 1 is outlined again.
+    async rerunGeneration(id) {
+        this.goToStep(5);
+
+        try {
+            document.getElementById('processing-status').classList.remove('d-none');
+            document.getElementById('success-status').classList.add('d-none');
+            document.getElementById('error-status').classList.add('d-none');
+            this.resetProcessingSteps();
+
+            const formData = new FormData();
+            this.appendBuildOptions(formData);
+            if (this.appData.llmProvider) {
+                formData.append('text', this.appData.text);
+                formData.append('llmProvider', this.appData.llmProvider);
+                formData.append('llmModel', this.appData.llmModel);
+                if (this.appData.llmProvider === 'custom' && this.appData.baseUrl) {
+                    formData.append('llmBaseUrl', this.appData.baseUrl);
+                }
+                if (this.appData.apiKey && this.appData.apiKey !== 'server-key') {
+                    formData.append('apiKey', this.appData.apiKey);
+                }
+            }
+
+            const response = await fetch(`/api/history/${encodeURIComponent(id)}/rerun`, {
+                method: 'POST',
+                body: formData
+            });
+            if (!response.ok) {
+                throw new Error(this.describeRequestError(await response.json(), 'Re-run failed'));
+            }
+
+            const { job: started, links } = await response.json();
+            if (started.meta.fromOutline) {
+                this.showProcessingStep('step-analyze', 'Analyzing text content...', 'completed');
+                this.showProcessingStep('step-structure', 'Generating slide structure...', 'completed');
+            }
+            const job = await this.followJob(links.events);
+
+            // The new history entry has the slides that were built, for the previews
+            let slides = [];
+            if (job.result && job.result.historyId) {
+                const entryResponse = await fetch(`/api/history/${job.result.historyId}`);
+                if (entryResponse.ok) {
+                    slides = (await entryResponse.json()).entry.structure.slides;
+                }
+            }
+            this.showSuccess(links.download, job.result && job.result.adjustments, slides);
+
+        } catch (error) {
+            console.error('Re-run error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async deleteGeneration(id) {
+        if (!confirm('Delete this presentation from the history?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/history/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) {
+                throw new Error((await response.json()).error || 'Could not delete the presentation');
+            }
+            this.loadHistory();
+        } catch (error) {
+            console.error('History delete error:', error);
+            alert(error.message);
+        }
+    }
+
+    // The chosen template (saved or uploaded) and the build options from step 3
+    appendBuildOptions(formData) {
+        if (this.appData.templateId) {
+            formData.append('templateId', this.appData.templateId);
+        } else if (this.appData.templateFile) {
+            formData.append('template', this.appData.templateFile);
+        }
+        formData.append('keepTemplateSlides', this.appData.keepTemplateSlides);
+        formData.append('textFit', this.appData.textFit);
+    }
+
+    describeRequestError(error, fallback) {
+        const fields = (error.fields || []).map(issue => `${issue.field || issue.path} ${issue.message}`).join('; ');
+        return fields ? `${error.error}: ${fields}` : (error.error || fallback);
+    }
+
+    // Resolves with the finished job once its event stream reports completion; rejects with the job's error
+    followJob(eventsUrl) {
+        return new Promise((resolve, reject) => {
+            const source = new EventSource(eventsUrl);
+            const showStep = (step) => {
+                const stepId = this.processingSteps[step.name];
+                if (stepId) {
+                    this.showProcessingStep(stepId, `${step.label}...`, step.status, step.durationMs);
+                }
+            };
+
+            // Steps that ran before the stream connected arrive in the snapshot
+            source.addEventListener('snapshot', (event) => {
+                JSON.parse(event.data).steps.forEach(showStep);
+            });
+
+            source.addEventListener('step', (event) => {
+                showStep(JSON.parse(event.data));
+            });
+
+            source.addEventListener('completed', (event) => {
+                source.close();
+                resolve(JSON.parse(event.data));
+            });
+
+            source.addEventListener('failed', (event) => {
+                source.close();
+                const job = JSON.parse(event.data);
+                const error = job.error || {};
+                reject(new Error(error.fields ? error.details : (error.error || 'Generation failed')));
+            });
+
+            source.onerror = () => {
+                // EventSource reconnects on its own; only give up once the stream is closed for good
+                if (source.readyState === EventSource.CLOSED) {
+                    reject(new Error('Lost connection to the generation job'));
+                }
+            };
+        });
+    }
+
+    resetProcessingSteps() {
         document.querySelectorAll('.processing-step').forEach(step => {
             const icon = step.querySelector('i');
-            if (step.id < stepId || step.id === stepId) {
-                icon.classList.replace('bi-hourglass-split', 'bi-check-circle-fill');
-                icon.classList.add('text-success');
-                step.classList.add('completed');
+            icon.className = 'bi bi-hourglass-split me-2';
+            step.classList.remove('active', 'completed', 'failed');
+            const timing = step.querySelector('.step-timing');
+            if (timing) {
+                timing.remove();
             }
         });
-        
+        document.getElementById('processing-text').textContent = 'Analyzing your content and applying template styles...';
+    }
+
+    showProcessingStep(stepId, text, status = 'running', durationMs = null) {
+        const step = document.getElementById(stepId);
+        const icon = step.querySelector('i');
+
+        step.classList.toggle('active', status === 'running');
+        step.classList.toggle('completed', status === 'completed');
+        step.classList.toggle('failed', status === 'failed');
+
+        if (status === 'completed') {
+            icon.className = 'bi bi-check-circle-fill text-success me-2';
+        } else if (status === 'failed') {
+            icon.className = 'bi bi-x-circle-fill text-danger me-2';
+        } else {
+            icon.className = 'bi bi-arrow-repeat me-2';
+        }
+
+        if (durationMs !== null) {
+            let timing = step.querySelector('.step-timing');
+            if (!timing) {
+                timing = document.createElement('small');
+                timing.className = 'step-timing text-muted ms-2';
+                step.appendChild(timing);
+            }
+            timing.textContent = `${(durationMs / 1000).toFixed(1)}s`;
+        }
+
         // Update current step text
-        document.getElementById('processing-text').textContent = text;
+        if (status === 'running') {
+            document.getElementById('processing-text').textContent = text;
+        }
     }
 
-    showSuccess(downloadUrl) {
+    showSuccess(downloadUrl, adjustments = [], slides = null) {
         document.getElementById('processing-status').classList.add('d-none');
         document.getElementById('success-status').classList.remove('d-none');
+
+        // Changes made to fit the slide options
+        const adjustmentList = document.getElementById('success-adjustments');
+        adjustmentList.innerHTML = (adjustments || []).map(change => `<li>${this.escapeHtml(change)}</li>`).join('');
+        adjustmentList.classList.toggle('d-none', !adjustments || adjustments.length === 0);
         
         const downloadLink = document.getElementById('download-link');
         downloadLink.href = downloadUrl;
         downloadLink.download = 'generated-presentation.pptx';
+
+        const htmlLink = document.getElementById('download-html-link');
+        htmlLink.href = `${downloadUrl}?format=html`;
+        htmlLink.download = 'generated-presentation.html';
+
+        // Previews of the slides that were built: the outline, unless a past generation was re-run
+        const builtSlides = slides || this.toSlideStructure(this.appData.outline || []).slides;
+        document.getElementById('success-preview-strip').innerHTML = this.renderPreviewThumbs(builtSlides);
+        document.getElementById('success-preview').classList.toggle('d-none', builtSlides.length === 0);
+        this.selectSuccessPreview(0);
     }
 
     showError(message) {
@@ -463,16 +1743,35 @@ With strong market fundamentals, a proven business model, and an experienced tea
             llmProvider: '',
             llmModel: '',
             apiKey: '',
+            baseUrl: '',
+            constraints: {},
+            targetEdited: false,
             templateFile: null,
-            templateAnalysis: null
+            templateId: null, // Saved template used instead of an uploaded file
+            templateAnalysis: null,
+            keepTemplateSlides: false,
+            textFit: 'auto',
+            outline: null, // Editable slides from /api/outline
+            outlineSource: '', // Inputs the outline was created from
+            outlineAdjustments: [],
+            outlineFromText: false, // Whether the outline was drafted from the text in step 1
+            sourceDeck: null // Existing .pptx the outline was read from, when restyling
         };
 
         // Reset form
         document.getElementById('text-input').value = '';
+        document.getElementById('document-notice').classList.add('d-none');
         document.getElementById('guidance-input').value = '';
         document.getElementById('llm-provider').value = '';
         document.getElementById('llm-model').value = '';
         document.getElementById('api-key').value = '';
+        document.getElementById('custom-base-url').value = '';
+        document.getElementById('custom-endpoint-group').classList.add('d-none');
+        document.getElementById('keep-template-slides').checked = false;
+        document.getElementById('text-fit').value = 'auto';
+        document.querySelectorAll('[data-constraint]').forEach(input => {
+            input.value = '';
+        });
         this.removeTemplate();
 
         // Reset processing status
@@ -532,8 +1831,14 @@ With strong market fundamentals, a proven business model, and an experienced tea
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
     }
 }
 
@@ -555,6 +1860,10 @@ function loadSample() {
     app.loadSample();
 }
 
+function chooseDocument() {
+    document.getElementById('document-file').click();
+}
+
 function clearText() {
     app.clearText();
 }
@@ -563,12 +1872,44 @@ function toggleApiKey() {
     app.toggleApiKey();
 }
 
+function discoverModels() {
+    app.discoverModels();
+}
+
 function removeTemplate() {
     app.removeTemplate();
 }
 
-function generatePresentation() {
-    app.generatePresentation();
+function saveTemplate() {
+    app.saveTemplate();
+}
+
+function createOutline(force) {
+    app.createOutline(force);
+}
+
+function addOutlineSlide() {
+    app.addOutlineSlide();
+}
+
+function chooseOutlineFile() {
+    document.getElementById('outline-file').click();
+}
+
+function exportOutline(format) {
+    app.exportOutline(format);
+}
+
+function chooseDeckFile() {
+    document.getElementById('deck-file').click();
+}
+
+function tightenOutline() {
+    app.tightenOutline();
+}
+
+function buildPresentation() {
+    app.buildPresentation();
 }
 
 function startOver() {
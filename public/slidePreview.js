@@ -0,0 +1,457 @@
+// Slide previews: draws each slide of a structure as SVG, placed in the template's layout placeholders
+// and colored and set in the fonts of its theme, so the deck can be checked before it is built
+class SlidePreviewRenderer {
+    /**
+     * @param {Object|null} templateAnalysis - Result of /api/analyze-template; null draws with Office defaults
+     */
+    constructor(templateAnalysis) {
+        const analysis = templateAnalysis || {};
+        const slideSize = analysis.slideSize || { cx: 9144000, cy: 6858000 };
+
+        // Drawing units are points: 12700 EMU each, so font sizes can be given directly
+        this.width = slideSize.cx / 12700;
+        this.height = slideSize.cy / 12700;
+        this.layouts = analysis.slideLayouts || [];
+        this.layoutMapping = analysis.layoutMapping || {};
+        this.colors = this.themeColors(analysis.theme);
+        this.fonts = this.themeFonts(analysis.theme);
+    }
+
+    themeColors(theme) {
+        const defaults = {
+            dk1: '#000000',
+            lt1: '#ffffff',
+            dk2: '#1f497d',
+            lt2: '#eeece1',
+            accent1: '#4f81bd',
+            accent2: '#c0504d',
+            accent3: '#9bbb59',
+            accent4: '#8064a2',
+            accent5: '#4bacc6',
+            accent6: '#f79646'
+        };
+        const scheme = (theme && theme.colorScheme) || {};
+        const colors = {};
+        for (const [slot, fallback] of Object.entries(defaults)) {
+            // Scheme references and preset names can't be resolved in the browser
+            colors[slot] = /^#[0-9a-f]{6}$/i.test(scheme[slot] || '') ? scheme[slot] : fallback;
+        }
+        colors.accents = ['accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6'].map(slot => colors[slot]);
+        return colors;
+    }
+
+    themeFonts(theme) {
+        const fallback = 'Calibri, "Segoe UI", Helvetica, Arial, sans-serif';
+        const family = (font) => {
+            const latin = font && font.latin && !font.latin.startsWith('+') ? font.latin : '';
+            return latin ? `'${latin.replace(/['"\\]/g, '')}', ${fallback}` : fallback;
+        };
+        const fonts = (theme && theme.fontScheme) || {};
+        return { heading: family(fonts.majorFont), body: family(fonts.minorFont) };
+    }
+
+    /**
+     * Draws one slide.
+     * @param {Object} slide - A slide of the structure sent to /api/build
+     * @returns {{svg: string, overflow: boolean}} The SVG markup, and whether text had to be cut off
+     */
+    render(slide) {
+        const type = slide.type || 'content';
+        const layout = this.layoutFor(type);
+        const placeholders = layout ? layout.placeholders : [];
+        const titlePlaceholder = placeholders.find(ph => ph.type === 'ctrTitle' || ph.type === 'title');
+        const bodyPlaceholder = placeholders.find(ph => ['body', 'obj', 'subTitle'].includes(ph.type));
+        const titleBox = this.box(titlePlaceholder) || this.fallbackTitleBox();
+        const bodyBox = this.box(bodyPlaceholder) || this.fallbackBodyBox();
+        const centered = (titlePlaceholder && titlePlaceholder.type === 'ctrTitle') || ['title', 'section', 'closing'].includes(type);
+        const state = { overflow: false };
+
+        const shapes = [`<rect width="${this.width}" height="${this.height}" fill="${this.colors.lt1}"/>`];
+        if (type !== 'quote' || slide.title) {
+            shapes.push(this.textBlock([{ text: slide.title || 'Untitled slide', level: 0 }], titleBox, {
+                size: centered ? 40 : 32,
+                font: this.fonts.heading,
+                color: this.colors.dk2,
+                align: centered ? 'middle' : 'start',
+                anchor: 'middle'
+            }, state));
+        }
+
+        const items = this.flattenItems(slide.content || []);
+        if (slide.chart && type === 'chart') {
+            const [leadIn, area] = this.splitLeadIn(items, bodyBox, state, shapes);
+            shapes.push(leadIn, this.chart(slide.chart, area));
+        } else if (slide.table && type === 'table') {
+            const [leadIn, area] = this.splitLeadIn(items, bodyBox, state, shapes);
+            shapes.push(leadIn, this.table(slide.table, area));
+        } else if (type === 'two-column' || type === 'comparison') {
+            shapes.push(this.columns(slide, placeholders, bodyBox, state));
+        } else if (type === 'quote') {
+            shapes.push(this.quote(items, slide.attribution, bodyBox, state));
+        } else {
+            const plain = ['title', 'section', 'closing'].includes(type) || (bodyPlaceholder && bodyPlaceholder.type === 'subTitle');
+            shapes.push(this.textBlock(items, bodyBox, {
+                size: plain ? 24 : 28,
+                font: this.fonts.body,
+                color: this.colors.dk1,
+                bullets: !plain,
+                align: centered && plain ? 'middle' : 'start'
+            }, state));
+        }
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${this.width} ${this.height}" role="img" aria-label="${this.escape(slide.title || 'Slide')}">${shapes.join('')}</svg>`;
+        return { svg, overflow: state.overflow };
+    }
+
+    // The layout the builder picks for a slide type, as reported by the template analysis
+    layoutFor(type) {
+        const mapped = this.layoutMapping[type] || this.layoutMapping.content;
+        return (mapped && this.layouts.find(layout => layout.path === mapped.path)) || null;
+    }
+
+    box(placeholder) {
+        const position = placeholder && placeholder.position;
+        return position ? { x: position.x / 12700, y: position.y / 12700, cx: position.cx / 12700, cy: position.cy / 12700 } : null;
+    }
+
+    fallbackTitleBox() {
+        return { x: this.width * 0.08, y: this.height * 0.05, cx: this.width * 0.84, cy: this.height * 0.15 };
+    }
+
+    // Same area the builder uses for a text box when the layout has no body placeholder
+    fallbackBodyBox() {
+        return { x: this.width * 0.08, y: this.height * 0.25, cx: this.width * 0.84, cy: this.height * 0.65 };
+    }
+
+    flattenItems(items, level = 0) {
+        const flat = [];
+        for (const item of items) {
+            if (Array.isArray(item)) {
+                flat.push(...this.flattenItems(item, level + 1));
+            } else if (item && typeof item === 'object') {
+                flat.push({ text: String(item.text || ''), level });
+                flat.push(...this.flattenItems(item.children || [], level + 1));
+            } else if (item !== null && item !== undefined && String(item).trim()) {
+                flat.push({ text: String(item), level });
+            }
+        }
+        return flat;
+    }
+
+    // A lead-in above a table or chart takes the top of the body area, as in the built slide
+    splitLeadIn(items, area, state) {
+        if (items.length === 0) {
+            return ['', area];
+        }
+        const leadHeight = Math.min(area.cy * 0.3, items.length * 28);
+        const leadIn = this.textBlock(items, { ...area, cy: leadHeight }, {
+            size: 20, font: this.fonts.body, color: this.colors.dk1, bullets: false
+        }, state);
+        return [leadIn, { ...area, y: area.y + leadHeight + 6, cy: area.cy - leadHeight - 6 }];
+    }
+
+    // Wraps and draws paragraphs inside a box, shrinking the text (to 60%) before cutting it off
+    textBlock(paragraphs, box, options, state) {
+        if (paragraphs.length === 0) {
+            return '';
+        }
+
+        const { size, font, color, bullets = false, align = 'start', anchor = 'top', italic = false, bold = false } = options;
+        const inset = 7.2;
+        const inner = { x: box.x + inset, y: box.y + inset / 2, cx: Math.max(10, box.cx - inset * 2), cy: Math.max(10, box.cy - inset) };
+
+        let scale = 1;
+        let lines = [];
+        let height = 0;
+        while (true) {
+            ({ lines, height } = this.wrapParagraphs(paragraphs, inner.cx, size * scale, bullets));
+            if (height <= inner.cy || scale <= 0.6) {
+                break;
+            }
+            scale = Math.max(0.6, scale - 0.1);
+        }
+
+        const clipped = height > inner.cy;
+        if (clipped) {
+            state.overflow = true;
+        }
+        const top = anchor === 'middle' && !clipped ? inner.y + (inner.cy - height) / 2 : inner.y;
+        const x = align === 'middle' ? inner.x + inner.cx / 2 : align === 'end' ? inner.x + inner.cx : inner.x;
+
+        // Lines past the bottom of the box are dropped rather than clipped, so previews need no element ids
+        const text = lines.filter(line => line.baseline <= inner.cy + line.fontSize * 0.25).map(line => {
+            const lineX = align === 'start' ? x + line.indent : x;
+            const bullet = line.bullet
+                ? `<tspan x="${(lineX - line.fontSize * 0.75).toFixed(1)}" y="${(top + line.baseline).toFixed(1)}" font-size="${line.fontSize.toFixed(1)}">•</tspan>`
+                : '';
+            return `${bullet}<tspan x="${lineX.toFixed(1)}" y="${(top + line.baseline).toFixed(1)}" font-size="${line.fontSize.toFixed(1)}">${this.escape(line.text)}</tspan>`;
+        }).join('');
+
+        return `<text font-family="${this.escape(font)}" fill="${color}" text-anchor="${align}"` +
+            `${italic ? ' font-style="italic"' : ''}${bold ? ' font-weight="bold"' : ''}>${text}</text>`;
+    }
+
+    wrapParagraphs(paragraphs, width, size, bullets) {
+        const lines = [];
+        let height = 0;
+        paragraphs.forEach((paragraph, index) => {
+            // Sub-points step down in size and in, like PowerPoint's default body levels
+            const fontSize = size * [1, 0.86, 0.75, 0.68][Math.min(paragraph.level, 3)];
+            const indent = bullets ? size * 0.9 + paragraph.level * size * 1.1 : 0;
+            const available = width - indent;
+            const wrapped = this.wrapText(this.plainText(paragraph.text), available, fontSize);
+            if (index > 0) {
+                height += fontSize * 0.35;
+            }
+            wrapped.forEach((text, lineIndex) => {
+                height += fontSize * 1.2;
+                lines.push({ text, fontSize, indent, bullet: bullets && lineIndex === 0, baseline: height - fontSize * 0.25 });
+            });
+        });
+        return { lines, height };
+    }
+
+    // Greedy wrap using an average glyph width; close enough to show where text runs long
+    wrapText(text, width, fontSize) {
+        const maxChars = Math.max(4, Math.floor(width / (fontSize * 0.5)));
+        const lines = [];
+        let line = '';
+        for (const word of text.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (candidate.length <= maxChars) {
+                line = candidate;
+                continue;
+            }
+            if (line) {
+                lines.push(line);
+            }
+            line = word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word;
+        }
+        if (line) {
+            lines.push(line);
+        }
+        return lines.length > 0 ? lines : [''];
+    }
+
+    plainText(text) {
+        return String(text)
+            .replace(/\*\*(.+?)\*\*/g, '$1')
+            .replace(/\*(.+?)\*/g, '$1')
+            .replace(/`(.+?)`/g, '$1');
+    }
+
+    // Two sides from the layout's left and right content placeholders, or the body area split in half
+    columns(slide, placeholders, bodyBox, state) {
+        const columns = this.readColumns(slide);
+        const slots = this.columnSlots(placeholders) || [0, 1].map(side => {
+            const half = (bodyBox.cx - 14) / 2;
+            return { heading: null, body: { ...bodyBox, x: bodyBox.x + side * (half + 14), cx: half } };
+        });
+
+        return columns.map((column, index) => {
+            let body = slots[index].body;
+            let heading = '';
+            if (column.heading) {
+                const headingBox = slots[index].heading || { ...body, cy: Math.min(36, body.cy * 0.2) };
+                if (!slots[index].heading) {
+                    body = { ...body, y: body.y + headingBox.cy, cy: body.cy - headingBox.cy };
+                }
+                heading = this.textBlock([{ text: column.heading, level: 0 }], headingBox, {
+                    size: 24, font: this.fonts.heading, color: this.colors.accent1, bold: true
+                }, state);
+            }
+            return heading + this.textBlock(this.flattenItems(column.content), body, {
+                size: 24, font: this.fonts.body, color: this.colors.dk1, bullets: true
+            }, state);
+        }).join('');
+    }
+
+    // Mirrors how the builder reads columns: explicit `columns`, two headed points, or the content halved
+    readColumns(slide) {
+        if (Array.isArray(slide.columns) && slide.columns.length > 0) {
+            const columns = slide.columns.slice(0, 2).map(column => ({
+                heading: column && column.heading ? String(column.heading) : '',
+                content: column && Array.isArray(column.content) ? column.content : []
+            }));
+            while (columns.length < 2) {
+                columns.push({ heading: '', content: [] });
+            }
+            return columns;
+        }
+
+        const groups = [];
+        for (const item of slide.content || []) {
+            if (Array.isArray(item) && groups.length > 0) {
+                groups[groups.length - 1].push(item);
+            } else {
+                groups.push([item]);
+            }
+        }
+        if (groups.length === 2 && groups.every(group => group.length === 2 && typeof group[0] === 'string')) {
+            return groups.map(([heading, content]) => ({ heading, content }));
+        }
+        const half = Math.ceil(groups.length / 2);
+        return [
+            { heading: '', content: groups.slice(0, half).flat() },
+            { heading: '', content: groups.slice(half).flat() }
+        ];
+    }
+
+    columnSlots(placeholders) {
+        const slots = placeholders.filter(ph => ['body', 'obj'].includes(ph.type) && ph.position);
+        if (slots.length < 2) {
+            return null;
+        }
+        const left = Math.min(...slots.map(ph => ph.position.x));
+        const right = Math.max(...slots.map(ph => ph.position.x + ph.position.cx));
+        const middle = (left + right) / 2;
+        const sides = [
+            slots.filter(ph => ph.position.x + ph.position.cx / 2 < middle),
+            slots.filter(ph => ph.position.x + ph.position.cx / 2 >= middle)
+        ];
+        if (sides.some(side => side.length === 0)) {
+            return null;
+        }
+        return sides.map(side => {
+            const ordered = [...side].sort((a, b) => a.position.y - b.position.y);
+            return { heading: ordered.length > 1 ? this.box(ordered[0]) : null, body: this.box(ordered[ordered.length - 1]) };
+        });
+    }
+
+    quote(items, attribution, box, state) {
+        const text = items.map(item => item.text).join(' ').trim();
+        if (!text) {
+            return '';
+        }
+        const quoted = /^["“'‘]/.test(text) ? text : `“${text}”`;
+        const attributionHeight = attribution ? Math.min(40, box.cy * 0.2) : 0;
+        const quoteBox = { ...box, cy: box.cy - attributionHeight };
+        return this.textBlock([{ text: quoted, level: 0 }], quoteBox, {
+            size: 28, font: this.fonts.heading, color: this.colors.dk1, align: 'middle', anchor: 'middle', italic: true
+        }, state) + (attribution ? this.textBlock([{ text: `— ${String(attribution).replace(/^[-–—\s]+/, '')}`, level: 0 }],
+            { ...box, y: box.y + quoteBox.cy, cy: attributionHeight }, {
+                size: 18, font: this.fonts.body, color: this.colors.accent1, align: 'end'
+            }, state) : '');
+    }
+
+    table(table, area) {
+        const cell = (value) => value === null || value === undefined ? '' : this.plainText(String(value).trim());
+        const rows = (Array.isArray(table.rows) ? table.rows : []).filter(Array.isArray);
+        const headers = Array.isArray(table.headers) ? table.headers : [];
+        const width = Math.max(headers.length, ...rows.map(row => row.length), 0);
+        if (width === 0) {
+            return '';
+        }
+
+        // Long tables are cut off in the preview; the built slide keeps every row
+        const shown = [...(headers.length > 0 ? [headers] : []), ...rows].slice(0, 14);
+        const rowHeight = Math.min(area.cy / shown.length, 40);
+        const columnWidth = area.cx / width;
+        const fontSize = Math.max(6, Math.min(18, rowHeight * 0.5, columnWidth / 5));
+        const maxChars = Math.max(3, Math.floor((columnWidth - 8) / (fontSize * 0.5)));
+
+        return shown.map((row, rowIndex) => {
+            const isHeader = rowIndex === 0 && headers.length > 0;
+            const y = area.y + rowIndex * rowHeight;
+            const fill = isHeader ? this.colors.accent1 : rowIndex % 2 === 0 ? this.colors.lt2 : this.colors.lt1;
+            const cells = Array.from({ length: width }, (_, columnIndex) => {
+                const text = cell(row[columnIndex]);
+                const clipped = text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+                return `<text x="${(area.x + columnIndex * columnWidth + 4).toFixed(1)}" y="${(y + rowHeight / 2 + fontSize * 0.35).toFixed(1)}" font-size="${fontSize.toFixed(1)}" font-family="${this.escape(this.fonts.body)}" fill="${isHeader ? this.colors.lt1 : this.colors.dk1}"${isHeader ? ' font-weight="bold"' : ''}>${this.escape(clipped)}</text>`;
+            }).join('');
+            return `<rect x="${area.x.toFixed(1)}" y="${y.toFixed(1)}" width="${area.cx.toFixed(1)}" height="${rowHeight.toFixed(1)}" fill="${fill}"/>${cells}`;
+        }).join('');
+    }
+
+    chart(chart, area) {
+        const categories = (Array.isArray(chart.categories) ? chart.categories : []).map(String);
+        const series = (Array.isArray(chart.series) ? chart.series : [])
+            .filter(entry => entry && Array.isArray(entry.values))
+            .map(entry => categories.map((_, index) => {
+                const value = parseFloat(String(entry.values[index]).replace(/[$€£¥,%\s]/g, ''));
+                return Number.isFinite(value) ? value : null;
+            }));
+        if (categories.length === 0 || series.length === 0) {
+            return '';
+        }
+
+        const type = { column: 'bar', donut: 'doughnut' }[chart.type] || chart.type || 'bar';
+        return type === 'pie' || type === 'doughnut'
+            ? this.pieChart(series[0], type === 'doughnut', area)
+            : this.axisChart(series, categories, type === 'line', area);
+    }
+
+    pieChart(values, doughnut, area) {
+        const positive = values.map(value => Math.max(0, value || 0));
+        const total = positive.reduce((sum, value) => sum + value, 0);
+        if (total === 0) {
+            return '';
+        }
+
+        const radius = Math.min(area.cx, area.cy) / 2 * 0.9;
+        const cx = area.x + area.cx / 2;
+        const cy = area.y + area.cy / 2;
+        const point = (angle) => `${(cx + radius * Math.sin(angle)).toFixed(1)} ${(cy - radius * Math.cos(angle)).toFixed(1)}`;
+        let angle = 0;
+        const slices = positive.map((value, index) => {
+            const sweep = value / total * Math.PI * 2;
+            const start = angle;
+            angle += sweep;
+            const fill = this.colors.accents[index % this.colors.accents.length];
+            if (value === 0) {
+                return '';
+            }
+            if (sweep >= Math.PI * 2 - 1e-6) {
+                return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${fill}"/>`;
+            }
+            return `<path d="M ${point(start)} A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(angle)} L ${cx} ${cy} Z" fill="${fill}" stroke="${this.colors.lt1}" stroke-width="1.5"/>`;
+        }).join('');
+        const hole = doughnut ? `<circle cx="${cx}" cy="${cy}" r="${(radius * 0.55).toFixed(1)}" fill="${this.colors.lt1}"/>` : '';
+        return slices + hole;
+    }
+
+    axisChart(series, categories, line, area) {
+        const labelHeight = 18;
+        const plot = { left: area.x, right: area.x + area.cx, top: area.y, bottom: area.y + area.cy - labelHeight };
+        const values = series.flat().filter(value => value !== null);
+        const max = Math.max(0, ...values);
+        const min = Math.min(0, ...values);
+        const range = max - min || 1;
+        const y = (value) => plot.bottom - (value - min) / range * (plot.bottom - plot.top);
+        const slot = (plot.right - plot.left) / categories.length;
+
+        let marks;
+        if (line) {
+            marks = series.map((entry, seriesIndex) => {
+                const points = entry
+                    .map((value, index) => value === null ? null : `${(plot.left + slot * (index + 0.5)).toFixed(1)},${y(value).toFixed(1)}`)
+                    .filter(Boolean);
+                return `<polyline points="${points.join(' ')}" fill="none" stroke="${this.colors.accents[seriesIndex % 6]}" stroke-width="3"/>`;
+            }).join('');
+        } else {
+            const barWidth = slot * 0.7 / series.length;
+            marks = series.map((entry, seriesIndex) => entry.map((value, index) => {
+                if (value === null) {
+                    return '';
+                }
+                const top = Math.min(y(value), y(0));
+                return `<rect x="${(plot.left + slot * index + slot * 0.15 + barWidth * seriesIndex).toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${Math.abs(y(value) - y(0)).toFixed(1)}" fill="${this.colors.accents[seriesIndex % 6]}"/>`;
+            }).join('')).join('');
+        }
+
+        const fontSize = Math.min(14, slot / 5);
+        const labels = categories.map((category, index) =>
+            `<text x="${(plot.left + slot * (index + 0.5)).toFixed(1)}" y="${(plot.bottom + labelHeight - 4).toFixed(1)}" font-size="${fontSize.toFixed(1)}" font-family="${this.escape(this.fonts.body)}" fill="${this.colors.dk1}" text-anchor="middle">${this.escape(category.length > 14 ? `${category.slice(0, 13)}…` : category)}</text>`
+        ).join('');
+        const axis = `<line x1="${plot.left}" x2="${plot.right}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="${this.colors.dk1}" stroke-width="1"/>`;
+        return marks + axis + labels;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -9,6 +9,31 @@ const JSZip = require('jszip');
 const xml2js = require('xml2js');
 require('dotenv').config();
 
+const ooxml = require('./lib/ooxml');
+const { PptxValidator, PackageValidationError } = require('./lib/pptxValidator');
+const LocalProvider = require('./lib/localProvider');
+const JobManager = require('./lib/jobManager');
+const { ChunkedAnalyzer, DEFAULT_THRESHOLD_WORDS, DEFAULT_CHUNK_WORDS } = require('./lib/chunkedAnalysis');
+const { normalizeConstraints, describeConstraints, applyConstraints } = require('./lib/slideConstraints');
+const { detectTables, describeTables } = require('./lib/tableDetection');
+const { SLIDE_TYPE_ALIASES, describeSlideTypes, normalizeTable, normalizeColumns } = require('./lib/slideTypes');
+const { normalizeChart, buildChartXml, buildChartWorkbook, dropUnsupportedCharts } = require('./lib/charts');
+const { TEXT_FIT_MODES, DEFAULT_MIN_FONT_SIZE, sizeForLevel, fitText, splitContent, normalizeTextFit } = require('./lib/textFit');
+const { buildHtmlSlideshow } = require('./lib/htmlExport');
+const { OUTLINE_FORMATS, OutlineFormatError, exportOutline, importOutline } = require('./lib/outlineFormats');
+const { SOURCE_FORMATS, SourceDocumentError, sourceFormat, readSourceDocument } = require('./lib/sourceDocuments');
+const { DeckExtractionError, extractDeck, mergeTightenedStructure } = require('./lib/deckExtraction');
+const { TemplateStore, TemplateStoreError } = require('./lib/templateStore');
+const GenerationHistory = require('./lib/generationHistory');
+const { LlmCache, MemoryCacheBackend, DiskCacheBackend, uncachedReport } = require('./lib/llmCache');
+const {
+    ANALYSIS_SCHEMA,
+    SLIDE_STRUCTURE_SCHEMA,
+    StructuredOutputError,
+    requestStructured,
+    validate
+} = require('./lib/structuredOutput');
+
 // Import AI providers
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
@@ -28,6 +53,84 @@ const createTempDirs = () => {
 };
 createTempDirs();
 
+// Background generation jobs; finished decks are written to temp/output
+const jobManager = new JobManager({
+    outputDir: path.join('temp', 'output'),
+    ttlMs: parseInt(process.env.JOB_TTL_MINUTES || '60', 10) * 60 * 1000
+});
+
+// Saved templates in temp/templates, and template analyses cached by file content
+const templateStore = new TemplateStore({
+    dir: path.join('temp', 'templates'),
+    analyze: (buffer) => new TemplateAnalyzer().analyzeTemplate(buffer),
+    maxTemplates: parseInt(process.env.TEMPLATE_LIBRARY_MAX || '50', 10)
+});
+
+// Analyses and slide structures from the model, reused for the same provider, model, prompts and inputs.
+// LLM_CACHE is memory (the default), disk (temp/cache, kept across restarts) or off.
+const llmCache = (() => {
+    const mode = process.env.LLM_CACHE || 'memory';
+    if (mode === 'off') {
+        return null;
+    }
+    const backend = mode === 'disk'
+        ? new DiskCacheBackend({
+            dir: path.join('temp', 'cache'),
+            maxBytes: parseInt(process.env.LLM_CACHE_MAX_MB || '50', 10) * 1024 * 1024
+        })
+        : new MemoryCacheBackend({ maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '500', 10) });
+    return new LlmCache({ backend, ttlMs: parseInt(process.env.LLM_CACHE_TTL_HOURS || '24', 10) * 60 * 60 * 1000 });
+})();
+
+// Part of every LLM cache key; bump it when a prompt or response schema changes
+const PROMPT_VERSION = 1;
+
+// Every finished generation with its inputs and output files; HISTORY_MAX_ENTRIES=0 turns it off
+const history = new GenerationHistory({
+    dir: path.join('temp', 'output', 'history'),
+    maxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES || '50', 10)
+});
+
+// Long inputs are analyzed chunk by chunk above this many words
+const CHUNKING_OPTIONS = {
+    thresholdWords: parseInt(process.env.CHUNK_THRESHOLD_WORDS || DEFAULT_THRESHOLD_WORDS, 10),
+    chunkWords: parseInt(process.env.CHUNK_WORDS || DEFAULT_CHUNK_WORDS, 10)
+};
+
+// How overflowing bullet text is fitted; MIN_FONT_SIZE is the shrink floor in points.
+// Invalid values fall back to the defaults instead of failing every request that doesn't pick a mode.
+const TEXT_FIT_DEFAULTS = (() => {
+    const defaults = { mode: 'auto', minSize: DEFAULT_MIN_FONT_SIZE };
+    const mode = process.env.TEXT_FIT_MODE;
+    if (mode) {
+        if (TEXT_FIT_MODES.includes(mode)) {
+            defaults.mode = mode;
+        } else {
+            console.warn(`Ignoring invalid TEXT_FIT_MODE "${mode}"; expected one of ${TEXT_FIT_MODES.join(', ')}`);
+        }
+    }
+    const minSize = process.env.MIN_FONT_SIZE;
+    if (minSize) {
+        const points = Number(minSize);
+        if (Number.isFinite(points) && points >= 1 && points <= 400) {
+            defaults.minSize = Math.round(points * 100);
+        } else {
+            console.warn(`Ignoring invalid MIN_FONT_SIZE "${minSize}"; expected a size in points from 1 to 400`);
+        }
+    }
+    return defaults;
+})();
+
+// Origin of the configured OpenAI-compatible endpoint, if any
+const customEndpointOrigin = (() => {
+    try {
+        return process.env.CUSTOM_LLM_BASE_URL ? new URL(process.env.CUSTOM_LLM_BASE_URL).origin : null;
+    } catch (error) {
+        console.warn('Ignoring invalid CUSTOM_LLM_BASE_URL:', process.env.CUSTOM_LLM_BASE_URL);
+        return null;
+    }
+})();
+
 // Security middleware - Updated CSP to allow all necessary resources
 app.use(helmet({
     contentSecurityPolicy: {
@@ -60,7 +163,8 @@ app.use(helmet({
                 "'self'", 
                 "https://api.openai.com", 
                 "https://api.anthropic.com", 
-                "https://generativelanguage.googleapis.com"
+                "https://generativelanguage.googleapis.com",
+                ...(customEndpointOrigin ? [customEndpointOrigin] : [])
             ],
         },
     },
@@ -96,13 +200,27 @@ app.use(express.static(path.join(__dirname, 'public'), {
 
 // File upload configuration
 const storage = multer.memoryStorage();
-const upload = multer({
+
+function invalidFileType(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_FILE_TYPE';
+    return error;
+}
+
+const uploadOptions = {
     storage: storage,
     limits: {
         fileSize: 50 * 1024 * 1024, // 50MB limit
         files: 1
     },
     fileFilter: (req, file, cb) => {
+        // Source documents are recognized by extension; browsers report no reliable type for .md files
+        if (file.fieldname === 'document') {
+            return sourceFormat(file.originalname)
+                ? cb(null, true)
+                : cb(invalidFileType(`Invalid file type. Source documents must be ${Object.values(SOURCE_FORMATS).flat().join(', ')} files.`));
+        }
+
         const allowedMimeTypes = [
             'application/vnd.openxmlformats-officedocument.presentationml.presentation',
             'application/vnd.openxmlformats-officedocument.presentationml.template'
@@ -111,27 +229,38 @@ const upload = multer({
         if (allowedMimeTypes.includes(file.mimetype)) {
             cb(null, true);
         } else {
-            cb(new Error('Invalid file type. Only .pptx and .potx files are allowed.'));
+            cb(invalidFileType('Invalid file type. Only .pptx and .potx files are allowed.'));
         }
     }
-});
+};
+
+const upload = multer(uploadOptions);
+// Restyling takes the source deck and the target template in one request
+const deckUpload = multer({ ...uploadOptions, limits: { ...uploadOptions.limits, files: 2 } });
+
+const LLM_PROVIDERS = ['local', 'custom', 'openai', 'anthropic', 'gemini'];
+
+// A provider choice the server can't serve as sent: an unknown provider, no key, or an endpoint that isn't
+// allowed. `field` is the request field at fault, `reason` what is wrong with it.
+class ProviderConfigError extends Error {
+    constructor(field, reason) {
+        super(`${field} ${reason}`);
+        this.name = 'ProviderConfigError';
+        this.field = field;
+        this.reason = reason;
+    }
+}
 
 // Updated LLM Provider Factory with .env fallback
 class LLMProviderFactory {
     static createProvider(providerConfig) {
-        // Use server-side API keys as fallback
-        const apiKey = providerConfig.apiKey || this.getServerApiKey(providerConfig.provider);
-        
-        if (!apiKey) {
-            throw new Error(`No API key available for ${providerConfig.provider}. Please provide an API key or set environment variables.`);
-        }
-
-        const config = {
-            ...providerConfig,
-            apiKey: apiKey
-        };
+        const config = this.resolveConfig(providerConfig);
 
-        switch (providerConfig.provider) {
+        switch (config.provider) {
+            case 'local':
+                return new LocalProvider(config);
+            case 'custom':
+                return new OpenAICompatibleProvider(config);
             case 'openai':
                 return new OpenAIProvider(config);
             case 'anthropic':
@@ -139,8 +268,44 @@ class LLMProviderFactory {
             case 'gemini':
                 return new GeminiProvider(config);
             default:
-                throw new Error(`Unsupported LLM provider: ${providerConfig.provider}`);
+                throw new Error(`Unsupported LLM provider: ${config.provider}`);
+        }
+    }
+
+    /**
+     * Checks a provider choice and fills in what the server supplies: its API key and, for an
+     * OpenAI-compatible endpoint, its base URL and default model.
+     * @param {{provider: string, model?: string, baseUrl?: string, apiKey?: string}} providerConfig
+     * @returns {Object} The config the provider is created with
+     * @throws {ProviderConfigError} When the provider is unknown, no key is available or the endpoint isn't allowed
+     */
+    static resolveConfig(providerConfig) {
+        const { provider } = providerConfig;
+        if (!LLM_PROVIDERS.includes(provider)) {
+            throw new ProviderConfigError('llmProvider', `must be one of ${LLM_PROVIDERS.join(', ')}`);
+        }
+
+        // The offline provider works from the text alone and needs no key
+        if (provider === 'local') {
+            return providerConfig;
+        }
+
+        // Self-hosted OpenAI-compatible servers often run without authentication; the server's key
+        // only ever goes to the server's own endpoint
+        if (provider === 'custom') {
+            return {
+                ...providerConfig,
+                ...this.resolveCustomEndpoint(providerConfig),
+                model: providerConfig.model || process.env.CUSTOM_LLM_MODEL
+            };
         }
+
+        // Use server-side API keys as fallback
+        const apiKey = providerConfig.apiKey || this.getServerApiKey(provider);
+        if (!apiKey) {
+            throw new ProviderConfigError('apiKey', `is required; the server has no ${provider} key`);
+        }
+        return { ...providerConfig, apiKey };
     }
 
     static getServerApiKey(provider) {
@@ -151,14 +316,88 @@ class LLMProviderFactory {
                 return process.env.ANTHROPIC_API_KEY;
             case 'gemini':
                 return process.env.GEMINI_API_KEY;
+            case 'custom':
+                return process.env.CUSTOM_LLM_API_KEY;
+            default:
+                return null;
+        }
+    }
+
+    static getServerBaseUrl(provider) {
+        switch (provider) {
+            case 'custom':
+                return process.env.CUSTOM_LLM_BASE_URL;
             default:
                 return null;
         }
     }
 
+    /**
+     * Endpoint and key for an OpenAI-compatible provider. Without a base URL, or with the server's own,
+     * the server's endpoint and key are used. Any other endpoint must be listed in CUSTOM_LLM_ALLOWED_URLS
+     * and gets only the key the client sent.
+     * @param {{baseUrl?: string, apiKey?: string}} providerConfig
+     * @returns {{baseUrl: string, apiKey: ?string, serverEndpoint: boolean}}
+     */
+    static resolveCustomEndpoint(providerConfig) {
+        let serverBaseUrl = null;
+        try {
+            serverBaseUrl = this.getServerBaseUrl('custom') ? this.normalizeBaseUrl(this.getServerBaseUrl('custom')) : null;
+        } catch (error) {
+            // An invalid CUSTOM_LLM_BASE_URL is reported at startup; it counts as no server endpoint
+        }
+        const baseUrl = providerConfig.baseUrl ? this.normalizeBaseUrl(providerConfig.baseUrl) : serverBaseUrl;
+
+        if (!baseUrl) {
+            throw new ProviderConfigError('llmBaseUrl', 'is required; the server has no OpenAI-compatible endpoint');
+        }
+        if (baseUrl === serverBaseUrl) {
+            return {
+                baseUrl,
+                apiKey: providerConfig.apiKey || this.getServerApiKey('custom'),
+                serverEndpoint: true
+            };
+        }
+        if (!this.isAllowedEndpoint(baseUrl)) {
+            throw new ProviderConfigError('llmBaseUrl', `is not allowed on this server (${baseUrl}); add it to CUSTOM_LLM_ALLOWED_URLS`);
+        }
+        return { baseUrl, apiKey: providerConfig.apiKey || null, serverEndpoint: false };
+    }
+
+    // CUSTOM_LLM_ALLOWED_URLS: comma-separated base URLs clients may pick, or "*" for any
+    static isAllowedEndpoint(baseUrl) {
+        const allowed = (process.env.CUSTOM_LLM_ALLOWED_URLS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+        return allowed.some(entry => {
+            if (entry === '*') {
+                return true;
+            }
+            try {
+                return this.normalizeBaseUrl(entry) === baseUrl;
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
     static hasServerApiKey(provider) {
         return !!this.getServerApiKey(provider);
     }
+
+    // Accepts "http://host:port" or a full ".../v1" URL and returns the API root
+    static normalizeBaseUrl(baseUrl) {
+        let url;
+        try {
+            url = new URL(String(baseUrl).trim());
+        } catch (error) {
+            throw new ProviderConfigError('llmBaseUrl', `is not a valid URL: ${baseUrl}`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new ProviderConfigError('llmBaseUrl', 'must use http or https');
+        }
+
+        const pathname = url.pathname.replace(/\/+$/, '');
+        return `${url.origin}${pathname || '/v1'}`;
+    }
 }
 
 // OpenAI Provider Implementation
@@ -166,15 +405,20 @@ class OpenAIProvider {
     constructor(config) {
         this.client = new OpenAI({
             apiKey: config.apiKey,
+            baseURL: config.baseUrl,
+            defaultHeaders: config.defaultHeaders
         });
         this.model = config.model || 'gpt-4-turbo';
+        this.label = 'OpenAI';
     }
 
-    async analyzeText(text, guidance = '') {
+    async analyzeText(text, guidance = '', options = {}) {
         const prompt = `Analyze the following text and create a presentation outline:
 
 Text: ${text}
 Guidance: ${guidance}
+${describeConstraints(options.constraints)}
+${describeTables(detectTables(text))}
 
 Create a JSON response with:
 {
@@ -185,30 +429,33 @@ Create a JSON response with:
         "Theme 2": ["Point 1", "Point 2"]
     },
     "slideCount": 8,
-    "structure": "logical flow description"
-}`;
+    "structure": "logical flow description",
+    "tables": [
+        { "title": "Table title", "headers": ["Column 1", "Column 2"], "rows": [["Value", "Value"]] }
+    ]
+}
 
-        try {
-            const response = await this.client.chat.completions.create({
-                model: this.model,
-                messages: [{ role: 'user', content: prompt }],
-                temperature: 0.3,
-                max_tokens: 2000
-            });
+Copy tabular data (markdown tables, tab-separated or comma-separated blocks, or lists that give the same attributes for several items) into "tables" with the values unchanged. Use an empty array when there is none.`;
 
-            const content = response.choices[0].message.content;
-            return JSON.parse(content);
+        try {
+            return await requestStructured(
+                (request) => this.complete(request, { temperature: 0.3, maxTokens: 2000 }),
+                prompt,
+                ANALYSIS_SCHEMA
+            );
         } catch (error) {
-            console.error('OpenAI API Error:', error);
-            throw new Error('Failed to analyze text with OpenAI');
+            console.error(`${this.label} API Error:`, error);
+            if (error instanceof StructuredOutputError) throw error;
+            throw new Error(`Failed to analyze text with ${this.label}`);
         }
     }
 
-    async generateSlideStructure(analysis, guidance = '') {
+    async generateSlideStructure(analysis, guidance = '', options = {}) {
         const prompt = `Create detailed slides based on this analysis:
 
 Analysis: ${JSON.stringify(analysis)}
 Guidance: ${guidance}
+${describeConstraints(options.constraints)}
 
 Return JSON with this structure:
 {
@@ -218,27 +465,133 @@ Return JSON with this structure:
             "slideNumber": 1,
             "type": "title",
             "title": "Slide Title",
-            "content": ["Main point 1", "Main point 2"],
-            "notes": "Speaker notes"
+            "content": ["Main point 1", ["Supporting detail for point 1"], "Main point 2"],
+            "notes": "Speaker notes. Separate paragraphs with a blank line."
         }
     ]
-}`;
+}
 
-        try {
-            const response = await this.client.chat.completions.create({
-                model: this.model,
-                messages: [{ role: 'user', content: prompt }],
-                temperature: 0.2,
-                max_tokens: 3000
-            });
+Use a nested array right after a point for its sub-bullets. Points may use **bold**, *italic* and \`code\` markdown.
+Notes are what the presenter says for the slide and may run to several paragraphs.
 
-            const content = response.choices[0].message.content;
-            return JSON.parse(content);
+${describeSlideTypes()}`;
+
+        try {
+            return await requestStructured(
+                (request) => this.complete(request, { temperature: 0.2, maxTokens: 3000 }),
+                prompt,
+                SLIDE_STRUCTURE_SCHEMA
+            );
         } catch (error) {
-            console.error('OpenAI Slide Generation Error:', error);
+            console.error(`${this.label} Slide Generation Error:`, error);
+            if (error instanceof StructuredOutputError) throw error;
             throw new Error('Failed to generate slide structure');
         }
     }
+
+    async tightenSlideStructure(structure, guidance = '', options = {}) {
+        const prompt = `Tighten the wording of this existing presentation without changing what it says:
+
+Slides: ${JSON.stringify(structure.slides)}
+Guidance: ${guidance}
+${describeConstraints(options.constraints)}
+
+Return JSON with the same structure:
+{
+    "totalSlides": number,
+    "slides": [ one entry per input slide, in the same order ]
+}
+
+Keep every slide's type, table, chart and attribution exactly as given. Shorten titles and bullets to crisp phrases,
+drop filler words and repeated points, and keep sub-bullets in the nested array right after their parent point.
+Names, figures and dates stay unchanged. Notes may be trimmed but keep the speaker's key points.`;
+
+        try {
+            return await requestStructured(
+                (request) => this.complete(request, { temperature: 0.2, maxTokens: 3000 }),
+                prompt,
+                SLIDE_STRUCTURE_SCHEMA
+            );
+        } catch (error) {
+            console.error(`${this.label} Tightening Error:`, error);
+            if (error instanceof StructuredOutputError) throw error;
+            throw new Error('Failed to tighten slide text');
+        }
+    }
+
+    async complete(prompt, { temperature, maxTokens }) {
+        const response = await this.client.chat.completions.create({
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            max_tokens: maxTokens,
+            // Native JSON mode guarantees a parseable object where the model supports it
+            ...(this.supportsJsonMode() ? { response_format: { type: 'json_object' } } : {})
+        });
+
+        return response.choices[0].message.content;
+    }
+
+    supportsJsonMode() {
+        // The original gpt-4 snapshots predate response_format
+        return !/^gpt-4(-0314|-0613)?$/.test(this.model);
+    }
+}
+
+// OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, ...) Implementation
+class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(config) {
+        // The SDK insists on a key; without one, send no Authorization header at all
+        super({
+            ...config,
+            apiKey: config.apiKey || 'not-required',
+            defaultHeaders: config.apiKey ? undefined : { Authorization: null }
+        });
+        this.model = config.model;
+        this.baseUrl = config.baseUrl;
+        this.serverEndpoint = !!config.serverEndpoint;
+        // The server's endpoint isn't named in messages that reach the client
+        this.label = this.serverEndpoint ? 'the server\'s OpenAI-compatible endpoint' : `OpenAI-compatible endpoint (${config.baseUrl})`;
+    }
+
+    async listModels() {
+        try {
+            const models = [];
+            for await (const model of this.client.models.list({ timeout: 10 * 1000, maxRetries: 0 })) {
+                models.push(model.id);
+            }
+            return models.sort((a, b) => a.localeCompare(b));
+        } catch (error) {
+            console.error('Model Discovery Error:', error);
+            throw new Error(`Failed to list models from ${this.serverEndpoint ? this.label : this.baseUrl}: ${error.message}`);
+        }
+    }
+
+    async analyzeText(text, guidance = '', options = {}) {
+        this.assertModel();
+        return super.analyzeText(text, guidance, options);
+    }
+
+    async generateSlideStructure(analysis, guidance = '', options = {}) {
+        this.assertModel();
+        return super.generateSlideStructure(analysis, guidance, options);
+    }
+
+    async tightenSlideStructure(structure, guidance = '', options = {}) {
+        this.assertModel();
+        return super.tightenSlideStructure(structure, guidance, options);
+    }
+
+    supportsJsonMode() {
+        // Not every compatible server implements response_format; rely on parsing and repair instead
+        return false;
+    }
+
+    assertModel() {
+        if (!this.model) {
+            throw new Error('No model selected for the OpenAI-compatible endpoint. Pick a discovered model or set CUSTOM_LLM_MODEL.');
+        }
+    }
 }
 
 // Anthropic Provider Implementation
@@ -250,49 +603,76 @@ class AnthropicProvider {
         this.model = config.model || 'claude-3-5-sonnet-20241022';
     }
 
-    async analyzeText(text, guidance = '') {
+    async analyzeText(text, guidance = '', options = {}) {
         const prompt = `Analyze this text for presentation creation:
 
 <text>${text}</text>
 <guidance>${guidance}</guidance>
+${describeConstraints(options.constraints)}
+${describeTables(detectTables(text))}
 
-Return structured JSON analysis for slide generation with title, themes, keyPoints, slideCount, and structure.`;
+Return structured JSON analysis for slide generation with title, themes, keyPoints, slideCount, structure, and tables. "tables" holds any tabular data in the text (markdown tables, tab- or comma-separated blocks) as {title, headers, rows} with values copied exactly, or an empty array.`;
 
         try {
-            const response = await this.client.messages.create({
-                model: this.model,
-                max_tokens: 2000,
-                messages: [{ role: 'user', content: prompt }],
-            });
-
-            return JSON.parse(response.content[0].text);
+            return await requestStructured((request) => this.complete(request, 2000), prompt, ANALYSIS_SCHEMA);
         } catch (error) {
             console.error('Anthropic API Error:', error);
+            if (error instanceof StructuredOutputError) throw error;
             throw new Error('Failed to analyze text with Anthropic');
         }
     }
 
-    async generateSlideStructure(analysis, guidance = '') {
+    async generateSlideStructure(analysis, guidance = '', options = {}) {
         const prompt = `Create slides from analysis:
 
 <analysis>${JSON.stringify(analysis)}</analysis>
 <guidance>${guidance}</guidance>
+${describeConstraints(options.constraints)}
 
-Return detailed slide structure as JSON with totalSlides and slides array.`;
+Return detailed slide structure as JSON with totalSlides and slides array. Each slide's content is an array of bullet strings; put sub-bullets in a nested array right after their parent point. Give every slide "notes" with the speaker's script; it may run to several paragraphs separated by blank lines.
 
-        try {
-            const response = await this.client.messages.create({
-                model: this.model,
-                max_tokens: 3000,
-                messages: [{ role: 'user', content: prompt }],
-            });
+${describeSlideTypes()}`;
 
-            return JSON.parse(response.content[0].text);
+        try {
+            return await requestStructured((request) => this.complete(request, 3000), prompt, SLIDE_STRUCTURE_SCHEMA);
         } catch (error) {
             console.error('Anthropic Slide Generation Error:', error);
+            if (error instanceof StructuredOutputError) throw error;
             throw new Error('Failed to generate slides with Anthropic');
         }
     }
+
+    async tightenSlideStructure(structure, guidance = '', options = {}) {
+        const prompt = `Tighten the wording of these existing slides:
+
+<slides>${JSON.stringify(structure.slides)}</slides>
+<guidance>${guidance}</guidance>
+${describeConstraints(options.constraints)}
+
+Return JSON with totalSlides and a slides array holding one entry per input slide, in the same order. Keep each slide's type, table, chart and attribution exactly as given. Shorten titles and bullets to crisp phrases and drop filler and repetition, leaving names, figures and dates unchanged; sub-bullets stay in a nested array right after their parent point. Notes may be trimmed but keep the speaker's key points.`;
+
+        try {
+            return await requestStructured((request) => this.complete(request, 3000), prompt, SLIDE_STRUCTURE_SCHEMA);
+        } catch (error) {
+            console.error('Anthropic Tightening Error:', error);
+            if (error instanceof StructuredOutputError) throw error;
+            throw new Error('Failed to tighten slides with Anthropic');
+        }
+    }
+
+    async complete(prompt, maxTokens) {
+        // Prefilling the reply with "{" keeps Claude from adding a preamble or code fence
+        const response = await this.client.messages.create({
+            model: this.model,
+            max_tokens: maxTokens,
+            messages: [
+                { role: 'user', content: prompt },
+                { role: 'assistant', content: '{' }
+            ],
+        });
+
+        return `{${response.content[0].text}`;
+    }
 }
 
 // Gemini Provider Implementation
@@ -304,33 +684,88 @@ class GeminiProvider {
         });
     }
 
-    async analyzeText(text, guidance = '') {
-        const prompt = `Analyze for presentation: ${text}\nGuidance: ${guidance}\n\nReturn JSON analysis with title, themes, keyPoints, slideCount, structure.`;
+    async analyzeText(text, guidance = '', options = {}) {
+        const prompt = `Analyze for presentation: ${text}\nGuidance: ${guidance}\n${describeConstraints(options.constraints)}\n${describeTables(detectTables(text))}\n\nReturn JSON analysis with title, themes, keyPoints, slideCount, structure, tables (tabular data from markdown tables or tab/comma-separated blocks as {title, headers, rows} with exact values, or an empty array).`;
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            return JSON.parse(response.text());
+            return await requestStructured((request) => this.complete(request), prompt, ANALYSIS_SCHEMA);
         } catch (error) {
             console.error('Gemini API Error:', error);
+            if (error instanceof StructuredOutputError) throw error;
             throw new Error('Failed to analyze text with Gemini');
         }
     }
 
-    async generateSlideStructure(analysis, guidance = '') {
-        const prompt = `Create slides from: ${JSON.stringify(analysis)}\nGuidance: ${guidance}\n\nReturn slide JSON with totalSlides and slides array.`;
+    async generateSlideStructure(analysis, guidance = '', options = {}) {
+        const prompt = `Create slides from: ${JSON.stringify(analysis)}\nGuidance: ${guidance}\n${describeConstraints(options.constraints)}\n\nReturn slide JSON with totalSlides and slides array. Put sub-bullets in a nested array right after their parent point. Give every slide "notes" for the speaker, with paragraphs separated by blank lines.\n\n${describeSlideTypes()}`;
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            return JSON.parse(response.text());
+            return await requestStructured((request) => this.complete(request), prompt, SLIDE_STRUCTURE_SCHEMA);
         } catch (error) {
             console.error('Gemini Slide Generation Error:', error);
+            if (error instanceof StructuredOutputError) throw error;
             throw new Error('Failed to generate slides with Gemini');
         }
     }
+
+    async tightenSlideStructure(structure, guidance = '', options = {}) {
+        const prompt = `Tighten the wording of these slides: ${JSON.stringify(structure.slides)}\nGuidance: ${guidance}\n${describeConstraints(options.constraints)}\n\nReturn slide JSON with totalSlides and one slide per input slide in the same order. Keep each slide's type, table, chart, attribution, names, figures and dates unchanged; shorten titles and bullets to crisp phrases, keep sub-bullets in a nested array after their parent point, and trim notes to the speaker's key points.`;
+
+        try {
+            return await requestStructured((request) => this.complete(request), prompt, SLIDE_STRUCTURE_SCHEMA);
+        } catch (error) {
+            console.error('Gemini Tightening Error:', error);
+            if (error instanceof StructuredOutputError) throw error;
+            throw new Error('Failed to tighten slides with Gemini');
+        }
+    }
+
+    async complete(prompt) {
+        const result = await this.model.generateContent(prompt);
+        const response = await result.response;
+        return response.text();
+    }
 }
 
+// Layout categories for the built-in OOXML layout types (ST_SlideLayoutType)
+const LAYOUT_CATEGORIES = {
+    title: 'title',
+    secHead: 'section',
+    obj: 'content',
+    tx: 'content',
+    objOnly: 'content',
+    txAndObj: 'two-column',
+    objAndTx: 'two-column',
+    twoObj: 'two-column',
+    twoColTx: 'two-column',
+    txAndTwoObj: 'two-column',
+    twoObjAndTx: 'two-column',
+    twoTxTwoObj: 'comparison',
+    fourObj: 'comparison',
+    picTx: 'picture',
+    objTx: 'picture',
+    titleOnly: 'title-only',
+    blank: 'blank'
+};
+
+// Preferred layout categories for each generated slide type, best match first
+const SLIDE_TYPE_LAYOUT_PREFERENCES = {
+    title: ['title', 'section', 'title-only', 'content'],
+    section: ['section', 'title', 'title-only', 'content'],
+    content: ['content', 'two-column', 'picture', 'comparison'],
+    'two-column': ['two-column', 'comparison', 'content'],
+    comparison: ['comparison', 'two-column', 'content'],
+    picture: ['picture', 'content', 'two-column'],
+    table: ['content', 'title-only', 'two-column'],
+    chart: ['content', 'title-only', 'two-column'],
+    quote: ['title-only', 'blank', 'content'],
+    closing: ['title', 'section', 'title-only', 'content'],
+    blank: ['blank', 'title-only', 'content']
+};
+
+// Slide types that always stay on one slide, however much text they carry
+const UNSPLIT_SLIDE_TYPES = new Set(['title', 'section', 'closing', 'quote', 'two-column', 'comparison']);
+
 // PowerPoint Template Analyzer
 class TemplateAnalyzer {
     async analyzeTemplate(templateBuffer) {
@@ -338,9 +773,15 @@ class TemplateAnalyzer {
             const zip = new JSZip();
             const zipContent = await zip.loadAsync(templateBuffer);
 
+            const themes = await this.extractThemes(zipContent);
+            const slideLayouts = await this.extractLayouts(zipContent);
+
             const analysis = {
-                slideLayouts: await this.extractLayouts(zipContent),
-                theme: await this.extractTheme(zipContent),
+                slideLayouts,
+                layoutMapping: this.buildLayoutMapping(slideLayouts),
+                slideSize: await this.extractSlideSize(zipContent),
+                theme: this.selectPrimaryTheme(themes),
+                themes,
                 images: await this.extractImages(zipContent),
                 metadata: { analyzed: true, timestamp: new Date().toISOString() }
             };
@@ -350,7 +791,10 @@ class TemplateAnalyzer {
             console.error('Template analysis error:', error);
             return {
                 slideLayouts: [],
+                layoutMapping: {},
+                slideSize: { cx: 9144000, cy: 6858000 },
                 theme: this.getDefaultTheme(),
+                themes: [],
                 images: [],
                 metadata: { analyzed: false, error: error.message }
             };
@@ -360,16 +804,45 @@ class TemplateAnalyzer {
     async extractLayouts(zip) {
         const layouts = [];
         try {
-            const layoutFiles = Object.keys(zip.files).filter(name => 
-                name.startsWith('ppt/slideLayouts/') && name.endsWith('.xml')
-            );
-            
-            for (const layoutFile of layoutFiles.slice(0, 5)) {
-                const layoutXml = await zip.file(layoutFile).async('string');
-                layouts.push({
-                    name: layoutFile.split('/').pop().replace('.xml', ''),
-                    type: this.determineLayoutType(layoutXml)
-                });
+            const layoutFiles = Object.keys(zip.files)
+                .filter(name => /^ppt\/slideLayouts\/slideLayout\d+\.xml$/.test(name))
+                .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+            const masterPlaceholders = {};
+
+            for (const layoutFile of layoutFiles) {
+                try {
+                    const layoutXml = await zip.file(layoutFile).async('string');
+                    const parsed = await xml2js.parseStringPromise(layoutXml);
+                    const root = parsed['p:sldLayout'];
+                    const cSld = root['p:cSld'][0];
+
+                    // Placeholders without their own geometry inherit it from the master
+                    const master = await this.findLayoutMaster(zip, layoutFile);
+                    if (master && !masterPlaceholders[master]) {
+                        masterPlaceholders[master] = await this.extractPlaceholders(
+                            await xml2js.parseStringPromise(await zip.file(master).async('string')),
+                            'p:sldMaster'
+                        );
+                    }
+
+                    const placeholders = (await this.extractPlaceholders(parsed, 'p:sldLayout')).map(ph => ({
+                        ...ph,
+                        position: ph.position || this.inheritPosition(ph, masterPlaceholders[master] || [])
+                    }));
+                    const type = (root.$ && root.$.type) || 'cust';
+
+                    layouts.push({
+                        name: (cSld.$ && cSld.$.name) || path.posix.basename(layoutFile, '.xml'),
+                        file: path.posix.basename(layoutFile, '.xml'),
+                        path: layoutFile,
+                        type,
+                        category: this.determineLayoutType(type, placeholders),
+                        master,
+                        placeholders
+                    });
+                } catch (error) {
+                    console.error(`Layout extraction error (${layoutFile}):`, error);
+                }
             }
         } catch (error) {
             console.error('Layout extraction error:', error);
@@ -378,376 +851,2613 @@ class TemplateAnalyzer {
         return layouts.length > 0 ? layouts : this.getDefaultLayouts();
     }
 
-    determineLayoutType(xml) {
-        if (xml.includes('ctrTitle')) return 'title';
-        if (xml.includes('body')) return 'content';
-        if (xml.includes('twoColTx')) return 'two-column';
-        return 'basic';
+    async findLayoutMaster(zip, layoutFile) {
+        const relsFile = zip.file(ooxml.relsPathFor(layoutFile));
+        if (!relsFile) {
+            return null;
+        }
+        const relationships = ooxml.parseRelationships(await relsFile.async('string'));
+        const masterRel = relationships.find(rel => rel.type === ooxml.REL_TYPES.slideMaster);
+        return masterRel ? ooxml.resolveTarget(layoutFile, masterRel.target) : null;
     }
 
-    async extractTheme(zip) {
-        try {
-            const themeFile = zip.file('ppt/theme/theme1.xml');
-            if (themeFile) {
-                const themeXml = await themeFile.async('string');
-                return this.parseTheme(themeXml);
+    async extractPlaceholders(parsed, rootName) {
+        const placeholders = [];
+        const spTree = parsed[rootName]['p:cSld'][0]['p:spTree'][0];
+
+        const nonVisualProperties = { 'p:sp': 'p:nvSpPr', 'p:pic': 'p:nvPicPr', 'p:graphicFrame': 'p:nvGraphicFramePr' };
+
+        for (const [kind, nonVisualName] of Object.entries(nonVisualProperties)) {
+            for (const shape of spTree[kind] || []) {
+                const nonVisual = shape[nonVisualName];
+                const nvPr = nonVisual && nonVisual[0]['p:nvPr'] && nonVisual[0]['p:nvPr'][0];
+                const ph = nvPr && nvPr['p:ph'] && nvPr['p:ph'][0];
+                if (!ph) {
+                    continue;
+                }
+
+                const attributes = ph.$ || {};
+                const cNvPr = nonVisual[0]['p:cNvPr'] && nonVisual[0]['p:cNvPr'][0];
+                placeholders.push({
+                    type: attributes.type || 'obj',
+                    idx: attributes.idx,
+                    name: cNvPr && cNvPr.$ ? cNvPr.$.name : '',
+                    position: this.extractPosition(shape[kind === 'p:graphicFrame' ? 'p:xfrm' : 'p:spPr'])
+                });
             }
-        } catch (error) {
-            console.error('Theme extraction error:', error);
         }
-        
-        return this.getDefaultTheme();
+
+        return placeholders;
     }
 
-    parseTheme(themeXml) {
+    extractPosition(container) {
+        const node = container && container[0];
+        const xfrm = node && (node['a:xfrm'] ? node['a:xfrm'][0] : (node['a:off'] ? node : null));
+        if (!xfrm || !xfrm['a:off'] || !xfrm['a:ext']) {
+            return null;
+        }
+
+        const off = xfrm['a:off'][0].$;
+        const ext = xfrm['a:ext'][0].$;
         return {
-            colorScheme: {
-                primary: '#1f497d',
-                secondary: '#4f81bd',
-                accent: '#9cbb58',
-                background: '#ffffff'
-            },
-            fontScheme: {
-                majorFont: 'Calibri',
-                minorFont: 'Calibri'
-            }
+            x: parseInt(off.x, 10),
+            y: parseInt(off.y, 10),
+            cx: parseInt(ext.cx, 10),
+            cy: parseInt(ext.cy, 10)
         };
     }
 
-    async extractImages(zip) {
-        const images = [];
-        try {
-            const mediaFiles = Object.keys(zip.files).filter(name => 
-                name.startsWith('ppt/media/') && /\.(png|jpg|jpeg|gif)$/i.test(name)
-            );
-            
-            images.push(...mediaFiles.map(file => ({
-                name: file.split('/').pop(),
-                path: file,
-                type: path.extname(file).toLowerCase()
-            })));
-        } catch (error) {
-            console.error('Image extraction error:', error);
+    inheritPosition(placeholder, masterPlaceholders) {
+        // Masters only carry the generic title/body/footer slots, so match by role
+        const role = ['ctrTitle', 'title'].includes(placeholder.type) ? 'title'
+            : ['dt', 'ftr', 'sldNum'].includes(placeholder.type) ? placeholder.type
+            : 'body';
+        const match = masterPlaceholders.find(ph => ph.type === role);
+        return match ? match.position : null;
+    }
+
+    determineLayoutType(layoutType, placeholders) {
+        if (LAYOUT_CATEGORIES[layoutType]) {
+            return LAYOUT_CATEGORIES[layoutType];
         }
-        
-        return images;
+
+        // Custom layouts are classified by the placeholders they offer
+        const types = placeholders.map(ph => ph.type);
+        const contentSlots = types.filter(type => ['body', 'obj', 'tbl', 'chart', 'dgm'].includes(type)).length;
+        if (types.includes('ctrTitle')) return 'title';
+        if (types.includes('pic')) return 'picture';
+        if (contentSlots >= 4) return 'comparison';
+        if (contentSlots >= 2) return 'two-column';
+        if (contentSlots === 1) return 'content';
+        if (types.includes('title')) return 'title-only';
+        return 'blank';
     }
 
-    getDefaultTheme() {
-        return {
-            colorScheme: {
-                primary: '#1f497d',
-                secondary: '#4f81bd', 
-                accent: '#9cbb58',
-                background: '#ffffff'
-            },
-            fontScheme: {
-                majorFont: 'Calibri',
-                minorFont: 'Calibri'
+    resolveLayout(slideType, layouts) {
+        const candidates = (layouts || []).filter(layout => layout.path);
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const normalizedType = SLIDE_TYPE_ALIASES[slideType] || slideType;
+        const preferences = SLIDE_TYPE_LAYOUT_PREFERENCES[normalizedType] || SLIDE_TYPE_LAYOUT_PREFERENCES.content;
+
+        for (const category of preferences) {
+            const layout = candidates.find(candidate => candidate.category === category);
+            if (layout) {
+                return layout;
             }
+        }
+
+        return candidates.find(layout => layout.placeholders.some(ph => ph.type === 'title')) || candidates[0];
+    }
+
+    buildLayoutMapping(layouts) {
+        const mapping = {};
+        for (const slideType of Object.keys(SLIDE_TYPE_LAYOUT_PREFERENCES)) {
+            const layout = this.resolveLayout(slideType, layouts);
+            mapping[slideType] = layout
+                ? { name: layout.name, path: layout.path, category: layout.category }
+                : null;
+        }
+        return mapping;
+    }
+
+    async extractSlideSize(zip) {
+        const presentationFile = zip.file('ppt/presentation.xml');
+        const presentationXml = presentationFile ? await presentationFile.async('string') : '';
+        const sizeMatch = presentationXml.match(/<p:sldSz\b[^>]*>/);
+        const size = sizeMatch ? ooxml.parseAttributes(sizeMatch[0]) : {};
+        return {
+            cx: parseInt(size.cx, 10) || 9144000,
+            cy: parseInt(size.cy, 10) || 6858000
         };
     }
 
-    getDefaultLayouts() {
-        return [
-            { name: 'title', type: 'title' },
-            { name: 'content', type: 'content' },
-            { name: 'two-column', type: 'two-column' }
-        ];
+    selectPrimaryTheme(themes) {
+        // The theme of the first slide master is the one generated slides inherit
+        const slideTheme = themes.find(theme => theme.masters.some(master => master.type === 'slideMaster'));
+        return slideTheme || themes[0] || this.getDefaultTheme();
     }
-}
 
-// Simple PowerPoint Builder
-class PresentationBuilder {
-    async buildPresentation(slideStructure, templateBuffer, templateAnalysis) {
+    async extractThemes(zip) {
+        const themes = [];
         try {
-            const zip = new JSZip();
-            
-            // Add basic PPTX structure
-            await this.addBasicStructure(zip, slideStructure);
-            await this.addSlides(zip, slideStructure, templateAnalysis);
-            
-            const pptxBuffer = await zip.generateAsync({
-                type: 'nodebuffer',
-                mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-            });
-            
-            return pptxBuffer;
-            
+            const masters = await this.mapThemesToMasters(zip);
+            const themeFiles = Object.keys(zip.files)
+                .filter(name => /^ppt\/theme\/theme\d+\.xml$/.test(name))
+                .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+
+            for (const themeFile of themeFiles) {
+                try {
+                    const themeXml = await zip.file(themeFile).async('string');
+                    const theme = await this.parseTheme(themeXml);
+                    themes.push({
+                        path: themeFile,
+                        masters: masters[themeFile] || [],
+                        ...theme
+                    });
+                } catch (error) {
+                    console.error(`Theme extraction error (${themeFile}):`, error);
+                }
+            }
         } catch (error) {
-            console.error('Presentation building error:', error);
-            throw new Error('Failed to build presentation: ' + error.message);
+            console.error('Theme extraction error:', error);
         }
+
+        return themes;
     }
 
-    async addBasicStructure(zip, slideStructure) {
-        // Content Types
-        zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
-<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
-<Default Extension="xml" ContentType="application/xml"/>
-<Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/>
-${slideStructure.slides.map((_, i) => 
-    `<Override PartName="/ppt/slides/slide${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slide+xml"/>`
-).join('\n')}
-</Types>`);
-
-        // Root relationships
-        zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
-<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="ppt/presentation.xml"/>
-</Relationships>`);
-
-        // Presentation
-        zip.file('ppt/presentation.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
-<p:sldIdLst>
-${slideStructure.slides.map((_, i) => 
-    `<p:sldId id="${256 + i}" r:id="rId${i + 1}"/>`
-).join('\n')}
-</p:sldIdLst>
-<p:sldSz cx="9144000" cy="6858000" type="screen4x3"/>
-</p:presentation>`);
-
-        // Presentation relationships
-        zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
-${slideStructure.slides.map((_, i) => 
-    `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide${i + 1}.xml"/>`
-).join('\n')}
-</Relationships>`);
-    }
-
-    async addSlides(zip, slideStructure, templateAnalysis) {
-        for (let i = 0; i < slideStructure.slides.length; i++) {
-            const slide = slideStructure.slides[i];
-            const slideXml = this.generateSlideXml(slide, i + 1);
-            zip.file(`ppt/slides/slide${i + 1}.xml`, slideXml);
-        }
-    }
-
-    generateSlideXml(slide, slideNumber) {
-        const title = slide.title || `Slide ${slideNumber}`;
-        const content = Array.isArray(slide.content) 
-            ? slide.content.join('\n• ') 
-            : (slide.content || '');
+    async mapThemesToMasters(zip) {
+        // Each slide, notes and handout master points at its theme through its .rels part
+        const masters = {};
+        const masterFiles = Object.keys(zip.files).filter(name =>
+            /^ppt\/(slideMasters|notesMasters|handoutMasters)\/[^/]+\.xml$/.test(name)
+        );
 
-        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
-<p:cSld>
-<p:spTree>
-<p:nvGrpSpPr>
-<p:cNvPr id="1" name=""/>
-<p:cNvGrpSpPr/>
-<p:nvPr/>
-</p:nvGrpSpPr>
-<p:grpSpPr>
-<a:xfrm>
-<a:off x="0" y="0"/>
-<a:ext cx="0" cy="0"/>
-<a:chOff x="0" y="0"/>
-<a:chExt cx="0" cy="0"/>
-</a:xfrm>
-</p:grpSpPr>
+        for (const masterFile of masterFiles) {
+            const relsFile = zip.file(ooxml.relsPathFor(masterFile));
+            if (!relsFile) {
+                continue;
+            }
+            const relationships = ooxml.parseRelationships(await relsFile.async('string'));
+            const themeRel = relationships.find(rel => rel.type === ooxml.REL_TYPES.theme);
+            if (themeRel) {
+                const themePath = ooxml.resolveTarget(masterFile, themeRel.target);
+                const type = masterFile.split('/')[1].replace(/s$/, '');
+                (masters[themePath] = masters[themePath] || []).push({ path: masterFile, type });
+            }
+        }
+
+        return masters;
+    }
+
+    async parseTheme(themeXml) {
+        const parsed = await xml2js.parseStringPromise(themeXml, {
+            explicitChildren: true,
+            preserveChildrenOrder: true
+        });
+        const theme = parsed['a:theme'];
+        const elements = this.findChild(theme, 'a:themeElements');
+        const defaults = this.getDefaultTheme();
+
+        const clrScheme = this.findChild(elements, 'a:clrScheme');
+        const fontScheme = this.findChild(elements, 'a:fontScheme');
+        const fmtScheme = this.findChild(elements, 'a:fmtScheme');
+
+        return {
+            name: this.attr(theme, 'name') || '',
+            colorScheme: clrScheme ? this.parseColorScheme(clrScheme) : defaults.colorScheme,
+            fontScheme: fontScheme ? this.parseFontScheme(fontScheme) : defaults.fontScheme,
+            formatScheme: fmtScheme ? this.parseFormatScheme(fmtScheme) : defaults.formatScheme
+        };
+    }
+
+    parseColorScheme(clrScheme) {
+        const colors = { name: this.attr(clrScheme, 'name') || '' };
+        const slots = ['dk1', 'lt1', 'dk2', 'lt2', 'accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6', 'hlink', 'folHlink'];
+
+        for (const slot of slots) {
+            const slotNode = this.findChild(clrScheme, `a:${slot}`);
+            colors[slot] = slotNode ? this.parseColor(this.children(slotNode)[0]) : null;
+        }
+
+        // Summary roles kept for callers that only need a small palette
+        colors.primary = colors.dk2 || colors.dk1;
+        colors.secondary = colors.accent1;
+        colors.accent = colors.accent2;
+        colors.background = colors.lt1;
+        return colors;
+    }
+
+    parseColor(colorNode) {
+        if (!colorNode) {
+            return null;
+        }
+
+        switch (colorNode['#name']) {
+            case 'a:srgbClr':
+                return `#${this.attr(colorNode, 'val')}`.toLowerCase();
+            case 'a:sysClr':
+                return this.attr(colorNode, 'lastClr')
+                    ? `#${this.attr(colorNode, 'lastClr')}`.toLowerCase()
+                    : (this.attr(colorNode, 'val') === 'window' ? '#ffffff' : '#000000');
+            case 'a:scrgbClr': {
+                // Percentages are stored in thousandths of a percent
+                const channel = (name) => Math.round(parseInt(this.attr(colorNode, name), 10) / 100000 * 255)
+                    .toString(16).padStart(2, '0');
+                return `#${channel('r')}${channel('g')}${channel('b')}`;
+            }
+            case 'a:prstClr':
+                return this.attr(colorNode, 'val');
+            case 'a:schemeClr':
+                return `scheme:${this.attr(colorNode, 'val')}`;
+            default:
+                return null;
+        }
+    }
+
+    parseFontScheme(fontScheme) {
+        const parseFontCollection = (collection) => {
+            const fonts = { latin: '', ea: '', cs: '', scripts: {} };
+            for (const child of this.children(collection)) {
+                const typeface = this.attr(child, 'typeface') || '';
+                if (child['#name'] === 'a:latin') fonts.latin = typeface;
+                if (child['#name'] === 'a:ea') fonts.ea = typeface;
+                if (child['#name'] === 'a:cs') fonts.cs = typeface;
+                if (child['#name'] === 'a:font') fonts.scripts[this.attr(child, 'script')] = typeface;
+            }
+            return fonts;
+        };
+
+        const defaults = this.getDefaultTheme().fontScheme;
+        const majorFont = this.findChild(fontScheme, 'a:majorFont');
+        const minorFont = this.findChild(fontScheme, 'a:minorFont');
+
+        return {
+            name: this.attr(fontScheme, 'name') || '',
+            majorFont: majorFont ? parseFontCollection(majorFont) : defaults.majorFont,
+            minorFont: minorFont ? parseFontCollection(minorFont) : defaults.minorFont
+        };
+    }
+
+    parseFormatScheme(fmtScheme) {
+        const describeFill = (fill) => {
+            const kind = fill['#name'].replace('a:', '');
+            const colors = [];
+            const collectColors = (node) => {
+                for (const child of this.children(node)) {
+                    const color = this.parseColor(child);
+                    if (color) {
+                        colors.push(color);
+                    } else {
+                        collectColors(child);
+                    }
+                }
+            };
+            collectColors(fill);
+            return { type: kind, colors };
+        };
+
+        const list = (name) => {
+            const node = this.findChild(fmtScheme, name);
+            return node ? this.children(node) : [];
+        };
+
+        return {
+            name: this.attr(fmtScheme, 'name') || '',
+            fillStyles: list('a:fillStyleLst').map(describeFill),
+            lineStyles: list('a:lnStyleLst').map(line => {
+                const fill = this.children(line).find(child => /Fill$/.test(child['#name']));
+                return {
+                    width: parseInt(this.attr(line, 'w'), 10) || 0,
+                    fill: fill ? describeFill(fill) : null
+                };
+            }),
+            effectStyles: list('a:effectStyleLst').length,
+            backgroundFillStyles: list('a:bgFillStyleLst').map(describeFill)
+        };
+    }
+
+    children(node) {
+        return (node && node.$$) || [];
+    }
+
+    findChild(node, name) {
+        return this.children(node).find(child => child['#name'] === name);
+    }
+
+    attr(node, name) {
+        return node && node.$ ? node.$[name] : undefined;
+    }
+
+    async extractImages(zip) {
+        const images = [];
+        try {
+            const mediaFiles = Object.keys(zip.files).filter(name => 
+                name.startsWith('ppt/media/') && /\.(png|jpg|jpeg|gif)$/i.test(name)
+            );
+            
+            images.push(...mediaFiles.map(file => ({
+                name: file.split('/').pop(),
+                path: file,
+                type: path.extname(file).toLowerCase()
+            })));
+        } catch (error) {
+            console.error('Image extraction error:', error);
+        }
+        
+        return images;
+    }
+
+    getDefaultTheme() {
+        return {
+            name: 'Office Theme',
+            masters: [],
+            colorScheme: {
+                name: 'Office',
+                dk1: '#000000',
+                lt1: '#ffffff',
+                dk2: '#1f497d',
+                lt2: '#eeece1',
+                accent1: '#4f81bd',
+                accent2: '#c0504d',
+                accent3: '#9bbb59',
+                accent4: '#8064a2',
+                accent5: '#4bacc6',
+                accent6: '#f79646',
+                hlink: '#0000ff',
+                folHlink: '#800080',
+                primary: '#1f497d',
+                secondary: '#4f81bd', 
+                accent: '#c0504d',
+                background: '#ffffff'
+            },
+            fontScheme: {
+                name: 'Office',
+                majorFont: { latin: 'Calibri', ea: '', cs: '', scripts: {} },
+                minorFont: { latin: 'Calibri', ea: '', cs: '', scripts: {} }
+            },
+            formatScheme: {
+                name: 'Office',
+                fillStyles: [],
+                lineStyles: [],
+                effectStyles: 0,
+                backgroundFillStyles: []
+            }
+        };
+    }
+
+    getDefaultLayouts() {
+        return [
+            { name: 'Title Slide', type: 'title', category: 'title', placeholders: [] },
+            { name: 'Title and Content', type: 'obj', category: 'content', placeholders: [] },
+            { name: 'Two Content', type: 'twoObj', category: 'two-column', placeholders: [] }
+        ];
+    }
+}
+
+// Template-based PowerPoint Builder
+// Built-in "Medium Style 2 - Accent 1"; PowerPoint resolves it against the theme colors
+const DEFAULT_TABLE_STYLE_ID = '{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}';
+
+class PresentationBuilder {
+    constructor() {
+        this.analyzer = new TemplateAnalyzer();
+    }
+
+    async buildPresentation(slideStructure, templateBuffer, templateAnalysis, options = {}) {
+        try {
+            if (!templateBuffer) {
+                throw new Error('A template file is required');
+            }
+
+            // Open the uploaded template so its masters, layouts, theme and media are kept
+            const zip = await JSZip.loadAsync(templateBuffer);
+            const pkg = await this.openPackage(zip, templateAnalysis);
+
+            if (!options.keepTemplateSlides) {
+                await this.removeTemplateSlides(zip, pkg);
+            }
+
+            const fitChanges = await this.addSlides(zip, pkg, slideStructure, options.textFit);
+            await this.ensureDocumentProperties(zip, pkg, slideStructure);
+            await this.savePackage(zip, pkg);
+
+            const pptxBuffer = await zip.generateAsync({
+                type: 'nodebuffer',
+                compression: 'DEFLATE',
+                mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+            });
+
+            // Refuse to hand out a package PowerPoint would want to repair
+            const report = await new PptxValidator().assertValid(pptxBuffer);
+            if (report.warnings.length > 0) {
+                console.warn('Presentation package warnings:', report.warnings);
+            }
+            
+            return { buffer: pptxBuffer, fitChanges };
+            
+        } catch (error) {
+            console.error('Presentation building error:', error);
+            if (error instanceof PackageValidationError) {
+                throw error;
+            }
+            throw new Error('Failed to build presentation: ' + error.message);
+        }
+    }
+
+    async openPackage(zip, templateAnalysis) {
+        const readPart = async (name) => {
+            const file = zip.file(name);
+            return file ? file.async('string') : null;
+        };
+
+        const contentTypesXml = await readPart('[Content_Types].xml');
+        const presentationXml = await readPart('ppt/presentation.xml');
+        if (!contentTypesXml || !presentationXml) {
+            throw new Error('Template is not a valid PowerPoint package');
+        }
+
+        const contentTypes = ooxml.parseContentTypes(contentTypesXml);
+        // A .potx template is saved as a regular presentation
+        if (contentTypes.overrides['/ppt/presentation.xml'] === ooxml.CONTENT_TYPES.template) {
+            contentTypes.overrides['/ppt/presentation.xml'] = ooxml.CONTENT_TYPES.presentation;
+        }
+
+        const sizeMatch = presentationXml.match(/<p:sldSz\b[^>]*>/);
+        const slideSize = sizeMatch ? ooxml.parseAttributes(sizeMatch[0]) : {};
+
+        // Tables use the template's default table style when it names one
+        const tableStylesXml = await readPart('ppt/tableStyles.xml');
+        const tableStylesMatch = tableStylesXml && tableStylesXml.match(/<a:tblStyleLst\b[^>]*>/);
+        const defaultTableStyle = tableStylesMatch ? ooxml.parseAttributes(tableStylesMatch[0]).def : null;
+
+        // Reuse the analyzer's layout catalog, or build it if the analysis could not provide one
+        const analyzedLayouts = ((templateAnalysis && templateAnalysis.slideLayouts) || []).filter(layout => layout.path);
+        const layouts = analyzedLayouts.length > 0 ? analyzedLayouts : await this.analyzer.extractLayouts(zip);
+
+        // Body text size each master sets, the starting point for fitting text
+        const bodyFontSizes = {};
+        for (const master of new Set(layouts.map(layout => layout.master).filter(Boolean))) {
+            const masterXml = await readPart(master);
+            const sizeMatch = masterXml && masterXml.match(/<p:bodyStyle>[\s\S]*?<a:lvl1pPr\b[\s\S]*?<a:defRPr\b[^>]*\bsz="(\d+)"/);
+            if (sizeMatch) {
+                bodyFontSizes[master] = parseInt(sizeMatch[1], 10);
+            }
+        }
+
+        return {
+            contentTypes,
+            presentationXml,
+            presentationRels: ooxml.parseRelationships(await readPart('ppt/_rels/presentation.xml.rels')),
+            layouts,
+            slideSize: {
+                cx: parseInt(slideSize.cx, 10) || 9144000,
+                cy: parseInt(slideSize.cy, 10) || 6858000
+            },
+            tableStyleId: defaultTableStyle || DEFAULT_TABLE_STYLE_ID,
+            bodyFontSizes
+        };
+    }
+
+    async removeTemplateSlides(zip, pkg) {
+        const slideRels = pkg.presentationRels.filter(rel => rel.type === ooxml.REL_TYPES.slide);
+        if (slideRels.length === 0) {
+            return;
+        }
+
+        const removedIds = new Set(slideRels.map(rel => rel.id));
+        pkg.presentationRels = pkg.presentationRels.filter(rel => !removedIds.has(rel.id));
+
+        // Drop the slide ids (and any section references to them) from presentation.xml
+        const removedSlideIds = [];
+        pkg.presentationXml = pkg.presentationXml.replace(/<p:sldId\b[^>]*\/>/g, (tag) => {
+            const attributes = ooxml.parseAttributes(tag);
+            if (removedIds.has(attributes['r:id'])) {
+                removedSlideIds.push(attributes.id);
+                return '';
+            }
+            return tag;
+        });
+        pkg.presentationXml = pkg.presentationXml.replace(/<p14:sldId\b[^>]*\/>/g, (tag) =>
+            removedSlideIds.includes(ooxml.parseAttributes(tag).id) ? '' : tag
+        );
+
+        // Slides, their notes and any media only they used are now unreachable
+        await this.removeUnreferencedParts(zip, pkg);
+    }
+
+    async removeUnreferencedParts(zip, pkg) {
+        zip.file('ppt/_rels/presentation.xml.rels', ooxml.buildRelationships(pkg.presentationRels));
+
+        const reachable = new Set();
+        const pending = ['_rels/.rels'];
+        while (pending.length > 0) {
+            const relsPath = pending.pop();
+            const relsFile = zip.file(relsPath);
+            if (!relsFile) {
+                continue;
+            }
+
+            const owner = relsPath === '_rels/.rels'
+                ? ''
+                : relsPath.replace(/_rels\/([^/]+)\.rels$/, '$1');
+            const relationships = ooxml.parseRelationships(await relsFile.async('string'));
+            for (const rel of relationships) {
+                if (rel.targetMode === 'External') {
+                    continue;
+                }
+                const target = owner ? ooxml.resolveTarget(owner, rel.target) : rel.target.replace(/^\//, '');
+                if (!reachable.has(target)) {
+                    reachable.add(target);
+                    pending.push(ooxml.relsPathFor(target));
+                }
+            }
+        }
+
+        for (const name of Object.keys(zip.files)) {
+            const file = zip.files[name];
+            if (!file || file.dir || name === '[Content_Types].xml' || name.endsWith('.rels') || reachable.has(name)) {
+                continue;
+            }
+            zip.remove(name);
+            zip.remove(ooxml.relsPathFor(name));
+            delete pkg.contentTypes.overrides[`/${name}`];
+        }
+    }
+
+    // Returns the changes made to fit text
+    async addSlides(zip, pkg, slideStructure, textFit) {
+        const existingIds = (pkg.presentationXml.match(/<p:sldId\b[^>]*\/>/g) || [])
+            .map(tag => parseInt(ooxml.parseAttributes(tag).id, 10));
+        let slideId = Math.max(255, ...existingIds);
+
+        const { slides, changes: fitChanges } = this.splitOverflowingSlides(slideStructure.slides, pkg, textFit);
+
+        const slideIdTags = [];
+        for (let i = 0; i < slides.length; i++) {
+            const slide = slides[i];
+            const layout = this.analyzer.resolveLayout(slide.type, pkg.layouts);
+            slideId++;
+
+            const partName = `ppt/slides/slide${this.nextPartNumber(zip, 'ppt/slides/slide')}.xml`;
+
+            const slideRels = [];
+            if (layout) {
+                slideRels.push({
+                    id: 'rId1',
+                    type: ooxml.REL_TYPES.slideLayout,
+                    target: ooxml.relativeTarget(partName, layout.path)
+                });
+            }
+
+            const chart = normalizeChart(slide.chart);
+            const chartRelId = chart ? await this.addChart(zip, pkg, partName, slideRels, chart) : null;
+
+            const fitResults = [];
+            zip.file(partName, this.generateSlideXml(slide, i + 1, layout, pkg.slideSize, {
+                tableStyleId: pkg.tableStyleId,
+                chartRelId,
+                textFit: textFit && textFit.mode !== 'off' ? { ...textFit, baseSize: this.bodyFontSize(pkg, layout) } : null,
+                fitResults
+            }));
+            fitChanges.push(...this.describeFit(fitResults, i + 1, slide.title));
+
+            const notes = this.normalizeNotes(slide.notes);
+            if (notes.length > 0) {
+                await this.addNotesSlide(zip, pkg, partName, slideRels, notes);
+            }
+
+            zip.file(ooxml.relsPathFor(partName), ooxml.buildRelationships(slideRels));
+            pkg.contentTypes.overrides[`/${partName}`] = ooxml.CONTENT_TYPES.slide;
+
+            const relId = ooxml.nextRelationshipId(pkg.presentationRels);
+            pkg.presentationRels.push({
+                id: relId,
+                type: ooxml.REL_TYPES.slide,
+                target: ooxml.relativeTarget('ppt/presentation.xml', partName)
+            });
+            slideIdTags.push(`<p:sldId id="${slideId}" r:id="${relId}"/>`);
+        }
+
+        pkg.presentationXml = this.appendSlideIds(pkg.presentationXml, slideIdTags.join(''));
+        return fitChanges;
+    }
+
+    // Splits content slides whose bullets would overflow the layout's body into "(cont.)" slides
+    splitOverflowingSlides(slides, pkg, textFit) {
+        const changes = [];
+        if (!textFit || textFit.mode === 'off') {
+            return { slides, changes };
+        }
+
+        const result = [];
+        for (const slide of slides) {
+            const type = SLIDE_TYPE_ALIASES[slide.type] || slide.type;
+            const layout = this.analyzer.resolveLayout(slide.type, pkg.layouts);
+            const splittable = !UNSPLIT_SLIDE_TYPES.has(type) && !slide.table && !slide.chart && Array.isArray(slide.content);
+            const parts = splittable
+                ? splitContent(slide.content, this.bodyArea(layout, pkg.slideSize), (content) => this.normalizeBulletItems(content),
+                    { ...textFit, baseSize: this.bodyFontSize(pkg, layout) })
+                : [slide.content];
+
+            if (parts.length > 1) {
+                changes.push(`Split slide ${result.length + 1} ("${slide.title || 'Untitled'}") into ${parts.length} slides to fit its text`);
+            }
+            const baseTitle = String(slide.title || '').replace(/\s*\(cont\.\)$/i, '');
+            parts.forEach((content, index) => {
+                result.push(index === 0
+                    ? { ...slide, content }
+                    : { ...slide, title: `${baseTitle} (cont.)`, content, notes: '' });
+            });
+        }
+
+        return { slides: result, changes };
+    }
+
+    describeFit(fitResults, slideNumber, title) {
+        const label = `slide ${slideNumber} ("${title || 'Untitled'}")`;
+        const messages = fitResults.map(fit => fit.fontScale
+            ? `Set the text on ${label} to shrink on overflow (about ${Math.round(fit.fontScale / 1000)}%)`
+            : `Shrank the text on ${label} to ${fit.fontSize / 100}pt`);
+        return [...new Set(messages)];
+    }
+
+    findBodyPlaceholder(layout) {
+        const placeholders = layout ? layout.placeholders : [];
+        return placeholders.find(ph => ['body', 'obj', 'subTitle'].includes(ph.type));
+    }
+
+    bodyArea(layout, slideSize) {
+        const bodyPlaceholder = this.findBodyPlaceholder(layout);
+        return (bodyPlaceholder && bodyPlaceholder.position) || this.fallbackBodyPosition(slideSize);
+    }
+
+    // Text boxes start from PowerPoint's 18pt default; placeholders from their master's body size
+    bodyFontSize(pkg, layout) {
+        if (!this.findBodyPlaceholder(layout)) {
+            return 1800;
+        }
+        return (layout && pkg.bodyFontSizes[layout.master]) || 2000;
+    }
+
+    // Writes the chart part and its embedded workbook, returning the slide's relationship id for it
+    async addChart(zip, pkg, slidePartName, slideRels, chart) {
+        const chartNumber = this.nextPartNumber(zip, 'ppt/charts/chart');
+        const chartPartName = `ppt/charts/chart${chartNumber}.xml`;
+
+        let workbookNumber = chartNumber;
+        while (zip.file(`ppt/embeddings/Microsoft_Excel_Worksheet${workbookNumber}.xlsx`)) {
+            workbookNumber++;
+        }
+        const workbookPartName = `ppt/embeddings/Microsoft_Excel_Worksheet${workbookNumber}.xlsx`;
+
+        zip.file(workbookPartName, await buildChartWorkbook(chart));
+        zip.file(chartPartName, buildChartXml(chart, { workbookRelId: 'rId1' }));
+        zip.file(ooxml.relsPathFor(chartPartName), ooxml.buildRelationships([
+            { id: 'rId1', type: ooxml.REL_TYPES.package, target: ooxml.relativeTarget(chartPartName, workbookPartName) }
+        ]));
+
+        pkg.contentTypes.overrides[`/${chartPartName}`] = ooxml.CONTENT_TYPES.chart;
+        if (!pkg.contentTypes.defaults.xlsx) {
+            pkg.contentTypes.defaults.xlsx = ooxml.CONTENT_TYPES.workbook;
+        }
+
+        const relId = ooxml.nextRelationshipId(slideRels);
+        slideRels.push({ id: relId, type: ooxml.REL_TYPES.chart, target: ooxml.relativeTarget(slidePartName, chartPartName) });
+        return relId;
+    }
+
+    async addNotesSlide(zip, pkg, slidePartName, slideRels, notes) {
+        const notesMasterPath = await this.ensureNotesMaster(zip, pkg);
+        const notesNumber = this.nextPartNumber(zip, 'ppt/notesSlides/notesSlide');
+        const notesPartName = `ppt/notesSlides/notesSlide${notesNumber}.xml`;
+
+        zip.file(notesPartName, this.generateNotesSlideXml(notes));
+        zip.file(ooxml.relsPathFor(notesPartName), ooxml.buildRelationships([
+            { id: 'rId1', type: ooxml.REL_TYPES.notesMaster, target: ooxml.relativeTarget(notesPartName, notesMasterPath) },
+            { id: 'rId2', type: ooxml.REL_TYPES.slide, target: ooxml.relativeTarget(notesPartName, slidePartName) }
+        ]));
+        pkg.contentTypes.overrides[`/${notesPartName}`] = ooxml.CONTENT_TYPES.notesSlide;
+
+        slideRels.push({
+            id: ooxml.nextRelationshipId(slideRels),
+            type: ooxml.REL_TYPES.notesSlide,
+            target: ooxml.relativeTarget(slidePartName, notesPartName)
+        });
+    }
+
+    async ensureNotesMaster(zip, pkg) {
+        const existing = pkg.presentationRels.find(rel => rel.type === ooxml.REL_TYPES.notesMaster);
+        if (existing) {
+            return ooxml.resolveTarget('ppt/presentation.xml', existing.target);
+        }
+
+        // Notes masters need a theme of their own; start from a copy of the slide theme
+        const themeRel = pkg.presentationRels.find(rel => rel.type === ooxml.REL_TYPES.theme);
+        const slideThemePath = themeRel
+            ? ooxml.resolveTarget('ppt/presentation.xml', themeRel.target)
+            : Object.keys(zip.files).find(name => /^ppt\/theme\/theme\d+\.xml$/.test(name));
+        if (!slideThemePath || !zip.file(slideThemePath)) {
+            throw new Error('Template has no theme to base the notes master on');
+        }
+
+        const themePath = `ppt/theme/theme${this.nextPartNumber(zip, 'ppt/theme/theme')}.xml`;
+        zip.file(themePath, await zip.file(slideThemePath).async('string'));
+        pkg.contentTypes.overrides[`/${themePath}`] = ooxml.CONTENT_TYPES.theme;
+
+        const notesMasterPath = `ppt/notesMasters/notesMaster${this.nextPartNumber(zip, 'ppt/notesMasters/notesMaster')}.xml`;
+        zip.file(notesMasterPath, this.generateNotesMasterXml(pkg.presentationXml));
+        zip.file(ooxml.relsPathFor(notesMasterPath), ooxml.buildRelationships([
+            { id: 'rId1', type: ooxml.REL_TYPES.theme, target: ooxml.relativeTarget(notesMasterPath, themePath) }
+        ]));
+        pkg.contentTypes.overrides[`/${notesMasterPath}`] = ooxml.CONTENT_TYPES.notesMaster;
+
+        const relId = ooxml.nextRelationshipId(pkg.presentationRels);
+        pkg.presentationRels.push({
+            id: relId,
+            type: ooxml.REL_TYPES.notesMaster,
+            target: ooxml.relativeTarget('ppt/presentation.xml', notesMasterPath)
+        });
+
+        // notesMasterIdLst sits right after the slide master list
+        const notesMasterList = `<p:notesMasterIdLst><p:notesMasterId r:id="${relId}"/></p:notesMasterIdLst>`;
+        pkg.presentationXml = pkg.presentationXml.includes('</p:sldMasterIdLst>')
+            ? pkg.presentationXml.replace('</p:sldMasterIdLst>', `</p:sldMasterIdLst>${notesMasterList}`)
+            : pkg.presentationXml.replace(/(<p:presentation\b[^>]*>)/, `$1${notesMasterList}`);
+        if (!/<p:notesSz\b/.test(pkg.presentationXml)) {
+            pkg.presentationXml = pkg.presentationXml.replace(/(<p:sldSz\b[^>]*\/>)/, '$1<p:notesSz cx="6858000" cy="9144000"/>');
+        }
+
+        return notesMasterPath;
+    }
+
+    normalizeNotes(notes) {
+        // Notes may be one string with blank-line separated paragraphs or an array of paragraphs. As in the
+        // HTML and outline exports, a single line break inside a paragraph reads as a space.
+        const paragraphs = Array.isArray(notes) ? notes.map(String) : String(notes || '').split(/\n\s*\n/);
+        return paragraphs
+            .map(paragraph => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+            .filter(Boolean)
+            .map(text => ({ text, level: 0 }));
+    }
+
+    generateNotesSlideXml(notes) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:notes xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+<p:cSld>
+<p:spTree>
+<p:nvGrpSpPr>
+<p:cNvPr id="1" name=""/>
+<p:cNvGrpSpPr/>
+<p:nvPr/>
+</p:nvGrpSpPr>
+<p:grpSpPr/>
+<p:sp>
+<p:nvSpPr>
+<p:cNvPr id="2" name="Slide Image Placeholder 1"/>
+<p:cNvSpPr>
+<a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/>
+</p:cNvSpPr>
+<p:nvPr>
+<p:ph type="sldImg"/>
+</p:nvPr>
+</p:nvSpPr>
+<p:spPr/>
+</p:sp>
 <p:sp>
 <p:nvSpPr>
-<p:cNvPr id="2" name="Title"/>
+<p:cNvPr id="3" name="Notes Placeholder 2"/>
 <p:cNvSpPr>
 <a:spLocks noGrp="1"/>
 </p:cNvSpPr>
 <p:nvPr>
-<p:ph type="title"/>
+<p:ph type="body" idx="1"/>
 </p:nvPr>
 </p:nvSpPr>
 <p:spPr/>
 <p:txBody>
 <a:bodyPr/>
 <a:lstStyle/>
-<a:p>
-<a:r>
-<a:rPr lang="en-US" sz="3200" b="1">
-<a:solidFill>
-<a:schemeClr val="tx1"/>
-</a:solidFill>
-<a:latin typeface="Calibri"/>
-</a:rPr>
-<a:t>${this.escapeXml(title)}</a:t>
-</a:r>
-</a:p>
-</a:txBody>
+${this.buildParagraphs(notes, { bullets: false })}
+</p:txBody>
 </p:sp>
-${content ? `<p:sp>
+</p:spTree>
+</p:cSld>
+<p:clrMapOvr>
+<a:masterClrMapping/>
+</p:clrMapOvr>
+</p:notes>`;
+    }
+
+    generateNotesMasterXml(presentationXml) {
+        const sizeMatch = presentationXml.match(/<p:notesSz\b[^>]*>/);
+        const size = sizeMatch ? ooxml.parseAttributes(sizeMatch[0]) : {};
+        const cx = parseInt(size.cx, 10) || 6858000;
+        const cy = parseInt(size.cy, 10) || 9144000;
+        const marginX = Math.round(cx * 0.1);
+
+        // Slide image in the top half, notes text below it
+        const placeholder = (id, name, type, idx, x, y, width, height, text) => `<p:sp>
 <p:nvSpPr>
-<p:cNvPr id="3" name="Content"/>
+<p:cNvPr id="${id}" name="${name}"/>
 <p:cNvSpPr>
-<a:spLocks noGrp="1"/>
+<a:spLocks noGrp="1"${type === 'sldImg' ? ' noRot="1" noChangeAspect="1"' : ''}/>
 </p:cNvSpPr>
 <p:nvPr>
-<p:ph type="body"/>
+<p:ph type="${type}" idx="${idx}"/>
 </p:nvPr>
 </p:nvSpPr>
-<p:spPr/>
+<p:spPr>
+<a:xfrm>
+<a:off x="${x}" y="${y}"/>
+<a:ext cx="${width}" cy="${height}"/>
+</a:xfrm>
+<a:prstGeom prst="rect">
+<a:avLst/>
+</a:prstGeom>
+${type === 'sldImg' ? '<a:noFill/>\n<a:ln w="12700">\n<a:solidFill>\n<a:prstClr val="black"/>\n</a:solidFill>\n</a:ln>' : ''}
+</p:spPr>${text ? `
 <p:txBody>
-<a:bodyPr/>
+<a:bodyPr vert="horz" lIns="91440" tIns="45720" rIns="91440" bIns="45720" rtlCol="0"/>
 <a:lstStyle/>
 <a:p>
+<a:pPr lvl="0"/>
 <a:r>
-<a:rPr lang="en-US" sz="2000">
+<a:rPr lang="en-US"/>
+<a:t>${text}</a:t>
+</a:r>
+</a:p>
+</p:txBody>` : ''}
+</p:sp>`;
+
+        const levelStyles = [1, 2, 3, 4, 5].map(level => `<a:lvl${level}pPr marL="${(level - 1) * 457200}" algn="l" defTabSz="914400" rtl="0" eaLnBrk="1" latinLnBrk="0" hangingPunct="1">
+<a:defRPr sz="1200" kern="1200">
 <a:solidFill>
 <a:schemeClr val="tx1"/>
 </a:solidFill>
-<a:latin typeface="Calibri"/>
-</a:rPr>
-<a:t>• ${this.escapeXml(content)}</a:t>
-</a:r>
-</a:p>
-</a:txBody>
-</p:sp>` : ''}
-</p:spTree>
-</p:cSld>
-<p:clrMapOvr>
-<a:masterClrMapping/>
-</p:clrMapOvr>
+<a:latin typeface="+mn-lt"/>
+<a:ea typeface="+mn-ea"/>
+<a:cs typeface="+mn-cs"/>
+</a:defRPr>
+</a:lvl${level}pPr>`).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:notesMaster xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+<p:cSld>
+<p:bg>
+<p:bgRef idx="1001">
+<a:schemeClr val="bg1"/>
+</p:bgRef>
+</p:bg>
+<p:spTree>
+<p:nvGrpSpPr>
+<p:cNvPr id="1" name=""/>
+<p:cNvGrpSpPr/>
+<p:nvPr/>
+</p:nvGrpSpPr>
+<p:grpSpPr>
+<a:xfrm>
+<a:off x="0" y="0"/>
+<a:ext cx="0" cy="0"/>
+<a:chOff x="0" y="0"/>
+<a:chExt cx="0" cy="0"/>
+</a:xfrm>
+</p:grpSpPr>
+${placeholder(2, 'Slide Image Placeholder 1', 'sldImg', 2, marginX, Math.round(cy * 0.08), cx - marginX * 2, Math.round(cy * 0.36))}
+${placeholder(3, 'Notes Placeholder 2', 'body', 3, marginX, Math.round(cy * 0.48), cx - marginX * 2, Math.round(cy * 0.42), 'Click to edit Master text styles')}
+</p:spTree>
+</p:cSld>
+<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>
+<p:notesStyle>
+${levelStyles}
+</p:notesStyle>
+</p:notesMaster>`;
+    }
+
+    nextPartNumber(zip, prefix) {
+        const pattern = new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\d+)\\.xml$`);
+        const numbers = Object.keys(zip.files)
+            .map(name => name.match(pattern))
+            .filter(Boolean)
+            .map(match => parseInt(match[1], 10));
+        return Math.max(0, ...numbers) + 1;
+    }
+
+    appendSlideIds(presentationXml, slideIdTags) {
+        if (/<p:sldIdLst\s*\/>/.test(presentationXml)) {
+            return presentationXml.replace(/<p:sldIdLst\s*\/>/, `<p:sldIdLst>${slideIdTags}</p:sldIdLst>`);
+        }
+        if (presentationXml.includes('</p:sldIdLst>')) {
+            return presentationXml.replace('</p:sldIdLst>', `${slideIdTags}</p:sldIdLst>`);
+        }
+
+        // Templates often have no slide list; it belongs after the master lists and before sldSz
+        const list = `<p:sldIdLst>${slideIdTags}</p:sldIdLst>`;
+        for (const closing of ['</p:handoutMasterIdLst>', '</p:notesMasterIdLst>', '</p:sldMasterIdLst>']) {
+            if (presentationXml.includes(closing)) {
+                return presentationXml.replace(closing, `${closing}${list}`);
+            }
+        }
+        return presentationXml.replace(/(<p:presentation\b[^>]*>)/, `$1${list}`);
+    }
+
+    async ensureDocumentProperties(zip, pkg, slideStructure) {
+        const rootRelsFile = zip.file('_rels/.rels');
+        const rootRels = ooxml.parseRelationships(rootRelsFile ? await rootRelsFile.async('string') : '');
+        const firstSlide = (slideStructure.slides || [])[0] || {};
+        const title = slideStructure.title || firstSlide.title || 'Presentation';
+        const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+        // Templates keep their own properties; only fill in the parts that are missing
+        if (!rootRels.some(rel => rel.type === ooxml.REL_TYPES.coreProperties)) {
+            zip.file('docProps/core.xml', `${ooxml.XML_HEADER}
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${this.escapeXml(title)}</dc:title>
+<dc:creator>TextToSlides</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>`);
+            rootRels.push({ id: ooxml.nextRelationshipId(rootRels), type: ooxml.REL_TYPES.coreProperties, target: 'docProps/core.xml' });
+            pkg.contentTypes.overrides['/docProps/core.xml'] = ooxml.CONTENT_TYPES.coreProperties;
+        }
+
+        if (!rootRels.some(rel => rel.type === ooxml.REL_TYPES.extendedProperties)) {
+            zip.file('docProps/app.xml', `${ooxml.XML_HEADER}
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties" xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">
+<Application>TextToSlides</Application>
+<Slides>0</Slides>
+<Notes>0</Notes>
+</Properties>`);
+            rootRels.push({ id: ooxml.nextRelationshipId(rootRels), type: ooxml.REL_TYPES.extendedProperties, target: 'docProps/app.xml' });
+            pkg.contentTypes.overrides['/docProps/app.xml'] = ooxml.CONTENT_TYPES.extendedProperties;
+        }
+
+        zip.file('_rels/.rels', ooxml.buildRelationships(rootRels));
+    }
+
+    async savePackage(zip, pkg) {
+        // Templates sometimes declare content types for parts they do not contain
+        for (const partName of Object.keys(pkg.contentTypes.overrides)) {
+            if (!zip.file(partName.replace(/^\//, ''))) {
+                delete pkg.contentTypes.overrides[partName];
+            }
+        }
+
+        zip.file('ppt/presentation.xml', pkg.presentationXml);
+        zip.file('ppt/_rels/presentation.xml.rels', ooxml.buildRelationships(pkg.presentationRels));
+        zip.file('[Content_Types].xml', ooxml.buildContentTypes(pkg.contentTypes));
+
+        // Keep the extended properties slide and notes counts in step with the new deck
+        const appFile = zip.file('docProps/app.xml');
+        if (appFile) {
+            const slideCount = pkg.presentationRels.filter(rel => rel.type === ooxml.REL_TYPES.slide).length;
+            const notesCount = Object.keys(zip.files).filter(name => /^ppt\/notesSlides\/notesSlide\d+\.xml$/.test(name)).length;
+            const appXml = await appFile.async('string');
+            zip.file('docProps/app.xml', appXml
+                .replace(/<Slides>\d+<\/Slides>/, `<Slides>${slideCount}</Slides>`)
+                .replace(/<Notes>\d+<\/Notes>/, `<Notes>${notesCount}</Notes>`));
+        }
+    }
+
+    generateSlideXml(slide, slideNumber, layout, slideSize, options = {}) {
+        const type = SLIDE_TYPE_ALIASES[slide.type] || slide.type;
+        const title = slide.title || `Slide ${slideNumber}`;
+        const items = this.normalizeBulletItems(slide.content);
+        const table = normalizeTable(slide.table);
+        const chart = options.chartRelId ? normalizeChart(slide.chart) : null;
+
+        // Point the shapes at the layout's own placeholders so they inherit its position and styling
+        const placeholders = layout ? layout.placeholders : [];
+        const titlePlaceholder = placeholders.find(ph => ph.type === 'ctrTitle' || ph.type === 'title');
+        const bodyPlaceholder = this.findBodyPlaceholder(layout);
+
+        // Shrinks body text that would overflow its box, recording what was changed
+        const fitBody = (bodyItems, box) => {
+            if (!options.textFit) {
+                return { fontSize: null, fontScale: null };
+            }
+            const fit = fitText(bodyItems, box, options.textFit);
+            if ((fit.fontSize || fit.fontScale) && options.fitResults) {
+                options.fitResults.push(fit);
+            }
+            return fit;
+        };
+
+        const shapes = [];
+        // A quote may stand on its own without a title
+        if (type !== 'quote' || slide.title) {
+            shapes.push(this.buildTextShape({
+                id: 2,
+                name: 'Title',
+                placeholder: titlePlaceholder || { type: 'title' },
+                paragraphs: this.buildParagraphs([{ text: title, level: 0 }], { bullets: false })
+            }));
+        }
+
+        if (chart) {
+            shapes.push(...this.buildFrameWithLeadIn(items, bodyPlaceholder, slideSize,
+                (position) => this.buildChartFrame({ id: 4, relId: options.chartRelId, position })));
+        } else if (table) {
+            shapes.push(...this.buildFrameWithLeadIn(items, bodyPlaceholder, slideSize,
+                (position) => this.buildTableFrame({ id: 4, table, position, styleId: options.tableStyleId || DEFAULT_TABLE_STYLE_ID })));
+        } else if (type === 'two-column' || type === 'comparison') {
+            shapes.push(...this.buildColumnShapes(normalizeColumns(slide), placeholders, bodyPlaceholder, slideSize, fitBody));
+        } else if (type === 'quote') {
+            shapes.push(...this.buildQuoteShapes(items, slide.attribution, bodyPlaceholder, slideSize));
+        } else if (items.length > 0) {
+            // Section and closing slides carry plain lines, even where the layout's body has bullets
+            const plain = type === 'section' || type === 'closing';
+            const fit = fitBody(items, this.bodyArea(layout, slideSize));
+            shapes.push(this.buildTextShape({
+                id: 3,
+                name: 'Content',
+                placeholder: bodyPlaceholder,
+                position: this.fallbackBodyPosition(slideSize),
+                fontScale: fit.fontScale,
+                // Subtitles read as plain lines; a text box has no inherited bullets to fall back on
+                paragraphs: this.buildParagraphs(items, {
+                    bullets: !plain && (!bodyPlaceholder || bodyPlaceholder.type !== 'subTitle'),
+                    explicitBullets: !bodyPlaceholder,
+                    suppressBullets: plain && !!bodyPlaceholder,
+                    size: fit.fontSize
+                })
+            }));
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+<p:cSld>
+<p:spTree>
+<p:nvGrpSpPr>
+<p:cNvPr id="1" name=""/>
+<p:cNvGrpSpPr/>
+<p:nvPr/>
+</p:nvGrpSpPr>
+<p:grpSpPr>
+<a:xfrm>
+<a:off x="0" y="0"/>
+<a:ext cx="0" cy="0"/>
+<a:chOff x="0" y="0"/>
+<a:chExt cx="0" cy="0"/>
+</a:xfrm>
+</p:grpSpPr>
+${shapes.join('\n')}
+</p:spTree>
+</p:cSld>
+<p:clrMapOvr>
+<a:masterClrMapping/>
+</p:clrMapOvr>
 </p:sld>`;
     }
 
-    escapeXml(text) {
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;');
+    // The left and right content placeholders of a two-column or comparison layout, each with the heading
+    // placeholder above it when the layout has one; null when the layout has no two sides
+    findColumnPlaceholders(placeholders) {
+        const slots = placeholders.filter(ph => ['body', 'obj'].includes(ph.type) && ph.position);
+        if (slots.length < 2) {
+            return null;
+        }
+
+        const left = Math.min(...slots.map(ph => ph.position.x));
+        const right = Math.max(...slots.map(ph => ph.position.x + ph.position.cx));
+        const middle = (left + right) / 2;
+        const sides = [
+            slots.filter(ph => ph.position.x + ph.position.cx / 2 < middle),
+            slots.filter(ph => ph.position.x + ph.position.cx / 2 >= middle)
+        ];
+        if (sides.some(side => side.length === 0)) {
+            return null;
+        }
+
+        return sides.map(side => {
+            const ordered = [...side].sort((a, b) => a.position.y - b.position.y);
+            return { heading: ordered.length > 1 ? ordered[0] : null, body: ordered[ordered.length - 1] };
+        });
+    }
+
+    buildColumnShapes(columns, placeholders, bodyPlaceholder, slideSize, fitBody) {
+        const slots = this.findColumnPlaceholders(placeholders);
+        const shapes = [];
+        let id = 3;
+
+        if (slots) {
+            columns.forEach((column, index) => {
+                const slot = slots[index];
+                const items = this.normalizeBulletItems(column.content);
+                let heading = '';
+                if (column.heading && slot.heading) {
+                    shapes.push(this.buildTextShape({
+                        id: id++,
+                        name: `Heading ${index + 1}`,
+                        placeholder: slot.heading,
+                        paragraphs: this.buildParagraphs([{ text: column.heading, level: 0 }], { bullets: false, suppressBullets: true })
+                    }));
+                } else if (column.heading) {
+                    // No heading slot: the heading leads the column in bold
+                    heading = this.buildParagraphs([{ text: column.heading, level: 0 }], { bullets: false, suppressBullets: true, bold: true });
+                }
+                if (items.length > 0 || heading) {
+                    const fit = fitBody(items, slot.body.position);
+                    shapes.push(this.buildTextShape({
+                        id: id++,
+                        name: `Column ${index + 1}`,
+                        placeholder: slot.body,
+                        fontScale: fit.fontScale,
+                        paragraphs: [heading, this.buildParagraphs(items, { size: fit.fontSize })].filter(Boolean).join('\n')
+                    }));
+                }
+            });
+            return shapes;
+        }
+
+        // Layouts without two sides get two text boxes across the content area
+        const area = (bodyPlaceholder && bodyPlaceholder.position) || this.fallbackBodyPosition(slideSize);
+        const gap = Math.round(area.cx * 0.04);
+        const width = Math.round((area.cx - gap) / 2);
+        const headingHeight = columns.some(column => column.heading) ? 548640 : 0;
+
+        columns.forEach((column, index) => {
+            const x = area.x + index * (width + gap);
+            if (column.heading) {
+                shapes.push(this.buildTextShape({
+                    id: id++,
+                    name: `Heading ${index + 1}`,
+                    position: { x, y: area.y, cx: width, cy: headingHeight },
+                    paragraphs: this.buildParagraphs([{ text: column.heading, level: 0 }], { bullets: false, bold: true })
+                }));
+            }
+            const items = this.normalizeBulletItems(column.content);
+            if (items.length > 0) {
+                const position = { x, y: area.y + headingHeight, cx: width, cy: area.cy - headingHeight };
+                const fit = fitBody(items, position);
+                shapes.push(this.buildTextShape({
+                    id: id++,
+                    name: `Column ${index + 1}`,
+                    position,
+                    fontScale: fit.fontScale,
+                    paragraphs: this.buildParagraphs(items, { explicitBullets: true, size: fit.fontSize })
+                }));
+            }
+        });
+        return shapes;
+    }
+
+    // The quote centred in the content area, with its attribution right-aligned below
+    buildQuoteShapes(items, attribution, bodyPlaceholder, slideSize) {
+        const area = (bodyPlaceholder && bodyPlaceholder.position) || this.fallbackBodyPosition(slideSize);
+        const quote = items.map(item => item.text).join(' ').trim();
+        if (!quote) {
+            return [];
+        }
+
+        const quoted = /^["“'‘]/.test(quote) ? quote : `“${quote}”`;
+        const paragraphs = [`<a:p>
+<a:pPr algn="ctr"/>
+${this.buildRuns(quoted, { size: 2800, italic: true })}
+</a:p>`];
+        if (attribution) {
+            paragraphs.push(`<a:p>
+<a:pPr algn="r"/>
+${this.buildRuns(`— ${String(attribution).replace(/^[-–—\s]+/, '')}`, { size: 1800 })}
+</a:p>`);
+        }
+
+        return [this.buildTextShape({
+            id: 3,
+            name: 'Quote',
+            position: area,
+            paragraphs: paragraphs.join('\n')
+        })];
+    }
+
+    // A lead-in text box (when the slide has content) above a table or chart filling the body area
+    buildFrameWithLeadIn(items, bodyPlaceholder, slideSize, buildFrame) {
+        const area = (bodyPlaceholder && bodyPlaceholder.position) || this.fallbackBodyPosition(slideSize);
+        const shapes = [];
+        let frameArea = area;
+
+        if (items.length > 0) {
+            const leadHeight = Math.min(Math.round(area.cy * 0.3), items.length * 457200);
+            shapes.push(this.buildTextShape({
+                id: 3,
+                name: 'Lead-in',
+                position: { ...area, cy: leadHeight },
+                paragraphs: this.buildParagraphs(items, { bullets: false })
+            }));
+            frameArea = { ...area, y: area.y + leadHeight, cy: area.cy - leadHeight };
+        }
+
+        shapes.push(buildFrame(frameArea));
+        return shapes;
+    }
+
+    buildChartFrame({ id, relId, position }) {
+        return `<p:graphicFrame>
+<p:nvGraphicFramePr>
+<p:cNvPr id="${id}" name="Chart"/>
+<p:cNvGraphicFramePr>
+<a:graphicFrameLocks noGrp="1"/>
+</p:cNvGraphicFramePr>
+<p:nvPr/>
+</p:nvGraphicFramePr>
+<p:xfrm>
+<a:off x="${position.x}" y="${position.y}"/>
+<a:ext cx="${position.cx}" cy="${position.cy}"/>
+</p:xfrm>
+<a:graphic>
+<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">
+<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" r:id="${relId}"/>
+</a:graphicData>
+</a:graphic>
+</p:graphicFrame>`;
+    }
+
+    buildTableFrame({ id, table, position, styleId }) {
+        const rows = table.headers.length > 0 ? [table.headers, ...table.rows] : table.rows;
+        const columnCount = rows[0].length;
+
+        // Smaller text for dense tables; PowerPoint grows rows to fit whatever still wraps
+        const density = Math.max(rows.length, columnCount + 1);
+        const fontSize = density <= 6 ? 1800 : density <= 10 ? 1400 : 1200;
+        const rowHeight = Math.max(274320, Math.min(457200, Math.floor(position.cy / rows.length)));
+        const columnWidth = Math.floor(position.cx / columnCount);
+        const columns = Array.from({ length: columnCount }, (_, index) =>
+            index === columnCount - 1 ? position.cx - columnWidth * (columnCount - 1) : columnWidth);
+
+        const tableRows = rows.map(row => `<a:tr h="${rowHeight}">
+${row.map(cell => `<a:tc>
+<a:txBody>
+<a:bodyPr/>
+<a:lstStyle/>
+<a:p>
+${this.isNumericCell(cell) ? '<a:pPr algn="r"/>\n' : ''}${this.buildRuns(cell, { size: fontSize })}
+</a:p>
+</a:txBody>
+<a:tcPr/>
+</a:tc>`).join('\n')}
+</a:tr>`).join('\n');
+
+        return `<p:graphicFrame>
+<p:nvGraphicFramePr>
+<p:cNvPr id="${id}" name="Table"/>
+<p:cNvGraphicFramePr>
+<a:graphicFrameLocks noGrp="1"/>
+</p:cNvGraphicFramePr>
+<p:nvPr/>
+</p:nvGraphicFramePr>
+<p:xfrm>
+<a:off x="${position.x}" y="${position.y}"/>
+<a:ext cx="${position.cx}" cy="${rowHeight * rows.length}"/>
+</p:xfrm>
+<a:graphic>
+<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table">
+<a:tbl>
+<a:tblPr${table.headers.length > 0 ? ' firstRow="1"' : ''} bandRow="1">
+<a:tableStyleId>${this.escapeXml(styleId)}</a:tableStyleId>
+</a:tblPr>
+<a:tblGrid>
+${columns.map(width => `<a:gridCol w="${width}"/>`).join('\n')}
+</a:tblGrid>
+${tableRows}
+</a:tbl>
+</a:graphicData>
+</a:graphic>
+</p:graphicFrame>`;
+    }
+
+    isNumericCell(text) {
+        return /^[-+(]?[$€£¥]?\s?\d[\d,.]*\s?(%|[kKmMbB]n?|x)?\)?$/.test(String(text).trim());
+    }
+
+    buildTextShape({ id, name, placeholder, position, paragraphs, fontScale = null }) {
+        // PowerPoint applies the estimated scale on open and re-fits the text once it is edited
+        const autofit = fontScale ? `\n<a:normAutofit${fontScale < 100000 ? ` fontScale="${fontScale}"` : ''}/>\n` : '';
+
+        // Without a matching placeholder the text goes into a positioned text box
+        if (!placeholder) {
+            return `<p:sp>
+<p:nvSpPr>
+<p:cNvPr id="${id}" name="${this.escapeXml(name)}"/>
+<p:cNvSpPr txBox="1"/>
+<p:nvPr/>
+</p:nvSpPr>
+${this.shapeProperties(position)}
+<p:txBody>
+${autofit ? `<a:bodyPr wrap="square">${autofit}</a:bodyPr>` : '<a:bodyPr wrap="square"/>'}
+<a:lstStyle/>
+${paragraphs}
+</p:txBody>
+</p:sp>`;
+        }
+
+        return `<p:sp>
+<p:nvSpPr>
+<p:cNvPr id="${id}" name="${this.escapeXml(name)}"/>
+<p:cNvSpPr>
+<a:spLocks noGrp="1"/>
+</p:cNvSpPr>
+<p:nvPr>
+${this.placeholderTag(placeholder)}
+</p:nvPr>
+</p:nvSpPr>
+<p:spPr/>
+<p:txBody>
+${autofit ? `<a:bodyPr>${autofit}</a:bodyPr>` : '<a:bodyPr/>'}
+<a:lstStyle/>
+${paragraphs}
+</p:txBody>
+</p:sp>`;
+    }
+
+    normalizeBulletItems(content, level = 0) {
+        // Accepts strings (optionally indented or multi-line), nested arrays and { text, children } objects
+        const items = [];
+        if (content === undefined || content === null || content === '') {
+            return items;
+        }
+
+        const entries = Array.isArray(content) ? content : String(content).split(/\r?\n/);
+        for (const entry of entries) {
+            if (Array.isArray(entry)) {
+                items.push(...this.normalizeBulletItems(entry, level + 1));
+            } else if (entry && typeof entry === 'object') {
+                const text = entry.text || entry.title || entry.point || '';
+                if (text) {
+                    items.push(...this.normalizeBulletItems(String(text), level));
+                }
+                const children = entry.children || entry.subpoints || entry.points;
+                if (children) {
+                    items.push(...this.normalizeBulletItems(children, level + 1));
+                }
+            } else {
+                for (const line of String(entry).split(/\r?\n/)) {
+                    if (!line.trim()) {
+                        continue;
+                    }
+                    const indent = line.match(/^[ \t]*/)[0].replace(/\t/g, '  ').length;
+                    items.push({
+                        text: line.trim().replace(/^([-*+•▪◦]|\d+[.)])\s+/, ''),
+                        level: Math.min(level + Math.floor(indent / 2), 8)
+                    });
+                }
+            }
+        }
+
+        return items;
+    }
+
+    buildParagraphs(items, { bullets = true, explicitBullets = false, suppressBullets = false, bold = false, size = null } = {}) {
+        return items.map(item => {
+            let paragraphProperties = '';
+            if (!bullets) {
+                // Placeholders inherit bullets from the layout unless they are turned off
+                paragraphProperties = suppressBullets ? `<a:pPr marL="0" indent="0">
+<a:buNone/>
+</a:pPr>` : '';
+            } else if (explicitBullets) {
+                const margin = 342900 + item.level * 342900;
+                paragraphProperties = `<a:pPr marL="${margin}" lvl="${item.level}" indent="-342900">
+<a:buFont typeface="Arial"/>
+<a:buChar char="${item.level % 2 === 0 ? '•' : '–'}"/>
+</a:pPr>`;
+            } else if (item.level > 0) {
+                paragraphProperties = `<a:pPr lvl="${item.level}"/>`;
+            }
+
+            return `<a:p>
+${paragraphProperties ? `${paragraphProperties}\n` : ''}${this.buildRuns(item.text, { bold, size: size ? sizeForLevel(size, item.level) : null })}
+</a:p>`;
+        }).join('\n');
+    }
+
+    buildRuns(text, { size, bold = false, italic = false } = {}) {
+        return this.parseInlineMarkdown(text).map(segment => {
+            const attributes = `${size ? ` sz="${size}"` : ''}${segment.bold || bold ? ' b="1"' : ''}${segment.italic || italic ? ' i="1"' : ''}`;
+            const font = segment.code ? '\n<a:latin typeface="Consolas"/>\n<a:cs typeface="Consolas"/>\n' : '';
+            return `<a:r>
+<a:rPr lang="en-US"${attributes}${font ? `>${font}</a:rPr>` : '/>'}
+<a:t>${this.escapeXml(segment.text)}</a:t>
+</a:r>`;
+        }).join('\n');
+    }
+
+    parseInlineMarkdown(text, style = {}) {
+        // Splits ***both***, **bold**, __bold__, *italic*, _italic_ and `code` spans into styled segments
+        const segments = [];
+        const pattern = /`([^`]+)`|\*\*\*(.+?)\*\*\*|(\*\*|__)(.+?)\3(?!\*)|(?<![\w*])(\*|_)(?!\s)(.+?)\5(?![\w*])/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > lastIndex) {
+                segments.push({ ...style, text: text.slice(lastIndex, match.index) });
+            }
+            if (match[1] !== undefined) {
+                segments.push({ ...style, code: true, text: match[1] });
+            } else if (match[2] !== undefined) {
+                segments.push(...this.parseInlineMarkdown(match[2], { ...style, bold: true, italic: true }));
+            } else if (match[4] !== undefined) {
+                segments.push(...this.parseInlineMarkdown(match[4], { ...style, bold: true }));
+            } else {
+                segments.push(...this.parseInlineMarkdown(match[6], { ...style, italic: true }));
+            }
+            lastIndex = pattern.lastIndex;
+        }
+
+        if (lastIndex < text.length) {
+            segments.push({ ...style, text: text.slice(lastIndex) });
+        }
+
+        return segments.length > 0 ? segments : [{ ...style, text: '' }];
+    }
+
+    placeholderTag(placeholder) {
+        const type = placeholder.type && placeholder.type !== 'obj' ? ` type="${placeholder.type}"` : '';
+        const idx = placeholder.idx !== undefined ? ` idx="${placeholder.idx}"` : '';
+        return `<p:ph${type}${idx}/>`;
+    }
+
+    fallbackBodyPosition(slideSize) {
+        // Layouts without a body placeholder get a text box in the usual content area
+        const size = slideSize || { cx: 9144000, cy: 6858000 };
+        const marginX = Math.round(size.cx * 0.08);
+        return {
+            x: marginX,
+            y: Math.round(size.cy * 0.25),
+            cx: size.cx - marginX * 2,
+            cy: Math.round(size.cy * 0.65)
+        };
+    }
+
+    shapeProperties(position) {
+        return `<p:spPr>
+<a:xfrm>
+<a:off x="${position.x}" y="${position.y}"/>
+<a:ext cx="${position.cx}" cy="${position.cy}"/>
+</a:xfrm>
+<a:prstGeom prst="rect">
+<a:avLst/>
+</a:prstGeom>
+</p:spPr>`;
+    }
+
+    escapeXml(text) {
+        return ooxml.escapeXml(text);
+    }
+}
+
+// API Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        timestamp: new Date().toISOString(),
+        environment: process.env.NODE_ENV || 'development',
+        version: '1.0.0'
+    });
+});
+
+// Check server API key availability
+app.get('/api/server-keys', (req, res) => {
+    const availableKeys = {
+        openai: LLMProviderFactory.hasServerApiKey('openai'),
+        anthropic: LLMProviderFactory.hasServerApiKey('anthropic'),
+        gemini: LLMProviderFactory.hasServerApiKey('gemini'),
+        custom: LLMProviderFactory.hasServerApiKey('custom')
+    };
+
+    res.json({
+        success: true,
+        serverKeysAvailable: availableKeys,
+        hasAnyKey: Object.values(availableKeys).some(Boolean),
+        customEndpoint: {
+            configured: !!LLMProviderFactory.getServerBaseUrl('custom'),
+            defaultModel: process.env.CUSTOM_LLM_MODEL || null
+        }
+    });
+});
+
+// Limits the frontend mirrors in its estimates
+app.get('/api/settings', (req, res) => {
+    res.json({
+        success: true,
+        chunking: CHUNKING_OPTIONS
+    });
+});
+
+// Discover the models served by an OpenAI-compatible endpoint
+app.post('/api/custom-models', async (req, res) => {
+    try {
+        const { baseUrl, apiKey } = req.body;
+
+        const provider = LLMProviderFactory.createProvider({
+            provider: 'custom',
+            baseUrl,
+            apiKey
+        });
+
+        console.log('Discovering models at', provider.baseUrl);
+        const models = await provider.listModels();
+
+        res.json({
+            success: true,
+            baseUrl: provider.serverEndpoint ? null : provider.baseUrl,
+            models
+        });
+    } catch (error) {
+        console.error('Model discovery error:', error);
+        if (error instanceof ProviderConfigError) {
+            // This route takes the endpoint as `baseUrl`
+            const field = error.field === 'llmBaseUrl' ? 'baseUrl' : error.field;
+            return res.status(400).json({
+                ...providerRejection(error),
+                details: `${field} ${error.reason}`,
+                fields: [{ field, message: error.reason }]
+            });
+        }
+        res.status(502).json({ 
+            error: 'Failed to discover models',
+            details: error.message
+        });
+    }
+});
+
+// Root route
+app.get('/', (req, res) => {
+    const indexPath = path.join(__dirname, 'public', 'index.html');
+    if (fs.existsSync(indexPath)) {
+        res.sendFile(indexPath);
+    } else {
+        res.json({
+            message: 'TextToSlides API is running!',
+            endpoints: [
+                'GET /api/health',
+                'GET /api/server-keys',
+                'GET /api/settings',
+                'POST /api/custom-models',
+                'POST /api/analyze-template',
+                'GET /api/templates',
+                'POST /api/templates',
+                'GET /api/templates/:id',
+                'DELETE /api/templates/:id',
+                'POST /api/validate-pptx',
+                'POST /api/extract-text',
+                'POST /api/generate-presentation',
+                'POST /api/outline',
+                'POST /api/build',
+                'POST /api/outline/export',
+                'POST /api/outline/import',
+                'POST /api/restyle',
+                'POST /api/restyle/outline',
+                'POST /api/jobs',
+                'GET /api/jobs/:id',
+                'GET /api/jobs/:id/events',
+                'GET /api/jobs/:id/download',
+                'GET /api/history',
+                'GET /api/history/:id',
+                'GET /api/history/:id/download',
+                'DELETE /api/history/:id',
+                'POST /api/history/:id/rerun'
+            ]
+        });
+    }
+});
+
+// Analyze template endpoint
+app.post('/api/analyze-template', upload.single('template'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No template file provided' });
+        }
+
+        console.log('Analyzing template:', req.file.originalname, req.file.size, 'bytes');
+
+        const { analysis, cached } = await templateStore.analysis(req.file.buffer);
+
+        res.json({ 
+            success: true, 
+            analysis,
+            cached,
+            filename: req.file.originalname,
+            size: req.file.size
+        });
+    } catch (error) {
+        console.error('Template analysis error:', error);
+        res.status(500).json({ 
+            error: 'Failed to analyze template',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Template library: saved templates are used by `templateId` instead of uploading the file again
+app.get('/api/templates', (req, res) => {
+    res.json({ success: true, templates: templateStore.list() });
+});
+
+app.post('/api/templates', upload.single('template'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No template file provided' });
+        }
+
+        console.log('Saving template:', req.file.originalname, req.file.size, 'bytes');
+        const { template, created } = await templateStore.save(req.file.buffer, {
+            name: req.body.name,
+            filename: req.file.originalname
+        });
+
+        // A file already in the library is answered with the saved entry
+        res.status(created ? 201 : 200).json({ success: true, created, template });
+    } catch (error) {
+        if (error instanceof TemplateStoreError) {
+            return res.status(400).json({ error: 'Could not save template', details: error.message });
+        }
+        console.error('Template save error:', error);
+        res.status(500).json({
+            error: 'Failed to save template',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Saved template metadata with its analysis
+app.get('/api/templates/:id', (req, res) => {
+    const template = templateStore.get(req.params.id);
+    if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ success: true, template });
+});
+
+app.delete('/api/templates/:id', async (req, res) => {
+    try {
+        if (!await templateStore.remove(req.params.id)) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Template delete error:', error);
+        res.status(500).json({
+            error: 'Failed to delete template',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Source document upload: .docx, .md, .html, .txt or .pdf to Markdown text for step 1
+app.post('/api/extract-text', upload.single('document'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No document provided' });
+        }
+
+        console.log('Extracting text:', req.file.originalname, req.file.size, 'bytes');
+        const { format, text, structure } = await readSourceDocument(req.file.buffer, req.file.originalname);
+
+        res.json({
+            success: true,
+            filename: req.file.originalname,
+            format,
+            text,
+            structure
+        });
+    } catch (error) {
+        if (error instanceof SourceDocumentError) {
+            return res.status(400).json({ error: 'Could not read the document', details: error.message });
+        }
+        console.error('Text extraction error:', error);
+        res.status(500).json({
+            error: 'Failed to extract text',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Validate any .pptx package endpoint
+app.post('/api/validate-pptx', upload.single('presentation'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No presentation file provided' });
+        }
+
+        console.log('Validating presentation:', req.file.originalname, req.file.size, 'bytes');
+
+        const validator = new PptxValidator();
+        const report = await validator.validate(req.file.buffer);
+
+        res.json({
+            success: true,
+            filename: req.file.originalname,
+            size: req.file.size,
+            report
+        });
+    } catch (error) {
+        console.error('Presentation validation error:', error);
+        res.status(500).json({ 
+            error: 'Failed to validate presentation',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Download formats: the .pptx deck and a standalone HTML slideshow of the same structure
+const OUTPUT_FORMATS = {
+    pptx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        filename: 'generated-presentation.pptx'
+    },
+    html: {
+        contentType: 'text/html; charset=utf-8',
+        filename: 'generated-presentation.html'
+    }
+};
+
+// Sends a built output as an attachment, with the id of its history entry when one was recorded
+const sendOutput = (res, format, content, adjustmentCount, historyId) => {
+    res.setHeader('Content-Type', OUTPUT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${OUTPUT_FORMATS[format].filename}"`);
+    res.setHeader('X-Slide-Adjustments', String(adjustmentCount));
+    if (historyId) {
+        res.setHeader('X-History-Id', historyId);
+    }
+    res.send(content);
+};
+
+const MISSING_GENERATION_FIELDS = {
+    error: 'Missing required fields',
+    required: ['text', 'llmProvider', 'template file or templateId']
+};
+
+// The template of a request: the uploaded file, or else the saved template named by `templateId`.
+// Resolves to { template: { buffer, templateId } } (an empty template when neither was sent), or the 400
+// response to send instead.
+const readTemplate = async (body, file) => {
+    if (file) {
+        return { template: { buffer: file.buffer, templateId: null, name: file.originalname } };
+    }
+    if (!body.templateId) {
+        return { template: {} };
+    }
+
+    const templateId = String(body.templateId);
+    const buffer = await templateStore.read(templateId).catch(() => null);
+    if (!buffer) {
+        return {
+            rejection: {
+                error: 'Template not found',
+                fields: [{ field: 'templateId', message: 'does not match a saved template' }]
+            }
+        };
+    }
+    const saved = templateStore.get(templateId);
+    return { template: { buffer, templateId, name: saved ? saved.name : null } };
+};
+
+// Pulls the provider and outline inputs out of a request body, or the 400 response to send instead
+const providerRejection = (error) => ({
+    error: 'Invalid model provider settings',
+    details: error.message,
+    fields: [{ field: error.field, message: error.reason }]
+});
+
+// Resolves the provider settings of a request up front, so a job is never accepted for a provider that
+// can't run; returns the 400 response to send, or null
+const checkProvider = ({ llmProvider, llmModel, llmBaseUrl, apiKey }) => {
+    try {
+        LLMProviderFactory.resolveConfig({ provider: llmProvider, model: llmModel, baseUrl: llmBaseUrl, apiKey });
+        return null;
+    } catch (error) {
+        if (!(error instanceof ProviderConfigError)) {
+            throw error;
+        }
+        return providerRejection(error);
+    }
+};
+
+const readOutlineRequest = (body) => {
+    const { text, guidance, llmProvider, llmModel, llmBaseUrl, apiKey } = body;
+
+    if (!text || !llmProvider) {
+        return { rejection: { error: 'Missing required fields', required: ['text', 'llmProvider'] } };
+    }
+
+    const { constraints, errors } = normalizeConstraints(body);
+    if (errors.length > 0) {
+        return { rejection: { error: 'Invalid slide constraints', fields: errors } };
+    }
+
+    const providerProblem = checkProvider(body);
+    if (providerProblem) {
+        return { rejection: providerProblem };
+    }
+
+    const noCache = body.noCache === true || body.noCache === 'true';
+    return { params: { text, guidance, llmProvider, llmModel, llmBaseUrl, apiKey, constraints, noCache } };
+};
+
+// Parses an edited slide structure sent as JSON, or as text in any outline format (exported JSON, Marp or
+// a Markdown outline) in a multipart field
+const readSlideStructure = (raw, options = {}) => {
+    let structure;
+    try {
+        ({ structure } = typeof raw === 'string'
+            ? importOutline(raw, options)
+            : importOutline(JSON.stringify(raw), { format: 'json' }));
+    } catch (error) {
+        if (!(error instanceof OutlineFormatError)) {
+            throw error;
+        }
+        return { rejection: { error: 'Invalid slide structure', fields: [{ path: '$', message: error.message }] } };
+    }
+
+    const errors = validate(structure, SLIDE_STRUCTURE_SCHEMA);
+    if (errors.length > 0) {
+        return { rejection: { error: 'Invalid slide structure', fields: errors } };
+    }
+
+    const slides = structure.slides.map((slide, index) => ({ ...slide, slideNumber: index + 1 }));
+    return { structure: { ...structure, totalSlides: slides.length, slides } };
+};
+
+// Pulls the options of the build step (template, text fitting, output format) out of a request body,
+// or the 400 response to send instead
+const readBuildOptions = (body, template) => {
+    const { options: textFit, errors: textFitErrors } = normalizeTextFit(body, TEXT_FIT_DEFAULTS);
+    if (textFitErrors.length > 0) {
+        return { rejection: { error: 'Invalid text fit mode', fields: textFitErrors } };
+    }
+
+    const format = body.format || 'pptx';
+    if (!Object.hasOwn(OUTPUT_FORMATS, format)) {
+        return {
+            rejection: {
+                error: 'Invalid output format',
+                fields: [{ field: 'format', message: `must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}` }]
+            }
+        };
+    }
+
+    return {
+        build: {
+            keepTemplateSlides: body.keepTemplateSlides === 'true',
+            templateBuffer: template.buffer,
+            templateId: template.templateId || null,
+            templateName: template.name || null,
+            textFit,
+            formats: [format]
+        }
+    };
+};
+
+// Pulls the generation inputs out of a multipart request, or the 400 response to send instead.
+// A `structure` field replaces the text and provider fields and skips outline generation.
+const readGenerationRequest = async (req) => {
+    const { template, rejection: templateRejection } = await readTemplate(req.body, req.file);
+    if (templateRejection) {
+        return { rejection: templateRejection };
+    }
+
+    const { build, rejection: buildRejection } = readBuildOptions(req.body, template);
+    if (buildRejection) {
+        return { rejection: buildRejection };
+    }
+
+    if (req.body.structure) {
+        if (!template.buffer) {
+            return { rejection: { error: 'Missing required fields', required: ['structure', 'template file or templateId'] } };
+        }
+        const { structure, rejection } = readSlideStructure(req.body.structure);
+        if (rejection) {
+            return { rejection };
+        }
+
+        // What the outline was made from, when the client says so, is kept with the generation history
+        const { text, guidance, llmProvider, llmModel } = req.body;
+        const { constraints } = normalizeConstraints(req.body);
+        return { params: { ...build, structure, text, guidance, llmProvider, llmModel, constraints } };
+    }
+
+    if (!req.body.text || !req.body.llmProvider || !template.buffer) {
+        return { rejection: MISSING_GENERATION_FIELDS };
     }
-}
 
-// API Routes
+    const { params, rejection } = readOutlineRequest(req.body);
+    return rejection ? { rejection } : { params: { ...params, ...build } };
+};
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development',
-        version: '1.0.0'
-    });
-});
+// Pulls the restyle inputs out of a multipart request: the source deck, the tightening provider when
+// `tighten` is set, slide limits and, unless only the outline is wanted, the target template.
+const readRestyleRequest = async (req, { withTemplate = true } = {}) => {
+    const files = req.files || {};
+    const source = files.presentation && files.presentation[0];
+    const { template, rejection: templateRejection } = withTemplate
+        ? await readTemplate(req.body, files.template && files.template[0])
+        : { template: {} };
+    if (templateRejection) {
+        return { rejection: templateRejection };
+    }
+    if (!source || (withTemplate && !template.buffer)) {
+        return {
+            rejection: {
+                error: 'Missing required fields',
+                required: withTemplate ? ['presentation file', 'template file or templateId'] : ['presentation file']
+            }
+        };
+    }
 
-// Check server API key availability
-app.get('/api/server-keys', (req, res) => {
-    const availableKeys = {
-        openai: LLMProviderFactory.hasServerApiKey('openai'),
-        anthropic: LLMProviderFactory.hasServerApiKey('anthropic'),
-        gemini: LLMProviderFactory.hasServerApiKey('gemini')
+    const { guidance, llmProvider, llmModel, llmBaseUrl, apiKey } = req.body;
+    const tighten = req.body.tighten === 'true';
+    if (tighten && !llmProvider) {
+        return {
+            rejection: {
+                error: 'Invalid tightening options',
+                fields: [{ field: 'llmProvider', message: 'is required when tighten is true' }]
+            }
+        };
+    }
+    const providerProblem = tighten && checkProvider(req.body);
+    if (providerProblem) {
+        return { rejection: providerProblem };
+    }
+
+    const { constraints, errors } = normalizeConstraints(req.body);
+    if (errors.length > 0) {
+        return { rejection: { error: 'Invalid slide constraints', fields: errors } };
+    }
+
+    const { build, rejection } = withTemplate ? readBuildOptions(req.body, template) : { build: {} };
+    if (rejection) {
+        return { rejection };
+    }
+
+    return {
+        params: {
+            ...build,
+            sourceBuffer: source.buffer,
+            tighten,
+            guidance,
+            llmProvider,
+            llmModel,
+            llmBaseUrl,
+            apiKey,
+            constraints
+        }
     };
+};
 
-    res.json({
-        success: true,
-        serverKeysAvailable: availableKeys,
-        hasAnyKey: Object.values(availableKeys).some(Boolean)
-    });
+// Serves the provider's analyses and slide structures from the LLM cache when it can. The offline
+// provider is left alone: it is deterministic and fast, and would only fill the cache.
+const cacheProvider = (provider, params) => {
+    if (!llmCache || params.llmProvider === 'local') {
+        return { provider, report: uncachedReport() };
+    }
+    return llmCache.wrap(provider, {
+        provider: params.llmProvider,
+        model: params.llmModel || null,
+        baseUrl: provider.baseUrl || null,
+        promptVersion: PROMPT_VERSION
+    }, { bypass: params.noCache });
+};
+
+// Summary of a cache report for responses that are files
+const describeCache = (cache) => cache.enabled ? `hits=${cache.hits}, misses=${cache.misses}` : 'off';
+
+const logStep = (step) => (name, label, work) => {
+    console.log(`${label}...`);
+    return step(name, label, work);
+};
+
+// Runs text analysis and slide structuring.
+// `step` wraps each stage so jobs can time and report it.
+const runOutlinePipeline = async (params, step = (name, label, work) => work()) => {
+    console.log(`Outlining with ${params.llmProvider} using ${params.llmModel || 'default model'}`);
+    const runStep = logStep(step);
+
+    // Initialize LLM provider (will use server API key as fallback)
+    const { provider, report: cache } = cacheProvider(LLMProviderFactory.createProvider({
+        provider: params.llmProvider,
+        model: params.llmModel,
+        baseUrl: params.llmBaseUrl,
+        apiKey: params.apiKey // This can be empty if server has keys
+    }), params);
+
+    const chunkedAnalyzer = new ChunkedAnalyzer(provider, CHUNKING_OPTIONS);
+    const analyzingLabel = chunkedAnalyzer.shouldChunk(params.text)
+        ? `Analyzing text content in ${chunkedAnalyzer.splitIntoChunks(params.text).length} parts`
+        : 'Analyzing text content';
+    const providerOptions = { constraints: params.constraints };
+    const textAnalysis = await runStep('analyzing', analyzingLabel,
+        () => chunkedAnalyzer.analyze(params.text, params.guidance, providerOptions));
+
+    const { structure: slideStructure, changes: adjustments } = await runStep('structuring', 'Generating slide structure',
+        async () => {
+            const generated = await provider.generateSlideStructure(textAnalysis, params.guidance, providerOptions);
+            // Charts must plot numbers from the text, not ones the model filled in
+            const checked = dropUnsupportedCharts(generated, params.text);
+            const constrained = applyConstraints(checked.structure, params.constraints);
+            return { structure: constrained.structure, changes: [...checked.changes, ...constrained.changes] };
+        });
+    if (adjustments.length > 0) {
+        console.log('Adjusted slide structure:', adjustments.join('; '));
+    }
+    if (cache.hits > 0) {
+        console.log(`Served ${cache.hits} of ${cache.calls.length} model calls from the cache`);
+    }
+
+    return { textAnalysis, slideStructure, adjustments, cache };
+};
+
+// Runs template analysis and the build for a finished slide structure, in each of `params.formats`.
+// Returns the outputs by format and the changes made to fit overflowing text.
+const runBuildPipeline = async (params, slideStructure, step = (name, label, work) => work()) => {
+    const runStep = logStep(step);
+    const outputs = {};
+    let fitChanges = [];
+
+    // Templates analyzed before (in step 3, or saved to the library) come from the cache
+    const { analysis: templateAnalysis } = await runStep('template', 'Analyzing template',
+        () => templateStore.analysis(params.templateBuffer));
+
+    if (params.formats.includes('pptx')) {
+        const built = await runStep('building', 'Building presentation',
+            () => new PresentationBuilder().buildPresentation(
+                slideStructure,
+                params.templateBuffer,
+                templateAnalysis,
+                { keepTemplateSlides: params.keepTemplateSlides, textFit: params.textFit }
+            ));
+        outputs.pptx = built.buffer;
+        fitChanges = built.fitChanges;
+
+        if (fitChanges.length > 0) {
+            console.log('Fitted slide text:', fitChanges.join('; '));
+        }
+        console.log('Presentation generated successfully, size:', outputs.pptx.length, 'bytes');
+    }
+
+    if (params.formats.includes('html')) {
+        outputs.html = await runStep('exporting', 'Exporting HTML slideshow',
+            async () => buildHtmlSlideshow(slideStructure, {
+                theme: templateAnalysis.theme,
+                slideSize: templateAnalysis.slideSize
+            }));
+    }
+
+    return { outputs, fitChanges };
+};
+
+// Extracts the source deck's slides and, when asked, has the provider tighten their wording.
+// Slide types, tables and charts always come from the source deck.
+const runRestyleOutline = async (params, step = (name, label, work) => work()) => {
+    const runStep = logStep(step);
+    const { structure, report } = await runStep('extracting', 'Extracting slides from the source deck',
+        () => extractDeck(params.sourceBuffer));
+    let slideStructure = structure;
+    const adjustments = [];
+
+    if (params.tighten) {
+        console.log(`Tightening with ${params.llmProvider} using ${params.llmModel || 'default model'}`);
+        const provider = LLMProviderFactory.createProvider({
+            provider: params.llmProvider,
+            model: params.llmModel,
+            baseUrl: params.llmBaseUrl,
+            apiKey: params.apiKey
+        });
+
+        // The slide count is the source deck's, so only the bullet length limit goes into the prompt
+        const providerOptions = { constraints: { maxWordsPerBullet: params.constraints.maxWordsPerBullet } };
+        const tightened = await runStep('tightening', 'Tightening slide text', async () => mergeTightenedStructure(
+            structure,
+            await provider.tightenSlideStructure(structure, params.guidance, providerOptions)
+        ));
+        slideStructure = tightened.structure;
+        adjustments.push(...tightened.changes);
+    }
+
+    const constrained = applyConstraints(slideStructure, params.constraints);
+    adjustments.push(...constrained.changes);
+    if (adjustments.length > 0) {
+        console.log('Adjusted slide structure:', adjustments.join('; '));
+    }
+
+    return { slideStructure: constrained.structure, report, adjustments };
+};
+
+// Outlines the text (unless an edited structure was supplied), then builds the deck
+const runGenerationPipeline = async (params, step) => {
+    const { slideStructure, adjustments, cache } = params.structure
+        ? { slideStructure: params.structure, adjustments: [], cache: uncachedReport() }
+        : await runOutlinePipeline(params, step);
+
+    const { outputs, fitChanges } = await runBuildPipeline(params, slideStructure, step);
+    return { outputs, slideStructure, adjustments: [...adjustments, ...fitChanges], cache };
+};
+
+// Saves a finished generation to the history and returns its id. `kind` is how the slides were made:
+// 'text' (outlined in the same request), 'outline' (built from a supplied structure) or 'restyle'.
+// A failure here is logged and never fails the generation itself.
+const recordGeneration = async (kind, params, { outputs, slideStructure, adjustments }) => {
+    try {
+        const entry = await history.record({
+            kind,
+            textHash: params.text ? GenerationHistory.hashText(params.text) : (params.textHash || null),
+            guidance: params.guidance || '',
+            provider: params.llmProvider || null,
+            model: params.llmModel || null,
+            templateId: params.templateId || null,
+            templateHash: TemplateStore.hash(params.templateBuffer),
+            templateName: params.templateName || null,
+            constraints: params.constraints || {},
+            structure: slideStructure,
+            adjustments,
+            rerunOf: params.rerunOf || null
+        }, outputs);
+        return entry ? entry.id : null;
+    } catch (error) {
+        console.error('Could not record generation history:', error);
+        return null;
+    }
+};
+
+// Maps a pipeline failure to an HTTP status and client-facing error body
+const describeGenerationError = (error) => {
+    if (error instanceof DeckExtractionError) {
+        return { status: 400, body: { error: 'Could not read the presentation', details: error.message } };
+    }
+    if (error instanceof ProviderConfigError) {
+        return { status: 400, body: providerRejection(error) };
+    }
+
+    const isStructured = error instanceof StructuredOutputError;
+    return {
+        status: isStructured ? 502 : 500,
+        body: {
+            error: isStructured ? 'The model returned an unusable response' : 'Failed to generate presentation',
+            details: process.env.NODE_ENV === 'development' || error.report || isStructured ? error.message : 'Internal server error',
+            validation: error.report,
+            fields: isStructured ? error.errors : undefined
+        }
+    };
+};
+
+// Generate presentation endpoint
+app.post('/api/generate-presentation', upload.single('template'), async (req, res) => {
+    try {
+        const { params, rejection } = await readGenerationRequest(req);
+        if (rejection) {
+            return res.status(400).json(rejection);
+        }
+
+        const result = await runGenerationPipeline(params);
+        const historyId = await recordGeneration(params.structure ? 'outline' : 'text', params, result);
+
+        // Return the generated presentation
+        const [format] = params.formats;
+        res.setHeader('X-LLM-Cache', describeCache(result.cache));
+        sendOutput(res, format, result.outputs[format], result.adjustments.length, historyId);
+
+    } catch (error) {
+        console.error('Presentation generation error:', error);
+        const { status, body } = describeGenerationError(error);
+        res.status(status).json(body);
+    }
 });
 
-// Root route
-app.get('/', (req, res) => {
-    const indexPath = path.join(__dirname, 'public', 'index.html');
-    if (fs.existsSync(indexPath)) {
-        res.sendFile(indexPath);
-    } else {
+// Outline only: text to an editable slide structure, no template needed
+app.post('/api/outline', upload.none(), async (req, res) => {
+    try {
+        const { params, rejection } = readOutlineRequest(req.body);
+        if (rejection) {
+            return res.status(400).json(rejection);
+        }
+
+        const { textAnalysis, slideStructure, adjustments, cache } = await runOutlinePipeline(params);
         res.json({
-            message: 'TextToSlides API is running!',
-            endpoints: [
-                'GET /api/health',
-                'GET /api/server-keys',
-                'POST /api/analyze-template',
-                'POST /api/generate-presentation'
-            ]
+            success: true,
+            analysis: textAnalysis,
+            structure: slideStructure,
+            adjustments,
+            cache
         });
+    } catch (error) {
+        console.error('Outline generation error:', error);
+        const { status, body } = describeGenerationError(error);
+        res.status(status).json({ ...body, error: status === 502 ? body.error : 'Failed to generate outline' });
     }
 });
 
-// Analyze template endpoint
-app.post('/api/analyze-template', upload.single('template'), async (req, res) => {
+// Build only: an (edited) slide structure plus a template to a .pptx, no LLM involved
+app.post('/api/build', upload.single('template'), async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No template file provided' });
+        if (!req.body.structure) {
+            return res.status(400).json({ error: 'Missing required fields', required: ['structure', 'template file or templateId'] });
         }
 
-        console.log('Analyzing template:', req.file.originalname, req.file.size, 'bytes');
-
-        const analyzer = new TemplateAnalyzer();
-        const analysis = await analyzer.analyzeTemplate(req.file.buffer);
+        const { params, rejection } = await readGenerationRequest(req);
+        if (rejection) {
+            return res.status(400).json(rejection);
+        }
 
-        res.json({ 
-            success: true, 
-            analysis,
-            filename: req.file.originalname,
-            size: req.file.size
+        const { outputs, fitChanges } = await runBuildPipeline(params, params.structure);
+        const historyId = await recordGeneration('outline', params, {
+            outputs,
+            slideStructure: params.structure,
+            adjustments: fitChanges
         });
+
+        const [format] = params.formats;
+        sendOutput(res, format, outputs[format], fitChanges.length, historyId);
     } catch (error) {
-        console.error('Template analysis error:', error);
-        res.status(500).json({ 
-            error: 'Failed to analyze template',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        console.error('Presentation build error:', error);
+        const { status, body } = describeGenerationError(error);
+        res.status(status).json(body);
+    }
+});
+
+// Outline export: a slide structure to a Marp, Markdown or versioned JSON file
+app.post('/api/outline/export', upload.none(), (req, res) => {
+    const format = req.body.format || 'marp';
+    if (!Object.hasOwn(OUTLINE_FORMATS, format)) {
+        return res.status(400).json({
+            error: 'Invalid outline format',
+            fields: [{ field: 'format', message: `must be one of ${Object.keys(OUTLINE_FORMATS).join(', ')}` }]
         });
     }
+    if (!req.body.structure) {
+        return res.status(400).json({ error: 'Missing required fields', required: ['structure'] });
+    }
+
+    const { structure, rejection } = readSlideStructure(req.body.structure);
+    if (rejection) {
+        return res.status(400).json(rejection);
+    }
+
+    res.setHeader('Content-Type', OUTLINE_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${OUTLINE_FORMATS[format].filename}"`);
+    res.send(exportOutline(structure, format));
 });
 
-// Generate presentation endpoint
-app.post('/api/generate-presentation', upload.single('template'), async (req, res) => {
+// Outline import: a Marp, Markdown or exported JSON file back to a validated slide structure
+app.post('/api/outline/import', upload.none(), (req, res) => {
+    const { outline, filename, format } = req.body;
+    if (!outline) {
+        return res.status(400).json({ error: 'Missing required fields', required: ['outline'] });
+    }
+    if (format && !Object.hasOwn(OUTLINE_FORMATS, format)) {
+        return res.status(400).json({
+            error: 'Invalid outline format',
+            fields: [{ field: 'format', message: `must be one of ${Object.keys(OUTLINE_FORMATS).join(', ')}` }]
+        });
+    }
+
+    const { structure, rejection } = readSlideStructure(String(outline), { format, filename });
+    if (rejection) {
+        return res.status(400).json(rejection);
+    }
+    res.json({ success: true, structure });
+});
+
+// Restyle: an existing deck's slides rebuilt in the uploaded template, optionally tightened on the way
+app.post('/api/restyle', deckUpload.fields([{ name: 'presentation', maxCount: 1 }, { name: 'template', maxCount: 1 }]), async (req, res) => {
     try {
-        const { text, guidance, llmProvider, llmModel, apiKey } = req.body;
+        const { params, rejection } = await readRestyleRequest(req);
+        if (rejection) {
+            return res.status(400).json(rejection);
+        }
 
-        if (!text || !llmProvider || !req.file) {
-            return res.status(400).json({ 
-                error: 'Missing required fields',
-                required: ['text', 'llmProvider', 'template file']
+        const { slideStructure, adjustments } = await runRestyleOutline(params);
+        const { outputs, fitChanges } = await runBuildPipeline(params, slideStructure);
+        // The provider only counts when it tightened the text
+        const historyId = await recordGeneration('restyle', {
+            ...params,
+            llmProvider: params.tighten ? params.llmProvider : null,
+            llmModel: params.tighten ? params.llmModel : null
+        }, { outputs, slideStructure, adjustments: [...adjustments, ...fitChanges] });
+
+        const [format] = params.formats;
+        sendOutput(res, format, outputs[format], adjustments.length + fitChanges.length, historyId);
+    } catch (error) {
+        console.error('Restyle error:', error);
+        const { status, body } = describeGenerationError(error);
+        res.status(status).json({ ...body, error: status === 500 ? 'Failed to restyle presentation' : body.error });
+    }
+});
+
+// Restyle outline: an existing deck's slides as an editable structure, to review before building
+app.post('/api/restyle/outline', deckUpload.fields([{ name: 'presentation', maxCount: 1 }]), async (req, res) => {
+    try {
+        const { params, rejection } = await readRestyleRequest(req, { withTemplate: false });
+        if (rejection) {
+            return res.status(400).json(rejection);
+        }
+
+        const { slideStructure, report, adjustments } = await runRestyleOutline(params);
+        res.json({
+            success: true,
+            structure: slideStructure,
+            report,
+            adjustments
+        });
+    } catch (error) {
+        console.error('Restyle outline error:', error);
+        const { status, body } = describeGenerationError(error);
+        res.status(status).json({ ...body, error: status === 500 ? 'Failed to extract slides' : body.error });
+    }
+});
+
+// Runs the generation pipeline as a background job and records the finished deck in the history
+const startGenerationJob = (params, meta = {}) => {
+    const job = jobManager.create({
+        provider: params.llmProvider || null,
+        model: params.llmModel || null,
+        templateId: params.templateId,
+        fromOutline: !!params.structure,
+        ...meta
+    });
+
+    // Jobs keep every format so either can be downloaded afterwards
+    const jobParams = { ...params, formats: Object.keys(OUTPUT_FORMATS) };
+    runGenerationPipeline(jobParams, (name, label, work) => jobManager.runStep(job, name, label, work))
+        .then(async (result) => {
+            const historyId = await recordGeneration(params.structure ? 'outline' : 'text', params, result);
+            await jobManager.complete(job, result.outputs, {
+                slideCount: (result.slideStructure.slides || []).length,
+                adjustments: result.adjustments,
+                cache: result.cache,
+                historyId
             });
+        })
+        .catch(error => {
+            console.error(`Job ${job.id} failed:`, error);
+            jobManager.fail(job, describeGenerationError(error).body);
+        });
+
+    return job;
+};
+
+// The 202 response for a started job
+const sendJobAccepted = (res, job) => {
+    res.status(202).json({
+        success: true,
+        job: jobManager.serialize(job),
+        links: {
+            self: `/api/jobs/${job.id}`,
+            events: `/api/jobs/${job.id}/events`,
+            download: `/api/jobs/${job.id}/download`
         }
+    });
+};
 
-        console.log(`Generating presentation using ${llmProvider} with ${llmModel || 'default model'}`);
+// Start a background generation job
+app.post('/api/jobs', upload.single('template'), async (req, res) => {
+    try {
+        const { params, rejection } = await readGenerationRequest(req);
+        if (rejection) {
+            return res.status(400).json(rejection);
+        }
 
-        // Initialize LLM provider (will use server API key as fallback)
-        const provider = LLMProviderFactory.createProvider({
-            provider: llmProvider,
-            model: llmModel,
-            apiKey: apiKey // This can be empty if server has keys
-        });
-
-        // Step 1: Analyze text
-        console.log('Step 1: Analyzing text...');
-        const textAnalysis = await provider.analyzeText(text, guidance);
-
-        // Step 2: Generate slide structure
-        console.log('Step 2: Generating slide structure...');
-        const slideStructure = await provider.generateSlideStructure(textAnalysis, guidance);
-
-        // Step 3: Analyze template
-        console.log('Step 3: Analyzing template...');
-        const templateAnalyzer = new TemplateAnalyzer();
-        const templateAnalysis = await templateAnalyzer.analyzeTemplate(req.file.buffer);
-
-        // Step 4: Build presentation
-        console.log('Step 4: Building presentation...');
-        const builder = new PresentationBuilder();
-        const presentationBuffer = await builder.buildPresentation(
-            slideStructure,
-            req.file.buffer,
-            templateAnalysis
-        );
+        sendJobAccepted(res, startGenerationJob(params));
+    } catch (error) {
+        console.error('Job creation error:', error);
+        res.status(500).json({
+            error: 'Failed to start generation job',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
 
-        console.log('Presentation generated successfully, size:', presentationBuffer.length, 'bytes');
+// Job state
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ success: true, job: jobManager.serialize(job) });
+});
 
-        // Return the generated presentation
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.presentationml.presentation');
-        res.setHeader('Content-Disposition', 'attachment; filename="generated-presentation.pptx"');
-        res.send(presentationBuffer);
+// Server-sent events: a snapshot, then step/completed/failed events until the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, payload) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    send('snapshot', jobManager.serialize(job));
+    if (jobManager.isFinished(job)) {
+        send(job.status, jobManager.serialize(job));
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const unsubscribe = jobManager.subscribe(job.id, (event, payload) => {
+        send(event, payload);
+        if (event === 'completed' || event === 'failed') {
+            cleanup();
+            res.end();
+        }
+    });
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    req.on('close', cleanup);
+});
+
+// Download a finished job's presentation (`?format=html` for the slideshow)
+app.get('/api/jobs/:id/download', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'completed') {
+        return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+    }
+
+    const format = req.query.format || 'pptx';
+    const file = Object.hasOwn(OUTPUT_FORMATS, format) && jobManager.outputPath(job, format);
+    if (!file) {
+        return res.status(404).json({ error: `No ${format} output for this job`, formats: job.result.formats });
+    }
+
+    res.download(file, OUTPUT_FORMATS[format].filename, (error) => {
+        if (error && !res.headersSent) {
+            console.error('Job download error:', error);
+            res.status(410).json({ error: 'Presentation file is no longer available' });
+        }
+    });
+});
+
+// Pulls the inputs of a re-run out of a multipart request, or the 400 response to send instead.
+// The template is the uploaded or named one, else the original if the library still has it. The saved
+// slide structure is rebuilt as is unless another provider or model is asked for; that outlines the
+// original text again, which has to be sent since the history keeps only its hash.
+const readRerunRequest = async (req, entry) => {
+    const { template: chosen, rejection: templateRejection } = await readTemplate(req.body, req.file);
+    if (templateRejection) {
+        return { rejection: templateRejection };
+    }
+
+    let template = chosen;
+    const original = templateStore.get(entry.templateId) || templateStore.findByHash(entry.templateHash);
+    if (!template.buffer && original) {
+        template = { buffer: await templateStore.read(original.id).catch(() => null), templateId: original.id, name: original.name };
+    }
+    if (!template.buffer) {
+        return {
+            rejection: {
+                error: 'Original template not available',
+                fields: [{ field: 'templateId', message: 'is required; the original template was not saved to the library' }]
+            }
+        };
+    }
+
+    const { build, rejection: buildRejection } = readBuildOptions(req.body, template);
+    if (buildRejection) {
+        return { rejection: buildRejection };
+    }
+
+    const { text, llmProvider, llmModel } = req.body;
+    const remodel = (llmProvider && llmProvider !== entry.provider) || (llmModel && llmModel !== entry.model);
+    if (!remodel) {
+        return {
+            params: {
+                ...build,
+                structure: entry.structure,
+                textHash: entry.textHash,
+                guidance: entry.guidance,
+                llmProvider: entry.provider,
+                llmModel: entry.model,
+                constraints: entry.constraints,
+                rerunOf: entry.id
+            }
+        };
+    }
+
+    const textMessage = !entry.textHash
+        ? 'is not known for this generation, so only the template can change'
+        : !text ? 'is required to outline it with another model'
+            : GenerationHistory.hashText(text) !== entry.textHash ? 'does not match the text of this generation' : null;
+    if (textMessage) {
+        return { rejection: { error: 'Cannot re-run with another model', fields: [{ field: 'text', message: textMessage }] } };
+    }
+
+    const { params, rejection } = readOutlineRequest({
+        ...entry.constraints,
+        text,
+        guidance: entry.guidance,
+        llmProvider: llmProvider || entry.provider,
+        llmModel,
+        llmBaseUrl: req.body.llmBaseUrl,
+        apiKey: req.body.apiKey
+    });
+    return rejection ? { rejection } : { params: { ...params, ...build, rerunOf: entry.id } };
+};
+
+// Generation history: past decks with their inputs, newest first
+app.get('/api/history', (req, res) => {
+    res.json({ success: true, enabled: history.enabled, maxEntries: history.maxEntries, entries: history.list() });
+});
+
+// One past generation, with its slide structure
+app.get('/api/history/:id', (req, res) => {
+    const entry = history.get(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Generation not found' });
+    }
+    res.json({ success: true, entry: { ...history.summarize(entry), structure: entry.structure } });
+});
+
+// Download a past generation's deck (`?format=html` for the slideshow, when one was made)
+app.get('/api/history/:id/download', (req, res) => {
+    const entry = history.get(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    const format = req.query.format || 'pptx';
+    const file = Object.hasOwn(OUTPUT_FORMATS, format) && history.outputPath(entry, format);
+    if (!file) {
+        return res.status(404).json({ error: `No ${format} output for this generation`, formats: entry.formats });
+    }
+
+    res.download(file, OUTPUT_FORMATS[format].filename, (error) => {
+        if (error && !res.headersSent) {
+            console.error('History download error:', error);
+            res.status(410).json({ error: 'Presentation file is no longer available' });
+        }
+    });
+});
+
+app.delete('/api/history/:id', async (req, res) => {
+    try {
+        if (!await history.remove(req.params.id)) {
+            return res.status(404).json({ error: 'Generation not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('History delete error:', error);
+        res.status(500).json({
+            error: 'Failed to delete generation',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Re-run a past generation as a job, with another template and/or provider and model
+app.post('/api/history/:id/rerun', upload.single('template'), async (req, res) => {
+    try {
+        const entry = history.get(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Generation not found' });
+        }
+
+        const { params, rejection } = await readRerunRequest(req, entry);
+        if (rejection) {
+            return res.status(400).json(rejection);
+        }
 
+        sendJobAccepted(res, startGenerationJob(params, { rerunOf: entry.id }));
     } catch (error) {
-        console.error('Presentation generation error:', error);
-        res.status(500).json({ 
-            error: 'Failed to generate presentation',
-            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        console.error('Re-run error:', error);
+        res.status(500).json({
+            error: 'Failed to start generation job',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
@@ -764,6 +3474,9 @@ app.use((error, req, res, next) => {
             return res.status(400).json({ error: 'Too many files. Only one file allowed.' });
         }
     }
+    if (error.code === 'INVALID_FILE_TYPE') {
+        return res.status(400).json({ error: error.message });
+    }
     
     res.status(500).json({ 
         error: 'Internal server error',
@@ -780,8 +3493,31 @@ app.use('*', (req, res) => {
             'GET /',
             'GET /api/health',
             'GET /api/server-keys', 
+            'GET /api/settings',
+            'POST /api/custom-models',
             'POST /api/analyze-template',
-            'POST /api/generate-presentation'
+            'GET /api/templates',
+            'POST /api/templates',
+            'GET /api/templates/:id',
+            'DELETE /api/templates/:id',
+            'POST /api/validate-pptx',
+            'POST /api/extract-text',
+            'POST /api/generate-presentation',
+            'POST /api/outline',
+            'POST /api/build',
+            'POST /api/outline/export',
+            'POST /api/outline/import',
+            'POST /api/restyle',
+            'POST /api/restyle/outline',
+            'POST /api/jobs',
+            'GET /api/jobs/:id',
+            'GET /api/jobs/:id/events',
+            'GET /api/jobs/:id/download',
+            'GET /api/history',
+            'GET /api/history/:id',
+            'GET /api/history/:id/download',
+            'DELETE /api/history/:id',
+            'POST /api/history/:id/rerun'
         ]
     });
 });
@@ -793,16 +3529,28 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`🌐 Available endpoints:`);
     console.log(`   - GET /api/health`);
     console.log(`   - GET /api/server-keys`);
+    console.log(`   - GET /api/settings`);
+    console.log(`   - POST /api/custom-models`);
     console.log(`   - POST /api/analyze-template`);
+    console.log(`   - GET/POST /api/templates, GET/DELETE /api/templates/:id`);
+    console.log(`   - POST /api/validate-pptx`);
     console.log(`   - POST /api/generate-presentation`);
+    console.log(`   - POST /api/outline, POST /api/build`);
+    console.log(`   - POST /api/restyle, POST /api/restyle/outline`);
+    console.log(`   - POST /api/jobs (+ GET /api/jobs/:id, /events, /download)`);
+    console.log(`   - GET /api/history (+ GET/DELETE /api/history/:id, /download, POST /rerun)`);
     
     // Log server API key status
     const keyStatus = {
         openai: !!process.env.OPENAI_API_KEY,
         anthropic: !!process.env.ANTHROPIC_API_KEY,
-        gemini: !!process.env.GEMINI_API_KEY
+        gemini: !!process.env.GEMINI_API_KEY,
+        custom: !!process.env.CUSTOM_LLM_API_KEY
     };
     console.log(`🔑 Server API keys configured:`, keyStatus);
+    if (customEndpointOrigin) {
+        console.log(`🔌 OpenAI-compatible endpoint: ${process.env.CUSTOM_LLM_BASE_URL}`);
+    }
 });
 
 // Graceful shutdown